@@ -0,0 +1,207 @@
+// api/campaigns.js - Campaign CRUD: Matter Details, Documents, Research Snapshots, Runs, Personas and Run Reports
+import { getPersonaStore } from '../lib/personaStore.js';
+import { listConversations } from '../lib/conversationStore.js';
+import { mergeUsage } from '../lib/usageTracker.js';
+import { generateReport } from '../lib/reportAgent.js';
+
+// Fields a client may set on create and update; everything else is managed by the store
+const EDITABLE_FIELDS = ['name', 'matter', 'keywords', 'target_description', 'file_urls', 'notes'];
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, action } = req.query;
+  const store = getPersonaStore();
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') {
+        const campaigns = await store.listCampaigns({ include_archived: req.query.include_archived === 'true' });
+        return res.status(200).json({ success: true, campaigns });
+      }
+
+      if (req.method === 'POST') {
+        const fields = pickEditable(req.body);
+        if (!fields.matter) {
+          return res.status(400).json({
+            error: 'Missing required fields',
+            message: 'Matter is required to create a campaign'
+          });
+        }
+
+        const campaign = await store.createCampaign(fields);
+        console.log(`🗂️ Campaign created: ${campaign.name} (${campaign.id})`);
+        return res.status(201).json({ success: true, campaign });
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!/^[A-Za-z0-9_-]+$/.test(id) || !(await store.getCampaign(id))) {
+      return res.status(404).json({
+        error: 'CAMPAIGN_NOT_FOUND',
+        message: `No campaign found with id ${id}`
+      });
+    }
+
+    if (action === 'report') {
+      return req.method === 'GET'
+        ? await getRunReport(req, res, store, id)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (action) {
+      if (req.method !== 'POST' || !['archive', 'restore'].includes(action)) {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      const campaign = action === 'archive'
+        ? await store.archiveCampaign(id)
+        : await store.restoreCampaign(id);
+      console.log(`🗂️ Campaign ${action}d: ${campaign.name} (${id})`);
+      return res.status(200).json({ success: true, campaign });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, ...(await getCampaignDetail(store, id)) });
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+      const changes = pickEditable(req.body);
+      if (changes.matter === '') {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'Matter cannot be empty'
+        });
+      }
+
+      const campaign = await store.updateCampaign(id, changes);
+      console.log(`🗂️ Campaign updated: ${campaign.name} (${id}) - ${Object.keys(changes).join(', ')}`);
+      return res.status(200).json({ success: true, campaign });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error(`💥 Campaign request error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'CAMPAIGN_REQUEST_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * A campaign with everything it owns: runs, personas, processed documents, research snapshots and chats,
+ * plus the model usage and cost of all its runs and of everything done with its personas since
+ */
+async function getCampaignDetail(store, id) {
+  const [campaign, runs, personas, documents, snapshots, conversations, activityUsage] = await Promise.all([
+    store.getCampaign(id),
+    store.listRuns({ campaign_id: id }),
+    store.listPersonas({ campaign_id: id }),
+    store.getCampaignDocuments(id),
+    store.listResearchSnapshots(id),
+    listConversations({ campaign_id: id }),
+    store.getCampaignUsage(id)
+  ]);
+
+  return {
+    campaign,
+    runs: runs.map(run => ({
+      id: run.id,
+      mode: run.mode,
+      status: run.status,
+      persona_count: run.persona_ids.length,
+      exports: run.exports,
+      usage: run.usage || null,
+      created_at: run.created_at,
+      updated_at: run.updated_at
+    })),
+    personas: personas.map(persona => ({
+      id: persona.id,
+      name: persona.name,
+      run_id: persona.run_id,
+      source: persona.source,
+      current_version: persona.current_version,
+      current_kind: persona.current_kind,
+      updated_at: persona.updated_at
+    })),
+    documents: documents && {
+      file_urls: documents.file_urls,
+      processed_at: documents.processed_at,
+      files: documents.uploaded_data.documents.map(doc => ({ filename: doc.filename, type: doc.type }))
+    },
+    researchSnapshots: snapshots.map(snapshot => ({
+      run_id: snapshot.run_id,
+      categories: Object.keys(snapshot.research),
+      created_at: snapshot.created_at
+    })),
+    conversations,
+    usage: mergeUsage(...runs.map(run => run.usage), activityUsage)
+  };
+}
+
+/**
+ * The generation report for one of the campaign's runs (?run_id=, default the latest run with personas),
+ * including what the run cost in model calls - as JSON, or as the HTML report with ?format=html
+ */
+async function getRunReport(req, res, store, campaignId) {
+  const { run_id } = req.query;
+  if (run_id && !/^[A-Za-z0-9_-]+$/.test(run_id)) {
+    return res.status(400).json({
+      error: 'INVALID_REQUEST',
+      message: `Ids may only contain letters, numbers, dashes and underscores: ${run_id}`
+    });
+  }
+
+  const runId = run_id || (await store.getLatestPersonaSet(campaignId)).run_id;
+  const run = runId ? await store.getRun(runId) : null;
+  if (!run || run.campaign_id !== campaignId) {
+    return res.status(404).json({
+      error: 'RUN_NOT_FOUND',
+      message: run_id ? `No run ${run_id} in campaign ${campaignId}` : `Campaign ${campaignId} has no run with personas yet`
+    });
+  }
+
+  const [campaign, records, snapshots] = await Promise.all([
+    store.getCampaign(campaignId),
+    store.listPersonas({ run_id: run.id }),
+    store.listResearchSnapshots(campaignId)
+  ]);
+  const sheetExport = (run.exports || []).filter(exported => exported.target === 'google_sheets').pop();
+
+  const report = await generateReport({
+    personas: records.map(record => ({ ...record.data, persona_id: record.id })),
+    campaign_data: { matter: campaign.matter, target_description: campaign.target_description, keywords: campaign.keywords },
+    research_data: snapshots.find(snapshot => snapshot.run_id === run.id)?.research || null,
+    usage: run.usage || null,
+    sheets_url: sheetExport?.sheet_url,
+    session_id: run.id,
+    timestamp: run.completed_at || run.updated_at
+  });
+
+  if (req.query.format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(report.html_content);
+  }
+
+  return res.status(200).json({ success: true, runId: run.id, report: { report_id: report.report_id, summary: report.summary, timestamp: report.timestamp } });
+}
+
+function pickEditable(body = {}) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, typeof body[field] === 'string' ? body[field].trim() : body[field]])
+  );
+}
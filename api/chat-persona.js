@@ -1,8 +1,18 @@
 // ========================
 // api/chat-persona.js (Updated for Multi-AI)
 // ========================
-import Anthropic from '@anthropic-ai/sdk';
 import { getPersonaByName } from '../lib/sheetsService.js';
+import { getPersonaStore, meterCampaignUsage } from '../lib/personaStore.js';
+import {
+  createConversation,
+  getConversation,
+  appendTurn,
+  getContextWindow,
+  compactConversation
+} from '../lib/conversationStore.js';
+import { checkReplyConsistency, buildCorrectionNote, scoreConversationFidelity } from '../lib/consistencyAgent.js';
+import { buildPersonaSystemPrompt, PERSONA_MODEL_SETTINGS } from '../lib/personaPrompt.js';
+import { complete, streamCompletion, requireProfile, describeModelSettings } from '../lib/llmClient.js';
 
 export const config = {
   api: {
@@ -30,29 +40,73 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { persona_name, message, persona_attributes } = req.body;
+    const { persona_name, persona_id, campaign_id, run_id, message, persona_attributes, conversation_id, stream, check_consistency, regenerate_on_drift } = req.body;
+    // Checking a reply against the persona costs an extra model call, so it is opt-in; regenerating needs the check
+    const regenerate = regenerate_on_drift === true;
+    const consistencyOptions = { check: check_consistency === true || regenerate, regenerate };
 
     if (!message || !message.trim()) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    console.log('💬 Chat request received');
-
-    // Initialize Claude
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('Anthropic API key not configured');
+    // Continuing a conversation keeps its persona and history
+    let conversation = null;
+    if (conversation_id) {
+      conversation = /^[A-Za-z0-9_-]+$/.test(conversation_id) ? await getConversation(conversation_id) : null;
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'CONVERSATION_NOT_FOUND',
+          message: `No conversation found with id ${conversation_id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
     }
 
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+    console.log('💬 Chat request received');
 
-    let persona = null;
-    let chatType = '';
+    // Fail before any persona lookup when the persona model cannot be reached
+    requireProfile('persona');
+
+    let persona = conversation?.persona || null;
+    let chatType = conversation?.chat_type || '';
+    let campaignId = conversation?.campaign_id || null;
+
+    // A stored persona by id gets its full record, enrichment included
+    if (!persona && persona_id) {
+      const record = await getPersonaStore().findPersona({ persona_id, campaign_id, run_id });
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: 'PERSONA_NOT_FOUND',
+          message: `No persona found with id ${persona_id}${run_id ? ` in run ${run_id}` : campaign_id ? ` in campaign ${campaign_id}` : ''}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`🔍 Loaded persona ${record.id} (${record.current_kind} version ${record.current_version})`);
+      persona = { ...record.data, persona_id: record.id };
+      chatType = 'existing_persona';
+      campaignId = record.campaign_id;
+    }
 
-    // Handle existing persona from Google Sheets
-    if (persona_name && persona_name.trim()) {
+    // Handle existing persona from the persona store
+    if (!persona && persona_name && persona_name.trim()) {
       console.log(`🔍 Looking up persona: ${persona_name}`);
+      try {
+        const record = await getPersonaStore().getPersonaByName(persona_name.trim());
+        if (record) {
+          persona = { ...record.data, persona_id: record.id };
+          chatType = 'existing_persona';
+          campaignId = record.campaign_id;
+        }
+      } catch (error) {
+        console.warn(`Persona store lookup failed: ${error.message}`);
+      }
+    }
+
+    // Fall back to personas written to Google Sheets before the persona store existed
+    if (!persona && persona_name && persona_name.trim() && process.env.GOOGLE_SHEETS_ID) {
       try {
         persona = await getPersonaByName(persona_name.trim());
         chatType = 'existing_persona';
@@ -83,37 +137,39 @@ export default async function handler(req, res) {
       chatType = 'generic_persona';
     }
 
-    console.log(`🎭 Chatting with persona: ${persona.name}`);
+    if (!conversation) {
+      conversation = await createConversation({ persona, chat_type: chatType, campaign_id: campaignId, model_settings: describeModelSettings('persona', PERSONA_MODEL_SETTINGS) });
+      console.log(`🆕 Conversation started: ${conversation.id}`);
+    }
+
+    console.log(`🎭 Chatting with persona: ${persona.name} (${conversation.messages.length / 2} previous turns)`);
 
-    // Build system prompt for persona consistency
-    const systemPrompt = buildPersonaSystemPrompt(persona);
+    // Build system prompt for persona consistency, with a summary of turns that no longer fit
+    const { summary, messages: history } = getContextWindow(conversation);
+    const systemPrompt = buildPersonaSystemPrompt(persona, { conversationSummary: summary });
 
-    // Generate response with Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 1000,
-      temperature: 0.7,
+    const completion = {
+      ...PERSONA_MODEL_SETTINGS,
       system: systemPrompt,
       messages: [
+        ...history,
         { role: 'user', content: message.trim() }
       ]
-    });
-
-    const personaResponse = response.content[0].text;
+    };
 
-    console.log('✅ Chat response generated');
-
-    return res.status(200).json({
-      success: true,
-      persona_name: persona.name,
-      persona_response: personaResponse,
-      timestamp: new Date().toISOString(),
-      chat_type: chatType,
-      conversation_id: `${persona.name}_${Date.now()}` // For future conversation tracking
-    });
+    // The reply, its consistency check, any regeneration and the history summary count toward the campaign's usage
+    const reply = stream ? streamPersonaReply : sendPersonaReply;
+    return await meterCampaignUsage(conversation.campaign_id, { stage: 'chat', persona: persona.name }, () =>
+      reply(res, { conversation, persona, chatType, message: message.trim(), completion, consistencyOptions }));
 
   } catch (error) {
     console.error('💥 Chat error:', error.message);
+
+    // A streaming reply has already sent its headers - report the failure on the stream
+    if (res.headersSent) {
+      writeEvent(res, 'error', { message: 'I apologize, but I\'m having trouble responding right now. Please try again in a moment.' });
+      return res.end();
+    }
     
     // Return a graceful error response
     return res.status(500).json({ 
@@ -126,50 +182,193 @@ export default async function handler(req, res) {
 }
 
 /**
- * Build system prompt for persona consistency
+ * Generate the persona's reply and send it, with the saved turn's details, as one JSON response
  */
-function buildPersonaSystemPrompt(persona) {
-  const motivations = Array.isArray(persona.motivations) 
-    ? persona.motivations.join(', ') 
-    : persona.motivations;
-  
-  const barriers = Array.isArray(persona.barriers) 
-    ? persona.barriers.join(', ') 
-    : persona.barriers;
+async function sendPersonaReply(res, { conversation, persona, chatType, message, completion, consistencyOptions }) {
+  const response = await complete('persona', completion);
+
+  console.log('✅ Chat response generated');
+
+  const { reply: personaResponse, consistency } = await enforceConsistency(persona, completion, response.text, consistencyOptions);
+
+  conversation = await saveTurn(conversation, persona, message, personaResponse, consistency);
+
+  return res.status(200).json({
+    success: true,
+    persona_name: persona.name,
+    persona_response: personaResponse,
+    timestamp: new Date().toISOString(),
+    chat_type: chatType,
+    conversation_id: conversation.id,
+    turn_count: conversation.messages.length / 2,
+    consistency,
+    fidelity: scoreConversationFidelity(conversation)
+  });
+}
 
-  return `You are ${persona.name}.
+/**
+ * Stream the persona's reply over Server-Sent Events as tokens arrive.
+ * Events: start (conversation details), token ({ text }), done (full reply), error.
+ * The consistency check runs once the reply has streamed; a regenerated reply replaces the
+ * streamed text in the done event. If the client disconnects the model request is aborted
+ * and the turn is not saved.
+ */
+async function streamPersonaReply(res, { conversation, persona, chatType, message, completion, consistencyOptions }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  writeEvent(res, 'start', {
+    persona_name: persona.name,
+    chat_type: chatType,
+    conversation_id: conversation.id
+  });
+
+  const controller = new AbortController();
+
+  let cancelled = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      cancelled = true;
+      controller.abort();
+    }
+  });
 
-BACKGROUND: ${persona.bio}
+  let streamedResponse;
+  try {
+    const streamed = await streamCompletion('persona', completion, {
+      onText: text => writeEvent(res, 'token', { text }),
+      signal: controller.signal
+    });
+    streamedResponse = streamed.text;
+  } catch (error) {
+    if (cancelled) {
+      console.log(`🛑 Chat stream cancelled by client: ${conversation.id}`);
+      return;
+    }
+    throw error;
+  }
 
-YOUR CHARACTERISTICS:
-- Motivations: ${motivations}
-- Main Concerns: ${barriers}
-- Communication Style: ${persona.communication_style}
-- Case Type: ${persona.case_type}
+  console.log('✅ Chat response streamed');
 
-CRITICAL INSTRUCTIONS:
-1. Stay completely in character as ${persona.name} throughout the conversation
-2. Respond authentically based on your background and concerns
-3. Use your specified communication style consistently
-4. Remember you are someone who might need legal help
-5. Respond as a real person would, not as an AI assistant
-6. Keep responses conversational and natural, typically 1-3 sentences
-7. Show emotion and personality that matches your character
+  const { reply: personaResponse, consistency } = await enforceConsistency(persona, completion, streamedResponse, consistencyOptions);
 
-${persona.example_quote ? `Example of how you speak: "${persona.example_quote}"` : ''}
+  conversation = await saveTurn(conversation, persona, message, personaResponse, consistency);
 
-Never break character or mention that you are an AI. You are ${persona.name}, and this is a real conversation.`;
+  writeEvent(res, 'done', {
+    success: true,
+    persona_name: persona.name,
+    persona_response: personaResponse,
+    timestamp: new Date().toISOString(),
+    chat_type: chatType,
+    conversation_id: conversation.id,
+    turn_count: conversation.messages.length / 2,
+    consistency,
+    fidelity: scoreConversationFidelity(conversation)
+  });
+  res.end();
 }
 
 /**
- * Generate a quick persona from description
+ * Check the reply against the persona and, when asked, regenerate a drifted reply once with the
+ * contradictions pointed out. The regenerated reply is kept only if it checks out better.
  */
-async function generateQuickPersona(description) {
+async function enforceConsistency(persona, completion, reply, { check, regenerate }) {
+  if (!check) {
+    return { reply, consistency: null };
+  }
+
+  const history = completion.messages.slice(0, -1);
+  const consistency = await checkReplyConsistency(persona, reply, { history });
+
+  if (consistency.consistent || !regenerate) {
+    if (!consistency.consistent) {
+      console.log(`⚠️ ${persona.name} drifted from the persona record: ${consistency.contradictions.map(found => found.field).join(', ')}`);
+    }
+    return { reply, consistency };
+  }
+
+  console.log(`🔁 Regenerating reply from ${persona.name} (${consistency.contradictions.length} contradictions)`);
+
   try {
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+    const response = await complete('persona', {
+      ...completion,
+      temperature: 0.4,
+      system: `${completion.system}\n\n${buildCorrectionNote(persona, consistency.contradictions)}`
     });
 
+    const regenerated = response.text;
+    const recheck = await checkReplyConsistency(persona, regenerated, { history });
+    const weight = result => result.contradictions.reduce((sum, found) => sum + (found.severity === 'major' ? 3 : 1), 0);
+
+    if (weight(recheck) < weight(consistency)) {
+      return {
+        reply: regenerated,
+        consistency: { ...recheck, regenerated: true, original_contradictions: consistency.contradictions }
+      };
+    }
+  } catch (error) {
+    console.warn(`Reply regeneration failed: ${error.message}`);
+  }
+
+  return { reply, consistency: { ...consistency, regenerated: false } };
+}
+
+/**
+ * Record the exchange, then fold older turns into the summary. Summarizing is
+ * best-effort; the context window is trimmed either way.
+ */
+async function saveTurn(conversation, persona, message, personaResponse, consistency) {
+  conversation = await appendTurn(conversation.id, message, personaResponse, { consistency });
+
+  try {
+    conversation = await compactConversation(conversation.id, (previousSummary, messages) =>
+      summarizeConversation(persona, previousSummary, messages));
+  } catch (error) {
+    console.warn(`Conversation summary failed: ${error.message}`);
+  }
+
+  return conversation;
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Fold older turns into the running conversation summary
+ */
+async function summarizeConversation(persona, previousSummary, messages) {
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'Interviewer' : persona.name}: ${msg.content}`)
+    .join('\n');
+
+  const prompt = `Summarize this interview with ${persona.name} so the conversation can continue consistently.
+Keep every fact ${persona.name} stated about themselves, opinions and commitments they expressed, and the topics already covered.
+Write in third person, as concise bullet points.
+
+${previousSummary ? `SUMMARY SO FAR:\n${previousSummary}\n\n` : ''}NEW TURNS:
+${transcript}
+
+Return ONLY the updated summary.`;
+
+  const response = await complete('analysis', {
+    max_tokens: 800,
+    temperature: 0.2,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  return response.text.trim();
+}
+
+/**
+ * Generate a quick persona from description
+ */
+async function generateQuickPersona(description) {
+  try {
     const prompt = `Create a realistic persona for chat based on this description: ${description}
 
 Return ONLY JSON:
@@ -183,14 +382,13 @@ Return ONLY JSON:
   "example_quote": "something they might say"
 }`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+    const response = await complete('generation', {
       max_tokens: 800,
       temperature: 0.6,
       messages: [{ role: 'user', content: prompt }]
     });
 
-    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
+    const jsonMatch = response.text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
       throw new Error('Could not generate quick persona');
     }
@@ -0,0 +1,120 @@
+// api/compliance.js - Attorney-Advertising Compliance Checks and Per-State Rule Packs
+import { normalizeCreatives } from '../lib/creativeAgent.js';
+import { checkCreativesCompliance } from '../lib/complianceAgent.js';
+import { meterCampaignUsage } from '../lib/personaStore.js';
+import { getRulePack, listRulePacks, saveRulePack, validateRule, normalizeState } from '../lib/complianceRules.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { action, state } = req.query;
+
+  try {
+    if (action === 'rules') {
+      if (req.method === 'GET') {
+        return state
+          ? res.status(200).json({ success: true, rulePack: await getRulePack(state) })
+          : res.status(200).json({ success: true, rulePacks: listRulePacks() });
+      }
+
+      if (req.method === 'PUT' && state) {
+        return await configureRulePack(req, res, state);
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let creatives;
+    try {
+      creatives = normalizeCreatives(req.body.creatives);
+    } catch (creativeError) {
+      return res.status(400).json({
+        error: 'INVALID_CREATIVES',
+        message: creativeError.message
+      });
+    }
+
+    if (creatives.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'At least one creative with a headline, body or image description is required'
+      });
+    }
+
+    // The review counts toward a campaign's usage when the check is made for one
+    const { campaign_id } = req.body;
+    if (campaign_id && !/^[A-Za-z0-9_-]+$/.test(String(campaign_id))) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: `Ids may only contain letters, numbers, dashes and underscores: ${campaign_id}`
+      });
+    }
+
+    const report = await meterCampaignUsage(campaign_id || null, { stage: 'compliance' }, () =>
+      checkCreativesCompliance(creatives, { state: req.body.state }));
+    return res.status(200).json({ success: true, ...report });
+
+  } catch (error) {
+    console.error('💥 Compliance request error:', error.message);
+
+    return res.status(500).json({
+      error: 'COMPLIANCE_CHECK_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Replace a state's configured rules: { rules: [...], disabled_rules: ["rule_id", ...] }.
+ * Configured rules add to the built-in pack, or replace a built-in rule with the same id.
+ */
+async function configureRulePack(req, res, state) {
+  const code = normalizeState(state);
+  const { rules = [], disabled_rules = [] } = req.body || {};
+
+  if (code === 'DEFAULT' && String(state).toUpperCase() !== 'DEFAULT') {
+    return res.status(400).json({
+      error: 'INVALID_STATE',
+      message: 'State must be a two-letter code (e.g. NY) or DEFAULT'
+    });
+  }
+
+  if (!Array.isArray(rules) || !Array.isArray(disabled_rules)) {
+    return res.status(400).json({
+      error: 'INVALID_RULE_PACK',
+      message: 'rules and disabled_rules must be arrays'
+    });
+  }
+
+  const errors = rules.flatMap(rule => validateRule(rule));
+  if (errors.length) {
+    return res.status(400).json({
+      error: 'INVALID_RULE_PACK',
+      message: `Rule pack has ${errors.length} problem(s)`,
+      details: errors
+    });
+  }
+
+  await saveRulePack(code, { rules, disabled_rules: disabled_rules.map(String) });
+  console.log(`⚖️ Rule pack configured for ${code}: ${rules.length} rules, ${disabled_rules.length} disabled`);
+
+  return res.status(200).json({ success: true, rulePack: await getRulePack(code) });
+}
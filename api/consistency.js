@@ -0,0 +1,139 @@
+// api/consistency.js - Audit a Chat or Focus Group Transcript for Persona Drift
+import { checkReplyConsistency, scoreConversationFidelity, scoreFocusGroupFidelity } from '../lib/consistencyAgent.js';
+import { getConversation, recordConsistencyChecks } from '../lib/conversationStore.js';
+import { getFocusGroup, recordTurnConsistency } from '../lib/focusGroupStore.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { meterCampaignUsage } from '../lib/personaStore.js';
+import { withUsageScope } from '../lib/usageTracker.js';
+
+// Replies are checked in parallel batches, like poll answers
+const CHECK_CONCURRENCY = 5;
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { conversation_id, focus_group_id, recheck } = req.body || {};
+  const id = conversation_id || focus_group_id;
+
+  try {
+    if (!id || (conversation_id && focus_group_id)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Provide either a conversation_id or a focus_group_id to check'
+      });
+    }
+
+    if (conversation_id) {
+      const conversation = /^[A-Za-z0-9_-]+$/.test(conversation_id) ? await getConversation(conversation_id) : null;
+      if (!conversation) {
+        return res.status(404).json({
+          error: 'CONVERSATION_NOT_FOUND',
+          message: `No conversation found with id ${conversation_id}`
+        });
+      }
+
+      const replies = conversation.messages
+        .map((message, index) => ({ message, index }))
+        .filter(({ message }) => message.role === 'assistant' && (recheck || !message.consistency))
+        .map(({ message, index }) => ({
+          key: index,
+          persona: conversation.persona,
+          text: message.content,
+          history: conversation.messages.slice(0, index).map(({ role, content }) => ({ role, content }))
+        }));
+
+      const checks = await checkReplies(replies, conversation.campaign_id);
+      const updated = Object.keys(checks).length ? await recordConsistencyChecks(conversation.id, checks) : conversation;
+
+      return res.status(200).json(auditResponse({ conversationId: conversation.id }, updated.messages
+        .map((message, index) => ({ index, speaker: conversation.persona_name, text: message.content, consistency: message.consistency }))
+        .filter(reply => reply.consistency), checks, scoreConversationFidelity(updated)));
+    }
+
+    const session = /^[A-Za-z0-9_-]+$/.test(focus_group_id) ? await getFocusGroup(focus_group_id) : null;
+    if (!session) {
+      return res.status(404).json({
+        error: 'FOCUS_GROUP_NOT_FOUND',
+        message: `No focus group found with id ${focus_group_id}`
+      });
+    }
+
+    const replies = session.transcript
+      .filter(turn => turn.persona_id && !turn.error && (recheck || !turn.consistency))
+      .map(turn => {
+        const participant = session.participants.find(candidate => candidate.persona_id === turn.persona_id);
+        return {
+          key: turn.seq,
+          persona: participant.persona,
+          text: turn.text,
+          // The participant's own earlier turns count as theirs; everyone else is another voice in the room
+          history: session.transcript
+            .filter(earlier => earlier.seq < turn.seq && !earlier.error)
+            .map(earlier => ({
+              role: earlier.persona_id === turn.persona_id ? 'assistant' : 'user',
+              speaker: earlier.speaker,
+              content: earlier.text
+            }))
+        };
+      });
+
+    const checks = await checkReplies(replies, session.campaign_id);
+    const updated = Object.keys(checks).length ? await recordTurnConsistency(session.id, checks) : session;
+
+    return res.status(200).json(auditResponse({ focusGroupId: session.id }, updated.transcript
+      .filter(turn => turn.consistency)
+      .map(turn => ({ seq: turn.seq, speaker: turn.speaker, text: turn.text, consistency: turn.consistency })), checks, scoreFocusGroupFidelity(updated)));
+
+  } catch (error) {
+    console.error(`💥 Consistency check error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'CONSISTENCY_CHECK_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Check each reply against its persona, metered against the campaign; returns the checks keyed by reply key
+ */
+async function checkReplies(replies, campaignId) {
+  const checks = {};
+
+  await meterCampaignUsage(campaignId, { stage: 'consistency' }, () => mapWithConcurrency(replies, CHECK_CONCURRENCY, async reply => {
+    checks[reply.key] = await withUsageScope({ persona: reply.persona.name }, () =>
+      checkReplyConsistency(reply.persona, reply.text, { history: reply.history }));
+  }));
+
+  console.log(`🧭 Checked ${replies.length} replies: ${Object.values(checks).filter(check => !check.consistent).length} drifted`);
+  return checks;
+}
+
+function auditResponse(ids, checkedReplies, checks, fidelity) {
+  return {
+    success: true,
+    ...ids,
+    newlyChecked: Object.keys(checks).length,
+    fidelity,
+    flagged: checkedReplies.filter(reply => !reply.consistency.consistent),
+    timestamp: new Date().toISOString()
+  };
+}
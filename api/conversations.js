@@ -0,0 +1,95 @@
+// api/conversations.js - Persona Chat Conversations: List, Search, Resume and Export Transcripts
+import { getConversation, listConversations } from '../lib/conversationStore.js';
+import { scoreConversationFidelity } from '../lib/consistencyAgent.js';
+import { TRANSCRIPT_FORMATS, exportTranscript } from '../lib/transcriptExport.js';
+import { getPersonaStore } from '../lib/personaStore.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, action, persona_id, persona_name, campaign_id, q } = req.query;
+
+  try {
+    if (!id) {
+      const conversations = await listConversations({ persona_id, persona_name, campaign_id, query: q });
+      return res.status(200).json({ success: true, conversations });
+    }
+
+    const conversation = /^[A-Za-z0-9_-]+$/.test(id) ? await getConversation(id) : null;
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'CONVERSATION_NOT_FOUND',
+        message: `No conversation found with id ${id}`
+      });
+    }
+
+    if (action === 'export') {
+      return await sendTranscript(req, res, conversation);
+    }
+
+    // Everything a client needs to redraw the chat and keep sending with this conversation_id
+    return res.status(200).json({
+      success: true,
+      conversation_id: conversation.id,
+      persona_name: conversation.persona_name,
+      persona_id: conversation.persona_id,
+      campaign_id: conversation.campaign_id,
+      chat_type: conversation.chat_type,
+      persona: conversation.persona,
+      model_settings: conversation.model_settings || null,
+      messages: conversation.messages,
+      turn_count: conversation.messages.length / 2,
+      summary: conversation.summary,
+      summarized_count: conversation.summarized_count,
+      fidelity: scoreConversationFidelity(conversation),
+      created_at: conversation.created_at,
+      updated_at: conversation.updated_at,
+      exportUrls: Object.fromEntries(Object.keys(TRANSCRIPT_FORMATS)
+        .map(format => [format, `/api/conversations/${conversation.id}/export?format=${format}`]))
+    });
+
+  } catch (error) {
+    console.error(`💥 Conversation request error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'CONVERSATION_REQUEST_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Download the transcript as a deliverable: ?format=markdown (default), json, html or csv
+ */
+async function sendTranscript(req, res, conversation) {
+  const format = req.query.format || 'markdown';
+
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'INVALID_FORMAT',
+      message: `format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+    });
+  }
+
+  const campaign = conversation.campaign_id ? await getPersonaStore().getCampaign(conversation.campaign_id) : null;
+  const { filename, contentType, body } = exportTranscript(conversation, format, { campaign });
+
+  console.log(`📄 Exported conversation ${conversation.id} as ${format}`);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.status(200).send(body);
+}
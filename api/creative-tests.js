@@ -0,0 +1,180 @@
+// api/creative-tests.js - Test Ad Creatives Against a Persona Set and Rank Them
+import { v4 as uuidv4 } from 'uuid';
+import { getPersonaStore, invalidPersonaSetIds, meterCampaignUsage } from '../lib/personaStore.js';
+import { normalizeCreatives, testCreatives, summarizeCreativeTest } from '../lib/creativeAgent.js';
+import { generateCreativeComparison, generateComparisonHTML } from '../lib/reportAgent.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const store = getPersonaStore();
+
+  if (req.method === 'GET') {
+    return await getCreativeTests(req, res, store);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const testId = uuidv4();
+
+  try {
+    const { campaign_id, run_id, persona_ids } = req.body;
+
+    let creatives;
+    try {
+      creatives = normalizeCreatives(req.body.creatives);
+    } catch (creativeError) {
+      return res.status(400).json({
+        error: 'INVALID_CREATIVES',
+        message: creativeError.message
+      });
+    }
+
+    if (creatives.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'At least one creative with a headline, body, image description or image URL is required'
+      });
+    }
+
+    if (!campaign_id && !run_id && !(Array.isArray(persona_ids) && persona_ids.length > 0)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Provide a campaign_id, run_id or persona_ids to choose who sees the creatives'
+      });
+    }
+
+    const invalidIds = invalidPersonaSetIds({ campaign_id, run_id, persona_ids });
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: `Ids may only contain letters, numbers, dashes and underscores: ${invalidIds.join(', ')}`,
+        testId: testId
+      });
+    }
+
+    const personaSet = await store.resolvePersonaSet({ campaign_id, run_id, persona_ids });
+
+    if (personaSet.personas.length === 0) {
+      return res.status(404).json({
+        error: 'NO_PERSONAS',
+        message: 'No personas found for this campaign or persona set - generate personas first',
+        testId: testId
+      });
+    }
+
+    console.log(`🖼️ [${testId}] Testing ${creatives.length} creatives with ${personaSet.personas.length} personas (${personaSet.description})`);
+
+    const personas = personaSet.personas.map(record => ({ ...record.data, persona_id: record.id }));
+    const results = await meterCampaignUsage(personaSet.campaign_id, { stage: 'creative_testing' }, () => testCreatives(personas, creatives));
+    const summary = summarizeCreativeTest(creatives, results);
+
+    const creativeTest = await store.saveCreativeTest({
+      id: testId,
+      campaign_id: personaSet.campaign_id,
+      run_id: personaSet.run_id,
+      persona_ids: personaSet.personas.map(record => record.id),
+      creatives,
+      summary,
+      results,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`✅ [${testId}] Creative test complete - top creative: ${summary.winner || 'none'}`);
+
+    return res.status(200).json({
+      success: true,
+      testId: creativeTest.id,
+      campaignId: creativeTest.campaign_id,
+      runId: creativeTest.run_id,
+      creatives,
+      summary,
+      results,
+      timestamp: creativeTest.created_at
+    });
+
+  } catch (error) {
+    console.error(`💥 [${testId}] Creative test error:`, error.message);
+
+    return res.status(500).json({
+      error: 'CREATIVE_TEST_FAILED',
+      message: error.message,
+      testId: testId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * A stored creative test by id (or its comparison report), or the tests of a campaign or run
+ */
+async function getCreativeTests(req, res, store) {
+  const { id, action, campaign_id, run_id } = req.query;
+
+  try {
+    if (!id) {
+      const tests = await store.listCreativeTests({ campaign_id, run_id });
+      return res.status(200).json({
+        success: true,
+        creativeTests: tests.map(({ results, ...test }) => test)
+      });
+    }
+
+    const creativeTest = /^[A-Za-z0-9_-]+$/.test(id) ? await store.getCreativeTest(id) : null;
+    if (!creativeTest) {
+      return res.status(404).json({
+        error: 'CREATIVE_TEST_NOT_FOUND',
+        message: `No creative test found with id ${id}`
+      });
+    }
+
+    if (action === 'report') {
+      return await getComparisonReport(req, res, store, creativeTest);
+    }
+
+    return res.status(200).json({ success: true, creativeTest });
+
+  } catch (error) {
+    console.error(`💥 Creative test lookup error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'CREATIVE_TEST_LOOKUP_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Head-to-head comparison of a test's creatives as JSON, or as a shareable HTML page with ?format=html
+ */
+async function getComparisonReport(req, res, store, creativeTest) {
+  const personaSet = await store.resolvePersonaSet({ persona_ids: creativeTest.persona_ids });
+  const personas = personaSet.personas.map(record => ({ ...record.data, persona_id: record.id }));
+  const report = generateCreativeComparison(creativeTest, personas);
+
+  if (req.query.format === 'html') {
+    const campaign = creativeTest.campaign_id ? await store.getCampaign(creativeTest.campaign_id) : null;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(generateComparisonHTML(report, {
+      title: campaign ? `${campaign.name} - Creative Comparison` : undefined
+    }));
+  }
+
+  return res.status(200).json({ success: true, report });
+}
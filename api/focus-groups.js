@@ -0,0 +1,360 @@
+// api/focus-groups.js - Moderated Focus Group Sessions with a Group of Personas
+import { v4 as uuidv4 } from 'uuid';
+import { waitUntil } from '@vercel/functions';
+import { getPersonaStore, invalidPersonaSetIds, meterCampaignUsage } from '../lib/personaStore.js';
+import {
+  MODERATOR_MODES,
+  DEFAULT_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  MAX_REACTION_ROUNDS,
+  validateDiscussionGuide,
+  selectParticipants,
+  discussQuestion,
+  runModeratedDiscussion,
+  summarizeFocusGroup
+} from '../lib/focusGroupAgent.js';
+import {
+  createFocusGroup,
+  getFocusGroup,
+  listFocusGroups,
+  appendFocusGroupTurns,
+  saveFocusGroupSummary,
+  finishFocusGroup
+} from '../lib/focusGroupStore.js';
+import { scoreFocusGroupFidelity } from '../lib/consistencyAgent.js';
+import { createJob, updateJobStage, appendJobEvent, completeJob, failJob } from '../lib/jobStore.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, action } = req.query;
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') {
+        const focusGroups = await listFocusGroups({ campaign_id: req.query.campaign_id });
+        return res.status(200).json({ success: true, focusGroups });
+      }
+
+      if (req.method === 'POST') {
+        return await startFocusGroup(req, res);
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const session = /^[A-Za-z0-9_-]+$/.test(id) ? await getFocusGroup(id) : null;
+    if (!session) {
+      return res.status(404).json({
+        error: 'FOCUS_GROUP_NOT_FOUND',
+        message: `No focus group found with id ${id}`
+      });
+    }
+
+    if (action === 'ask') {
+      return req.method === 'POST'
+        ? await askGroup(req, res, session)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (action === 'summary') {
+      return req.method === 'POST'
+        ? await closeWithSummary(req, res, session)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, focusGroup: session, fidelity: scoreFocusGroupFidelity(session) });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error(`💥 Focus group request error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'FOCUS_GROUP_REQUEST_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Seat a group and open the session. With moderator "user" the caller asks each question;
+ * with moderator "ai" the discussion guide is run as a job and summarized when it ends.
+ */
+async function startFocusGroup(req, res) {
+  const { topic, moderator = 'user', guide, campaign_id, run_id, persona_ids } = req.body || {};
+  const focusGroupId = uuidv4();
+
+  if (!topic || !String(topic).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'A topic is required'
+    });
+  }
+
+  if (!MODERATOR_MODES.includes(moderator)) {
+    return res.status(400).json({
+      error: 'INVALID_MODERATOR',
+      message: `moderator must be one of ${MODERATOR_MODES.join(', ')}`
+    });
+  }
+
+  if (!campaign_id && !run_id && !(Array.isArray(persona_ids) && persona_ids.length > 0)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'Provide a campaign_id, run_id or persona_ids to choose who takes part'
+    });
+  }
+
+  const invalidIds = invalidPersonaSetIds({ campaign_id, run_id, persona_ids });
+  if (invalidIds.length > 0) {
+    return res.status(400).json({
+      error: 'INVALID_REQUEST',
+      message: `Ids may only contain letters, numbers, dashes and underscores: ${invalidIds.join(', ')}`
+    });
+  }
+
+  const size = req.body.max_participants === undefined ? DEFAULT_PARTICIPANTS : Number(req.body.max_participants);
+  if (!Number.isInteger(size) || size < 2 || size > MAX_PARTICIPANTS) {
+    return res.status(400).json({
+      error: 'INVALID_PARTICIPANTS',
+      message: `max_participants must be a whole number from 2 to ${MAX_PARTICIPANTS}`
+    });
+  }
+
+  const reactionRounds = parseReactionRounds(req.body.reaction_rounds);
+  if (reactionRounds === null) {
+    return res.status(400).json({
+      error: 'INVALID_REACTION_ROUNDS',
+      message: `reaction_rounds must be a whole number from 0 to ${MAX_REACTION_ROUNDS}`
+    });
+  }
+
+  let discussionGuide = null;
+  if (guide !== undefined || moderator === 'ai') {
+    const validation = validateDiscussionGuide(guide);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'INVALID_GUIDE',
+        message: moderator === 'ai' && guide === undefined
+          ? 'The AI moderator needs a discussion guide'
+          : `Discussion guide has ${validation.errors.length} problem(s)`,
+        details: validation.errors
+      });
+    }
+    discussionGuide = validation.guide;
+  }
+
+  const personaSet = await getPersonaStore().resolvePersonaSet({ campaign_id, run_id, persona_ids });
+  const personas = selectParticipants(personaSet.personas, size);
+
+  if (personas.length < 2) {
+    return res.status(404).json({
+      error: 'NO_PERSONAS',
+      message: 'A focus group needs at least two personas - generate personas first',
+      focusGroupId: focusGroupId
+    });
+  }
+
+  const session = await createFocusGroup(focusGroupId, {
+    topic: String(topic).trim(),
+    moderator,
+    guide: discussionGuide,
+    campaign_id: personaSet.campaign_id,
+    run_id: personaSet.run_id,
+    participants: personas.map(record => ({
+      persona_id: record.id,
+      name: record.data.name,
+      persona: { ...record.data, persona_id: record.id }
+    }))
+  });
+
+  console.log(`🗣️ [${focusGroupId}] Focus group opened with ${personas.length} of ${personaSet.personas.length} personas (${personaSet.description}), ${moderator} moderator`);
+
+  if (moderator === 'user') {
+    return res.status(201).json({ success: true, focusGroup: session });
+  }
+
+  return await runGuide(res, session, reactionRounds);
+}
+
+/**
+ * AI-moderated session as a job - respond with the job id, then discuss the guide and summarize
+ */
+async function runGuide(res, session, reactionRounds) {
+  const focusGroupId = session.id;
+
+  await createJob(focusGroupId, {
+    type: 'focus_group',
+    params: { topic: session.topic, questions: session.guide.questions.length, participants: session.participants.length }
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: focusGroupId,
+    focusGroupId: focusGroupId,
+    statusUrl: `/api/jobs/${focusGroupId}`,
+    resultsUrl: `/api/focus-groups/${focusGroupId}`,
+    participants: session.participants.map(participant => participant.name),
+    timestamp: new Date().toISOString()
+  });
+
+  waitUntil(meterCampaignUsage(session.campaign_id, { stage: 'focus_group' }, () => moderateSession(session, reactionRounds)));
+}
+
+/**
+ * Discuss every guide question, then summarize the session and close it and its job
+ */
+async function moderateSession(session, reactionRounds) {
+  const focusGroupId = session.id;
+
+  try {
+    await updateJobStage(focusGroupId, 'discussion');
+
+    await runModeratedDiscussion(session, session.guide, {
+      reactionRounds,
+      onQuestion: async (index, total) => {
+        await updateJobStage(focusGroupId, 'discussion', {
+          progress: (index / total) * 100,
+          detail: `Question ${index + 1}/${total}`
+        });
+      },
+      onTurn: async turn => {
+        await appendFocusGroupTurns(focusGroupId, [turn]);
+        await appendJobEvent(focusGroupId, 'focus_group_turn', {
+          type: turn.type,
+          speaker: turn.speaker,
+          question_id: turn.question_id,
+          text: turn.text,
+          error: turn.error
+        });
+      }
+    });
+
+    const discussed = await getFocusGroup(focusGroupId);
+    await updateJobStage(focusGroupId, 'discussion', { status: 'completed', detail: `${discussed.transcript.length} turns` });
+
+    await updateJobStage(focusGroupId, 'synthesis');
+    const summary = await summarizeFocusGroup(discussed);
+    await saveFocusGroupSummary(focusGroupId, summary);
+    await finishFocusGroup(focusGroupId, { status: 'completed' });
+
+    await completeJob(focusGroupId, {
+      focusGroupId,
+      resultsUrl: `/api/focus-groups/${focusGroupId}`,
+      turns: discussed.transcript.length,
+      summary
+    });
+    console.log(`🎉 [${focusGroupId}] Focus group completed`);
+
+  } catch (error) {
+    console.error(`💥 [${focusGroupId}] Focus group failed: ${error.message}`);
+
+    await failJob(focusGroupId, {
+      statusCode: 500,
+      error: 'FOCUS_GROUP_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }).catch(jobError => console.error(`❌ [${focusGroupId}] Could not record job failure: ${jobError.message}`));
+
+    await finishFocusGroup(focusGroupId, { status: 'failed', error: error.message })
+      .catch(storeError => console.error(`❌ [${focusGroupId}] Could not record focus group failure: ${storeError.message}`));
+  }
+}
+
+/**
+ * The user, as moderator, puts a question to the group; the answers and reactions come back in order
+ */
+async function askGroup(req, res, session) {
+  const { question } = req.body || {};
+
+  if (session.moderator !== 'user' || session.status !== 'open') {
+    return res.status(409).json({
+      error: 'FOCUS_GROUP_CLOSED',
+      message: session.status !== 'open'
+        ? 'This focus group has ended - start a new session to keep talking'
+        : 'This focus group is run by the AI moderator'
+    });
+  }
+
+  if (!question || !String(question).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'A question is required'
+    });
+  }
+
+  const reactionRounds = parseReactionRounds(req.body.reaction_rounds);
+  if (reactionRounds === null) {
+    return res.status(400).json({
+      error: 'INVALID_REACTION_ROUNDS',
+      message: `reaction_rounds must be a whole number from 0 to ${MAX_REACTION_ROUNDS}`
+    });
+  }
+
+  const questionId = `q${session.transcript.filter(turn => turn.type === 'question').length + 1}`;
+  console.log(`🗣️ [${session.id}] Moderator asks ${questionId}: ${String(question).trim()}`);
+
+  const turns = await meterCampaignUsage(session.campaign_id, { stage: 'focus_group' }, () =>
+    discussQuestion(session, String(question).trim(), { questionId, reactionRounds }));
+  const updated = await appendFocusGroupTurns(session.id, turns);
+
+  return res.status(200).json({
+    success: true,
+    focusGroupId: session.id,
+    questionId,
+    turns: updated.transcript.slice(-turns.length),
+    turnCount: updated.transcript.length
+  });
+}
+
+/**
+ * Synthesize consensus, disagreements and surprises and close the session
+ */
+async function closeWithSummary(req, res, session) {
+  if (session.moderator === 'ai' && session.status === 'open') {
+    return res.status(409).json({
+      error: 'FOCUS_GROUP_IN_PROGRESS',
+      message: 'The AI moderator is still running this focus group - it is summarized when the guide is finished'
+    });
+  }
+
+  if (!session.transcript.some(turn => turn.persona_id && !turn.error)) {
+    return res.status(409).json({
+      error: 'FOCUS_GROUP_EMPTY',
+      message: 'Ask the group at least one question before summarizing'
+    });
+  }
+
+  const summary = await meterCampaignUsage(session.campaign_id, { stage: 'focus_group' }, () => summarizeFocusGroup(session));
+  await saveFocusGroupSummary(session.id, summary);
+  const closed = session.status === 'open'
+    ? await finishFocusGroup(session.id, { status: 'completed' })
+    : await getFocusGroup(session.id);
+
+  console.log(`✅ [${session.id}] Focus group summarized (${summary.consensus.length} consensus points, ${summary.disagreements.length} disagreements)`);
+
+  return res.status(200).json({ success: true, focusGroup: closed });
+}
+
+// Rounds of cross-talk after everyone answers; null when out of range
+function parseReactionRounds(value) {
+  const rounds = value === undefined ? 1 : Number(value);
+  return Number.isInteger(rounds) && rounds >= 0 && rounds <= MAX_REACTION_ROUNDS ? rounds : null;
+}
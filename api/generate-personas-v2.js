@@ -1,5 +1,20 @@
 // api/generate-personas-v2.js (Enhanced with Detailed Debugging)
 import { Readable } from 'stream';
+import { waitUntil } from '@vercel/functions';
+import { createJob, getJob, updateJobStage, setPartialResult, appendPartialResult, appendJobEvent, completeJob, failJob } from '../lib/jobStore.js';
+import {
+  loadCheckpoint,
+  startCheckpoint,
+  getStageOutput,
+  saveStageOutput,
+  getStageItems,
+  saveStageItem,
+  personaKeys,
+  getCompletedStages
+} from '../lib/checkpointStore.js';
+import { getPersonaStore, runPersonaId } from '../lib/personaStore.js';
+import { normalizeCreatives, testCreatives, summarizeCreativeTest } from '../lib/creativeAgent.js';
+import { createUsageLedger, trackUsage, withUsageScope, summarizeUsage, mergeUsage } from '../lib/usageTracker.js';
 
 export const config = {
   api: {
@@ -52,8 +67,29 @@ function parseForm(req) {
   });
 }
 
+// A running job that has not reported progress for this long is treated as dead and may be resumed
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+const FORM_FIELDS = [
+  'matter',
+  'keywords',
+  'target_description',
+  'persona_count',
+  'julius_personas_sheet_url',
+  'complaint_file_url',
+  'research_file_url',
+  'mri_file_url',
+  'targetsmart_file_url',
+  'client_file_url',
+  'campaign_id',
+  'reuse_research',
+  'creatives'
+];
+
+const FILE_URL_FIELDS = FORM_FIELDS.filter(field => field.endsWith('_file_url'));
+
 export default async function handler(req, res) {
-  const sessionId = Math.random().toString(36).substring(2, 8);
+  let sessionId = Math.random().toString(36).substring(2, 8);
 
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -84,6 +120,74 @@ export default async function handler(req, res) {
         details: parseError.message
       });
     }
+    // Resume: a session_id from an earlier run reuses its checkpoint and fills in its original form fields
+    let checkpoint = null;
+    if (req.body.session_id) {
+      const resumeId = String(req.body.session_id).trim();
+
+      if (!isValidId(resumeId)) {
+        return res.status(400).json({
+          error: 'INVALID_SESSION_ID',
+          message: 'Session id may only contain letters, numbers, dashes and underscores',
+          sessionId: resumeId
+        });
+      }
+
+      checkpoint = await loadCheckpoint(resumeId);
+      if (!checkpoint) {
+        return res.status(404).json({
+          error: 'SESSION_NOT_FOUND',
+          message: `No checkpointed run found for session ${resumeId}`,
+          sessionId: resumeId
+        });
+      }
+
+      const existingJob = await getJob(resumeId);
+      if (existingJob?.status === 'running' && Date.now() - Date.parse(existingJob.updated_at) < STALE_JOB_MS) {
+        return res.status(409).json({
+          error: 'JOB_IN_PROGRESS',
+          message: `Session ${resumeId} is still running - poll /api/jobs/${resumeId} instead`,
+          sessionId: resumeId
+        });
+      }
+
+      sessionId = resumeId;
+      req.body = { ...checkpoint.params, ...submittedFields(req.body) };
+      console.log(`♻️ [${sessionId}] Resuming run - completed stages: ${getCompletedStages(checkpoint).join(', ') || 'none'}`);
+    }
+
+    // Runs attached to a campaign inherit its matter, keywords, audience and uploaded files
+    let campaign = null;
+    if (req.body.campaign_id) {
+      const campaignId = String(req.body.campaign_id).trim();
+
+      campaign = isValidId(campaignId) ? await getPersonaStore().getCampaign(campaignId) : null;
+      if (!campaign) {
+        return res.status(404).json({
+          error: 'CAMPAIGN_NOT_FOUND',
+          message: `No campaign found with id ${campaignId}`,
+          sessionId: sessionId
+        });
+      }
+
+      if (campaign.status === 'archived') {
+        return res.status(409).json({
+          error: 'CAMPAIGN_ARCHIVED',
+          message: `Campaign "${campaign.name}" is archived - restore it before starting a new run`,
+          sessionId: sessionId
+        });
+      }
+
+      req.body = {
+        matter: campaign.matter,
+        keywords: campaign.keywords,
+        target_description: campaign.target_description,
+        ...campaign.file_urls,
+        ...submittedFields(req.body)
+      };
+      console.log(`🗂️ [${sessionId}] Using campaign "${campaign.name}" (${campaign.id})`);
+    }
+
     console.log(`🚀 [${sessionId}] === PERSONA GENERATION STARTED ===`);
     console.log(`📝 [${sessionId}] REQUEST DETAILS:`);
     console.log(`   - Method: ${req.method}`);
@@ -97,7 +201,10 @@ export default async function handler(req, res) {
       persona_count,
       julius_personas_sheet_url,
       complaint_file_url,
-      research_file_url
+      research_file_url,
+      mri_file_url,
+      targetsmart_file_url,
+      client_file_url
     } = req.body;
     
     console.log(`📋 [${sessionId}] FORM DATA RECEIVED:`);
@@ -110,10 +217,15 @@ export default async function handler(req, res) {
     console.log(`📎 [${sessionId}] BACKGROUND DOCUMENTS:`);
     console.log(`   - Complaint: ${complaint_file_url ? '✅ ' + complaint_file_url.substring(0, 50) + '...' : '❌ none'}`);
     console.log(`   - Research: ${research_file_url ? '✅ ' + research_file_url.substring(0, 50) + '...' : '❌ none'}`);
+    console.log(`📎 [${sessionId}] AUDIENCE DATA:`);
+    console.log(`   - MRI: ${mri_file_url ? '✅ ' + mri_file_url.substring(0, 50) + '...' : '❌ none'}`);
+    console.log(`   - TargetSmart: ${targetsmart_file_url ? '✅ ' + targetsmart_file_url.substring(0, 50) + '...' : '❌ none'}`);
+    console.log(`   - Client: ${client_file_url ? '✅ ' + client_file_url.substring(0, 50) + '...' : '❌ none'}`);
     
     // Count total files
-    const fileUrls = [complaint_file_url, research_file_url].filter(Boolean);
-    console.log(`📊 [${sessionId}] TOTAL FILES TO PROCESS: ${fileUrls.length}`);
+    const fileUrls = { complaint_file_url, research_file_url, mri_file_url, targetsmart_file_url, client_file_url };
+    const fileCount = Object.values(fileUrls).filter(Boolean).length;
+    console.log(`📊 [${sessionId}] TOTAL FILES TO PROCESS: ${fileCount}`);
     
     // Basic validation
     if (!matter || !keywords || !target_description) {
@@ -157,142 +269,179 @@ export default async function handler(req, res) {
       console.log(`✅ [${sessionId}] Google Sheets URL validated successfully`);
     }
     
+    // Ad creatives to show the finished personas - rejected up front rather than after a long run
+    let creatives;
+    try {
+      creatives = normalizeCreatives(req.body.creatives);
+    } catch (creativeError) {
+      console.log(`❌ [${sessionId}] VALIDATION FAILED: ${creativeError.message}`);
+      return res.status(400).json({
+        error: 'INVALID_CREATIVES',
+        message: creativeError.message,
+        sessionId: sessionId
+      });
+    }
+    console.log(`🖼️ [${sessionId}] Creatives to test: ${creatives.length || 'none'}`);
+
     console.log(`✅ [${sessionId}] VALIDATION PASSED`);
 
     // Determine workflow mode
     const isEnrichmentMode = !!julius_personas_sheet_url;
-    console.log(`🔄 [${sessionId}] WORKFLOW MODE: ${isEnrichmentMode ? 'ENRICHMENT' : 'GENERATION'}`);
-
-    if (isEnrichmentMode) {
-      // ENRICHMENT WORKFLOW: Import existing personas and enrich them
-      return await handlePersonaEnrichment(req, res, sessionId, {
-        matter,
-        keywords,
-        target_description,
-        julius_personas_sheet_url,
-        complaint_file_url,
-        research_file_url
-      });
+    const mode = isEnrichmentMode ? 'enrichment' : 'generation';
+    console.log(`🔄 [${sessionId}] WORKFLOW MODE: ${mode.toUpperCase()}`);
+
+    checkpoint = await startCheckpoint(sessionId, {
+      mode,
+      params: Object.fromEntries(FORM_FIELDS.map(field => [field, req.body[field] || '']))
+    });
+
+    // Every run belongs to a campaign in the persona store; a resumed run keeps its campaign
+    const personaStore = getPersonaStore();
+    const existingRun = await personaStore.getRun(sessionId);
+    const campaignId = existingRun?.campaign_id || campaign?.id ||
+      (await personaStore.findOrCreateCampaign({ matter, keywords, target_description })).id;
+
+    // Remember submitted files on the campaign so later runs can skip re-uploading them
+    const submittedFileUrls = submittedFields(fileUrls);
+    if (Object.keys(submittedFileUrls).length > 0) {
+      const { file_urls: campaignFileUrls = {} } = campaign || await personaStore.getCampaign(campaignId);
+      await personaStore.updateCampaign(campaignId, { file_urls: { ...campaignFileUrls, ...submittedFileUrls } });
     }
 
-    // GENERATION WORKFLOW: Original persona generation flow
-    // STEP 1: Process uploaded files
-    console.log(`📁 [${sessionId}] === STEP 1: PROCESSING UPLOADED FILES ===`);
-    let uploadedData = [];
-    
-    if (fileUrls.length > 0) {
+    await personaStore.startRun(sessionId, {
+      campaign_id: campaignId,
+      mode,
+      params: { matter, keywords, target_description, persona_count, julius_personas_sheet_url, file_count: fileCount }
+    });
+    console.log(`🗄️ [${sessionId}] Run stored under campaign ${campaignId}`);
+
+    const params = {
+      matter,
+      keywords,
+      target_description,
+      persona_count,
+      julius_personas_sheet_url,
+      fileUrls,
+      checkpoint,
+      campaignId,
+      creatives,
+      reuseResearch: ['true', 'on', '1'].includes(String(req.body.reuse_research))
+    };
+
+    await createJob(sessionId, {
+      type: mode,
+      params: { matter, keywords, target_description, persona_count, julius_personas_sheet_url, file_count: fileCount, creative_count: creatives.length },
+      resumed: checkpoint.resume_count > 0
+    });
+    console.log(`🗂️ [${sessionId}] Job created - status at /api/jobs/${sessionId}`);
+
+    res.status(202).json({
+      success: true,
+      jobId: sessionId,
+      sessionId: sessionId,
+      mode: mode,
+      campaignId: campaignId,
+      statusUrl: `/api/jobs/${sessionId}`,
+      resumed: checkpoint.resume_count > 0,
+      completedStages: getCompletedStages(checkpoint),
+      timestamp: new Date().toISOString()
+    });
+
+    // The client polls /api/jobs/:id; waitUntil keeps the function alive until the pipeline settles
+    waitUntil(runJob(sessionId, () => isEnrichmentMode
+      ? handlePersonaEnrichment(sessionId, params)
+      : handlePersonaGeneration(sessionId, params)));
+
+  } catch (error) {
+    console.error(`💥 [${sessionId}] FATAL ERROR: ${error.message}`);
+    console.error(`📍 [${sessionId}] Stack trace: ${error.stack}`);
+
+    if (res.headersSent) return;
+
+    return res.status(500).json({
+      error: 'PROCESSING_FAILED',
+      message: error.message,
+      sessionId: sessionId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Run a pipeline and record its outcome on the job; pipelines return { status, body }.
+ * Every model call the pipeline makes is metered, and the run's usage (added to any earlier
+ * attempts of a resumed run) is saved on the run and returned in the body's dataAnalysis.
+ */
+async function runJob(sessionId, pipeline) {
+  const ledger = createUsageLedger();
+  let earlierUsage = null;
+  const runUsage = () => mergeUsage(earlierUsage, summarizeUsage(ledger));
+
+  try {
+    earlierUsage = (await getPersonaStore().getRun(sessionId))?.usage;
+    const { status, body } = await trackUsage(ledger, pipeline);
+    const usage = runUsage();
+
+    if (status >= 400) {
+      console.log(`❌ [${sessionId}] Job failed with ${status}: ${body.error}`);
+      await failJob(sessionId, { statusCode: status, ...body });
+      await getPersonaStore().updateRun(sessionId, { status: 'failed', error: body.message || body.error, usage });
+      return;
+    }
+
+    await completeJob(sessionId, body.dataAnalysis ? { ...body, dataAnalysis: { ...body.dataAnalysis, usage } } : body);
+    await getPersonaStore().updateRun(sessionId, { status: 'completed', error: null, usage, completed_at: new Date().toISOString() });
+    console.log(`🎉 [${sessionId}] Job completed (${usage.calls} model calls, ${usage.input_tokens + usage.output_tokens} tokens, $${usage.cost_usd.toFixed(4)})`);
+
+  } catch (error) {
+    console.error(`💥 [${sessionId}] FATAL ERROR: ${error.message}`);
+    console.error(`📍 [${sessionId}] Stack trace: ${error.stack}`);
+
+    await failJob(sessionId, {
+      statusCode: 500,
+      error: 'PROCESSING_FAILED',
+      message: error.message,
+      sessionId: sessionId,
+      timestamp: new Date().toISOString()
+    }).catch(jobError => console.error(`❌ [${sessionId}] Could not record job failure: ${jobError.message}`));
+
+    await getPersonaStore().updateRun(sessionId, { status: 'failed', error: error.message, usage: runUsage() })
+      .catch(storeError => console.error(`❌ [${sessionId}] Could not record run failure: ${storeError.message}`));
+  }
+}
+
+/**
+ * Handle persona generation workflow
+ */
+async function handlePersonaGeneration(sessionId, params) {
+  const {
+    matter,
+    keywords,
+    target_description,
+    persona_count,
+    fileUrls,
+    checkpoint,
+    campaignId,
+    creatives,
+    reuseResearch
+  } = params;
+
+  // STEP 1: Process uploaded files
+  console.log(`📁 [${sessionId}] === STEP 1: PROCESSING UPLOADED FILES ===`);
+  await updateJobStage(sessionId, 'documents');
+  let uploadedData = getStageOutput(checkpoint, 'documents');
+
+  if (uploadedData) {
+    await restoreJobStage(sessionId, 'documents', `${uploadedData.documents.length} documents processed`);
+  } else {
+    uploadedData = { documents: [] };
+    let documentsLoaded = true;
+
+    if (Object.values(fileUrls).some(Boolean)) {
       try {
-        console.log(`📥 [${sessionId}] Importing document agent...`);
-        const { default: DocumentAgent } = await import('../lib/documentAgent.js');
-        console.log(`✅ [${sessionId}] Document agent imported successfully`);
-        
-        // Create file objects from URLs
-        const fileObjects = [];
-        
-        if (mri_file_url) {
-          console.log(`📄 [${sessionId}] Processing MRI file: ${mri_file_url}`);
-          try {
-            const response = await fetch(mri_file_url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: 'MRI_Data.xlsx',
-              mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-              buffer: Buffer.from(buffer)
-            });
-            console.log(`✅ [${sessionId}] MRI file downloaded: ${buffer.byteLength} bytes`);
-          } catch (error) {
-            console.log(`❌ [${sessionId}] MRI file download failed: ${error.message}`);
-          }
-        }
-        
-        if (targetsmart_file_url) {
-          console.log(`📄 [${sessionId}] Processing TargetSmart file: ${targetsmart_file_url}`);
-          try {
-            const response = await fetch(targetsmart_file_url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: 'TargetSmart_Data.xlsx',
-              mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-              buffer: Buffer.from(buffer)
-            });
-            console.log(`✅ [${sessionId}] TargetSmart file downloaded: ${buffer.byteLength} bytes`);
-          } catch (error) {
-            console.log(`❌ [${sessionId}] TargetSmart file download failed: ${error.message}`);
-          }
-        }
-        
-        if (client_file_url) {
-          console.log(`📄 [${sessionId}] Processing Client file: ${client_file_url}`);
-          try {
-            const response = await fetch(client_file_url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: 'Client_Data.xlsx',
-              mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-              buffer: Buffer.from(buffer)
-            });
-            console.log(`✅ [${sessionId}] Client file downloaded: ${buffer.byteLength} bytes`);
-          } catch (error) {
-            console.log(`❌ [${sessionId}] Client file download failed: ${error.message}`);
-          }
-        }
-        
-        if (complaint_file_url) {
-          console.log(`📄 [${sessionId}] Processing Complaint file: ${complaint_file_url}`);
-          try {
-            const response = await fetch(complaint_file_url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: 'Complaint.pdf',
-              mimeType: 'application/pdf',
-              buffer: Buffer.from(buffer)
-            });
-            console.log(`✅ [${sessionId}] Complaint file downloaded: ${buffer.byteLength} bytes`);
-          } catch (error) {
-            console.log(`❌ [${sessionId}] Complaint file download failed: ${error.message}`);
-          }
-        }
-        
-        if (research_file_url) {
-          console.log(`📄 [${sessionId}] Processing Research file: ${research_file_url}`);
-          try {
-            const response = await fetch(research_file_url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: 'Research.pdf',
-              mimeType: 'application/pdf',
-              buffer: Buffer.from(buffer)
-            });
-            console.log(`✅ [${sessionId}] Research file downloaded: ${buffer.byteLength} bytes`);
-          } catch (error) {
-            console.log(`❌ [${sessionId}] Research file download failed: ${error.message}`);
-          }
-        }
-        
-        console.log(`📊 [${sessionId}] FILES READY FOR PROCESSING: ${fileObjects.length}`);
-        
-        if (fileObjects.length > 0) {
-          console.log(`🔄 [${sessionId}] Calling DocumentAgent.processFiles()...`);
-          uploadedData = await DocumentAgent.processFiles(fileObjects);
-          console.log(`✅ [${sessionId}] Document processing complete: ${uploadedData.length} processed`);
-          
-          // Log each processed file
-          uploadedData.forEach((data, i) => {
-            console.log(`📋 [${sessionId}] File ${i+1}: ${data.filename} (${data.type}) - ${data.content?.length || 0} chars`);
-            if (data.insights) {
-              console.log(`   📊 Insights: ${Object.keys(data.insights).join(', ')}`);
-            }
-          });
-        } else {
-          console.log(`⚠️ [${sessionId}] No files could be downloaded for processing`);
-        }
-        
+        uploadedData = await loadCampaignDocuments(sessionId, campaignId, fileUrls);
       } catch (error) {
+        documentsLoaded = false;
         console.log(`❌ [${sessionId}] Document processing error: ${error.message}`);
         console.log(`🔍 [${sessionId}] Error stack: ${error.stack}`);
       }
@@ -300,43 +449,58 @@ export default async function handler(req, res) {
       console.log(`ℹ️ [${sessionId}] No files uploaded - proceeding with research data only`);
     }
 
-    // STEP 2: Research
-    console.log(`🔬 [${sessionId}] === STEP 2: CONDUCTING RESEARCH ===`);
-    let researchData = {};
-    
-    try {
-      console.log(`📥 [${sessionId}] Importing research agent...`);
-      const { conductResearch } = await import('../lib/researchAgent.js');
-      console.log(`✅ [${sessionId}] Research agent imported successfully`);
-
-      console.log(`🔍 [${sessionId}] Starting research for: ${matter} | ${keywords}`);
-      researchData = await conductResearch(matter, keywords, target_description);
-      
-      console.log(`✅ [${sessionId}] Research completed`);
-      console.log(`📊 [${sessionId}] Research categories: ${Object.keys(researchData).join(', ')}`);
-      
-      // Log research data size
-      Object.keys(researchData).forEach(key => {
-        const data = researchData[key];
-        if (Array.isArray(data)) {
-          console.log(`   - ${key}: ${data.length} items`);
-        } else if (typeof data === 'object' && data !== null) {
-          console.log(`   - ${key}: object with ${Object.keys(data).length} keys`);
-        } else {
-          console.log(`   - ${key}: ${typeof data}`);
-        }
-      });
-      
-    } catch (error) {
-      console.log(`❌ [${sessionId}] Research failed: ${error.message}`);
-      console.log(`🔍 [${sessionId}] Error stack: ${error.stack}`);
-      throw error;
+    // A failed load, or one missing a file, is retried on the next run rather than checkpointed
+    if (documentsLoaded && !uploadedData.failed_downloads) {
+      await saveStageOutput(sessionId, 'documents', uploadedData);
     }
 
-    // STEP 3: Generate Personas
-    console.log(`🎭 [${sessionId}] === STEP 3: GENERATING PERSONAS ===`);
-    
-    try {
+    await updateJobStage(sessionId, 'documents', {
+      status: 'completed',
+      detail: `${uploadedData.documents.length} documents processed`
+    });
+  }
+
+  await setPartialResult(sessionId, 'sources', summarizeUploadedSources(uploadedData));
+
+  // STEP 2: Research
+  console.log(`🔬 [${sessionId}] === STEP 2: CONDUCTING RESEARCH ===`);
+  let researchData = {};
+
+  try {
+    console.log(`🔍 [${sessionId}] Starting research for: ${matter} | ${keywords}`);
+    researchData = await runResearchStage(sessionId, checkpoint, { matter, keywords, target_description, campaignId, reuseResearch });
+
+    console.log(`✅ [${sessionId}] Research completed`);
+    console.log(`📊 [${sessionId}] Research categories: ${Object.keys(researchData).join(', ')}`);
+
+    // Log research data size
+    Object.keys(researchData).forEach(key => {
+      const data = researchData[key];
+      if (Array.isArray(data)) {
+        console.log(`   - ${key}: ${data.length} items`);
+      } else if (typeof data === 'object' && data !== null) {
+        console.log(`   - ${key}: object with ${Object.keys(data).length} keys`);
+      } else {
+        console.log(`   - ${key}: ${typeof data}`);
+      }
+    });
+
+  } catch (error) {
+    console.log(`❌ [${sessionId}] Research failed: ${error.message}`);
+    console.log(`🔍 [${sessionId}] Error stack: ${error.stack}`);
+    throw error;
+  }
+
+  // STEP 3: Generate Personas
+  console.log(`🎭 [${sessionId}] === STEP 3: GENERATING PERSONAS ===`);
+  await updateJobStage(sessionId, 'generation', { detail: `Generating ${parseInt(persona_count) || 5} personas` });
+
+  try {
+    let personaResult = getStageOutput(checkpoint, 'generation');
+
+    if (personaResult) {
+      console.log(`♻️ [${sessionId}] Restored ${personaResult.personas.length} generated personas from checkpoint`);
+    } else {
       console.log(`📥 [${sessionId}] Importing persona agent...`);
       const { generatePersonas } = await import('../lib/personaAgent.js');
       console.log(`✅ [${sessionId}] Persona agent imported successfully`);
@@ -344,66 +508,540 @@ export default async function handler(req, res) {
       console.log(`🔄 [${sessionId}] Calling generatePersonas()...`);
       console.log(`📊 [${sessionId}] Input data summary:`);
       console.log(`   - Research data: ${Object.keys(researchData).length} categories`);
-      console.log(`   - Uploaded data: ${uploadedData.length} files`);
+      console.log(`   - Uploaded documents: ${uploadedData.documents.length} files`);
+      console.log(`   - Audience data: ${AUDIENCE_DATA_KEYS.filter(key => uploadedData[key]).join(', ') || 'none'}`);
       console.log(`   - Persona count: ${persona_count}`);
 
-      const personaResult = await generatePersonas(
+      personaResult = await withUsageScope({ stage: 'generation' }, () => generatePersonas(
         { matter, keywords, target_description }, uploadedData, researchData, parseInt(persona_count) || 5
-      );
+      ));
 
-      if (!personaResult.success) {
+      if (personaResult.success === false) {
         console.log(`❌ [${sessionId}] Persona generation failed: ${personaResult.error}`);
         console.log(`📋 [${sessionId}] Failure details: ${personaResult.message}`);
-        return res.status(422).json(personaResult);
+        return { status: 422, body: personaResult };
       }
 
-      const personas = personaResult.personas;
-      console.log(`✅ [${sessionId}] Persona generation successful: ${personas.length} personas created`);
-      
-      // Log each persona
-      personas.forEach((persona, i) => {
-        console.log(`🎭 [${sessionId}] Persona ${i+1}: ${persona.name} (age ${persona.age}) - confidence: ${persona.confidence_score}`);
+      await saveStageOutput(sessionId, 'generation', personaResult);
+    }
+
+    const personas = await persistPersonas(sessionId, campaignId, personaResult.personas, 'generated');
+    console.log(`✅ [${sessionId}] Persona generation successful: ${personas.length} personas created`);
+
+    // Log each persona
+    for (const [i, persona] of personas.entries()) {
+      console.log(`🎭 [${sessionId}] Persona ${i+1}: ${persona.name} (age ${persona.age}) - confidence: ${persona.confidence_score}`);
+      await appendJobEvent(sessionId, 'persona_generated', {
+        index: i + 1,
+        total: personas.length,
+        name: persona.name,
+        age: persona.age,
+        confidence_score: persona.confidence_score
+      });
+    }
+
+    await setPartialResult(sessionId, 'personas', personas);
+    await updateJobStage(sessionId, 'generation', {
+      status: 'completed',
+      detail: `${personas.length} personas created`
+    });
+
+    // STEP 4: Copy personas to the shared Google Sheet when one is configured
+    console.log(`📤 [${sessionId}] === STEP 4: EXPORTING PERSONAS ===`);
+    let exportResult = null;
+
+    if (process.env.GOOGLE_SHEETS_ID) {
+      const { storePersonas } = await import('../lib/sheetsService.js');
+      exportResult = await runExportStage(sessionId, () => storePersonas(personas, { matter, session_id: sessionId }), {
+        restored: getStageOutput(checkpoint, 'export')
       });
+    } else {
+      console.log(`ℹ️ [${sessionId}] GOOGLE_SHEETS_ID not set - skipping Google Sheets export`);
+      await updateJobStage(sessionId, 'export', { status: 'skipped', detail: 'Google Sheets export not configured' });
+    }
+
+    // STEP 5: Show the personas the submitted ad creatives
+    console.log(`🖼️ [${sessionId}] === STEP 5: TESTING CREATIVES ===`);
+    const creativeTest = await runCreativeTestStage(sessionId, personas, creatives, {
+      campaignId,
+      restored: getStageOutput(checkpoint, 'creative_testing')
+    });
 
-      console.log(`🎉 [${sessionId}] === WORKFLOW COMPLETED SUCCESSFULLY ===`);
-      
-      return res.status(200).json({
+    console.log(`🎉 [${sessionId}] === WORKFLOW COMPLETED SUCCESSFULLY ===`);
+
+    return {
+      status: 200,
+      body: {
         success: true,
         sessionId: sessionId,
+        mode: 'generation',
+        campaignId: campaignId,
         personas: personas,
         dataAnalysis: {
           totalDataPoints: personaResult.sourceDataCount,
           confidence: personaResult.confidence,
-          filesProcessed: uploadedData.length,
+          filesProcessed: uploadedData.documents.length,
+          complaintAnalyses: uploadedData.documents.filter(doc => doc.complaint_analysis).map(doc => doc.complaint_analysis),
+          audienceData: summarizeAudienceSources(uploadedData),
           researchCategories: Object.keys(researchData),
           hasMediaInsights: personaResult.hasMediaInsights
         },
+        exportResults: exportResult,
+        creativeTest: creativeTest,
+        checkpoint: {
+          resumed: checkpoint.resume_count > 0,
+          restoredStages: getCompletedStages(checkpoint)
+        },
         processingTime: new Date().toISOString()
+      }
+    };
+
+  } catch (error) {
+    console.log(`❌ [${sessionId}] Persona generation error: ${error.message}`);
+    console.log(`🔍 [${sessionId}] Error stack: ${error.stack}`);
+    throw error;
+  }
+}
+
+const AUDIENCE_DATA_KEYS = ['mri_data', 'targetsmart_data', 'client_data'];
+
+/**
+ * Download uploaded files and build the uploadedData object used by the agents:
+ * { documents: [DocumentAgent records], mri_data, targetsmart_data, client_data }
+ * Files that could not be downloaded are listed by label in failed_downloads.
+ */
+async function loadUploadedData(sessionId, fileUrls, analysisContext = null) {
+  const {
+    complaint_file_url,
+    research_file_url,
+    mri_file_url,
+    targetsmart_file_url,
+    client_file_url
+  } = fileUrls;
+
+  const uploadedData = { documents: [] };
+  const failedDownloads = [];
+
+  // Background documents: complaints and research reports
+  const documentFiles = [];
+
+  if (complaint_file_url) {
+    const buffer = await downloadFile(sessionId, 'Complaint', complaint_file_url);
+    if (buffer) {
+      documentFiles.push({ filename: `Complaint.${getUrlExtension(complaint_file_url, 'pdf')}`, buffer });
+    } else {
+      failedDownloads.push('Complaint');
+    }
+  }
+
+  if (research_file_url) {
+    const buffer = await downloadFile(sessionId, 'Research', research_file_url);
+    if (buffer) {
+      documentFiles.push({ filename: `Research.${getUrlExtension(research_file_url, 'pdf')}`, buffer });
+    } else {
+      failedDownloads.push('Research');
+    }
+  }
+
+  if (documentFiles.length > 0) {
+    const { default: DocumentAgent } = await import('../lib/documentAgent.js');
+
+    console.log(`🔄 [${sessionId}] Extracting ${documentFiles.length} documents...`);
+    let documents = analysisContext
+      ? await DocumentAgent.analyzeFiles(documentFiles, analysisContext)
+      : await DocumentAgent.processFiles(documentFiles);
+
+    console.log(`⚖️ [${sessionId}] Analyzing complaint pleadings...`);
+    const { analyzeComplaints } = await import('../lib/complaintAnalyzer.js');
+    documents = await withUsageScope({ stage: 'documents' }, () => analyzeComplaints(documents));
+
+    // Log each processed file
+    for (const [i, data] of documents.entries()) {
+      console.log(`📋 [${sessionId}] File ${i+1}: ${data.filename} (${data.type}) - ${data.content?.length || 0} chars`);
+      if (data.insights) {
+        console.log(`   📊 Insights: ${Object.keys(data.insights).join(', ')}`);
+      }
+      if (data.complaint_analysis) {
+        console.log(`   ⚖️ Complaint: ${data.complaint_analysis.class_definitions.length} classes, ${data.complaint_analysis.qualifying_criteria.length} qualifying criteria`);
+      }
+
+      await appendJobEvent(sessionId, 'document_processed', {
+        filename: data.filename,
+        type: data.type,
+        characters: data.content?.length || 0,
+        complaint_analyzed: !!data.complaint_analysis,
+        ...(data.error ? { error: data.error } : {})
       });
+    }
 
-    } catch (error) {
-      console.log(`❌ [${sessionId}] Persona generation error: ${error.message}`);
-      console.log(`🔍 [${sessionId}] Error stack: ${error.stack}`);
-      throw error;
+    uploadedData.documents = documents;
+  }
+
+  // Syndicated and client audience data: MRI, TargetSmart, client exports
+  const audienceFiles = [];
+  const audienceUploads = [
+    { source: 'mri', label: 'MRI', url: mri_file_url },
+    { source: 'targetsmart', label: 'TargetSmart', url: targetsmart_file_url },
+    { source: 'client', label: 'Client', url: client_file_url }
+  ];
+
+  for (const upload of audienceUploads) {
+    if (!upload.url) continue;
+
+    const buffer = await downloadFile(sessionId, upload.label, upload.url);
+    if (buffer) {
+      audienceFiles.push({
+        source: upload.source,
+        filename: `${upload.label}_Data.${getUrlExtension(upload.url, 'xlsx')}`,
+        buffer
+      });
+    } else {
+      failedDownloads.push(upload.label);
     }
+  }
 
+  if (audienceFiles.length > 0) {
+    const { parseAudienceFiles } = await import('../lib/audienceDataAgent.js');
+
+    console.log(`📊 [${sessionId}] Summarizing ${audienceFiles.length} audience data files...`);
+    Object.assign(uploadedData, await parseAudienceFiles(audienceFiles));
+
+    for (const key of AUDIENCE_DATA_KEYS.filter(key => uploadedData[key])) {
+      const data = uploadedData[key];
+      console.log(data.error
+        ? `❌ [${sessionId}] ${key}: ${data.error}`
+        : `✅ [${sessionId}] ${key}: ${data.summary.total_records} records, columns: ${Object.keys(data.detected_columns).join(', ')}`);
+
+      await appendJobEvent(sessionId, 'audience_data_processed', data.error
+        ? { source: key, filename: data.filename, error: data.error }
+        : { source: key, filename: data.filename, records: data.summary.total_records });
+    }
+  }
+
+  if (failedDownloads.length > 0) {
+    uploadedData.failed_downloads = failedDownloads;
+  }
+
+  return uploadedData;
+}
+
+/**
+ * Load uploaded files through the campaign: documents the campaign already processed
+ * from the same file URLs are reused instead of being downloaded and analyzed again
+ */
+async function loadCampaignDocuments(sessionId, campaignId, fileUrls, analysisContext = null) {
+  const personaStore = getPersonaStore();
+  const activeUrls = submittedFields(fileUrls);
+  const cached = await personaStore.getCampaignDocuments(campaignId);
+
+  const sameFiles = cached &&
+    FILE_URL_FIELDS.every(field => (cached.file_urls[field] || '') === (activeUrls[field] || ''));
+
+  if (sameFiles && (cached.analyzed || !analysisContext)) {
+    console.log(`♻️ [${sessionId}] Reusing campaign documents processed ${cached.processed_at}`);
+    await appendJobEvent(sessionId, 'documents_reused', {
+      documents: cached.uploaded_data.documents.length,
+      processed_at: cached.processed_at
+    });
+    return cached.uploaded_data;
+  }
+
+  const uploadedData = await loadUploadedData(sessionId, fileUrls, analysisContext);
+
+  // A set missing a file is not kept, so the next run downloads the failed file again
+  if (uploadedData.failed_downloads) {
+    console.log(`⚠️ [${sessionId}] Not saving campaign documents - failed downloads: ${uploadedData.failed_downloads.join(', ')}`);
+  } else {
+    await personaStore.saveCampaignDocuments(campaignId, activeUrls, uploadedData, { analyzed: !!analysisContext });
+  }
+  return uploadedData;
+}
+
+/**
+ * Download one uploaded file, returning null (and logging) on failure
+ */
+async function downloadFile(sessionId, label, fileUrl) {
+  console.log(`📄 [${sessionId}] Processing ${label} file: ${fileUrl}`);
+  try {
+    const response = await fetch(fileUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const buffer = await response.arrayBuffer();
+    console.log(`✅ [${sessionId}] ${label} file downloaded: ${buffer.byteLength} bytes`);
+    await appendJobEvent(sessionId, 'file_downloaded', { label, bytes: buffer.byteLength });
+    return Buffer.from(buffer);
   } catch (error) {
-    console.error(`💥 [${sessionId}] FATAL ERROR: ${error.message}`);
-    console.error(`📍 [${sessionId}] Stack trace: ${error.stack}`);
+    console.log(`❌ [${sessionId}] ${label} file download failed: ${error.message}`);
+    await appendJobEvent(sessionId, 'file_download_failed', { label, error: error.message });
+    return null;
+  }
+}
 
-    return res.status(500).json({
-      error: 'PROCESSING_FAILED',
-      message: error.message,
-      sessionId: sessionId,
-      timestamp: new Date().toISOString()
+/**
+ * Run Perplexity research, reusing a checkpointed result or any categories an earlier run finished.
+ * With reuseResearch the campaign's latest research snapshot is used instead of new research.
+ */
+async function runResearchStage(sessionId, checkpoint, { matter, keywords, target_description, campaignId, reuseResearch }) {
+  await updateJobStage(sessionId, 'research');
+
+  const restored = getStageOutput(checkpoint, 'research');
+  if (restored) {
+    await restoreJobStage(sessionId, 'research', `${Object.keys(restored).length} research categories`);
+    return restored;
+  }
+
+  if (reuseResearch) {
+    const [snapshot] = await getPersonaStore().listResearchSnapshots(campaignId);
+    if (snapshot) {
+      console.log(`♻️ [${sessionId}] Reusing research snapshot from run ${snapshot.run_id}`);
+      await saveStageOutput(sessionId, 'research', snapshot.research);
+      await appendJobEvent(sessionId, 'research_reused', { run_id: snapshot.run_id, created_at: snapshot.created_at });
+      await updateJobStage(sessionId, 'research', {
+        status: 'completed',
+        detail: `${Object.keys(snapshot.research).length} research categories (reused)`
+      });
+      return snapshot.research;
+    }
+  }
+
+  const { conductResearch } = await import('../lib/researchAgent.js');
+  const cached = getStageItems(checkpoint, 'research');
+  if (Object.keys(cached).length > 0) {
+    console.log(`♻️ [${sessionId}] Reusing checkpointed research: ${Object.keys(cached).join(', ')}`);
+  }
+
+  const researchData = await withUsageScope({ stage: 'research' }, () => conductResearch(matter, keywords, target_description, {
+    cached,
+    onProgress: progress => reportResearchProgress(sessionId, progress)
+  }));
+
+  // Failed research is not checkpointed so a rerun tries again
+  if (!researchData.error) {
+    await saveStageOutput(sessionId, 'research', researchData);
+    await getPersonaStore().saveResearchSnapshot(campaignId, sessionId, researchData);
+  }
+
+  await updateJobStage(sessionId, 'research', {
+    status: 'completed',
+    detail: `${Object.keys(researchData).length} research categories`
+  });
+
+  return researchData;
+}
+
+/**
+ * Record a finished research category on the job's event stream, stage progress and checkpoint
+ */
+async function reportResearchProgress(sessionId, { category, completed, total, failed, cached, result }) {
+  console.log(`${failed ? '⚠️' : '✅'} [${sessionId}] Research category ${category} ${cached ? 'restored' : 'finished'} (${completed}/${total})`);
+
+  if (!failed && !cached) {
+    await saveStageItem(sessionId, 'research', category, result);
+  }
+
+  await appendJobEvent(sessionId, 'research_category_completed', { category, completed, total, failed, cached });
+  await updateJobStage(sessionId, 'research', {
+    progress: (completed / total) * 100,
+    detail: `${completed}/${total} research categories`
+  });
+}
+
+/**
+ * Save a version of each persona to the persona store and tag the personas with their record ids.
+ * Personas rejected by shouldSave (e.g. failed enrichments) are returned untouched.
+ */
+async function persistPersonas(sessionId, campaignId, personas, kind, keys = personaKeys(personas), shouldSave = () => true) {
+  const personaStore = getPersonaStore();
+  const saved = [];
+
+  for (const [i, persona] of personas.entries()) {
+    const { persona_id, ...data } = persona;
+    const personaId = persona_id || runPersonaId(sessionId, keys[i]);
+
+    if (shouldSave(persona)) {
+      await personaStore.savePersonaVersion(personaId, data, { campaign_id: campaignId, run_id: sessionId, kind });
+    }
+    saved.push({ ...persona, persona_id: personaId });
+  }
+
+  console.log(`🗄️ [${sessionId}] Stored ${kind} versions for ${saved.length} personas`);
+  return saved;
+}
+
+/**
+ * Export personas to Google Sheets. The persona store is the system of record,
+ * so a failed export is reported on the job but does not fail the run.
+ */
+async function runExportStage(sessionId, exporter, { restored = null } = {}) {
+  await updateJobStage(sessionId, 'export', { detail: 'Exporting to Google Sheets' });
+
+  if (restored) {
+    await restoreJobStage(sessionId, 'export', restored.sheet_url);
+    return restored;
+  }
+
+  try {
+    const exportResult = await exporter();
+    const rowsExported = exportResult.rows_exported ?? exportResult.rows_added;
+
+    await saveStageOutput(sessionId, 'export', exportResult);
+    await getPersonaStore().recordExport(sessionId, {
+      target: 'google_sheets',
+      sheet_url: exportResult.sheet_url,
+      spreadsheet_id: exportResult.spreadsheet_id || null,
+      rows_exported: rowsExported
+    });
+
+    console.log(`✅ [${sessionId}] Exported to: ${exportResult.sheet_url}`);
+    await appendJobEvent(sessionId, 'export_finished', {
+      sheet_url: exportResult.sheet_url,
+      rows_exported: rowsExported
+    });
+    await updateJobStage(sessionId, 'export', { status: 'completed', detail: exportResult.sheet_url });
+
+    return exportResult;
+
+  } catch (error) {
+    console.log(`❌ [${sessionId}] Export failed: ${error.message}`);
+    await appendJobEvent(sessionId, 'export_failed', { error: error.message });
+    await updateJobStage(sessionId, 'export', { status: 'skipped', detail: `Export failed: ${error.message}` });
+    return { error: error.message };
+  }
+}
+
+/**
+ * Show the personas each submitted creative and rank the creatives. Like the export,
+ * a failed creative test is reported on the job but does not fail the run.
+ */
+async function runCreativeTestStage(sessionId, personas, creatives, { campaignId, restored = null }) {
+  if (!creatives.length) {
+    await updateJobStage(sessionId, 'creative_testing', { status: 'skipped', detail: 'No creatives submitted' });
+    return null;
+  }
+
+  await updateJobStage(sessionId, 'creative_testing', { detail: `Showing ${creatives.length} creatives to ${personas.length} personas` });
+
+  if (restored) {
+    await restoreJobStage(sessionId, 'creative_testing', `${restored.summary.creatives.length} creatives ranked`);
+    return restored;
+  }
+
+  try {
+    const results = await withUsageScope({ stage: 'creative_testing' }, () => testCreatives(personas, creatives, {
+      onPersona: async (result, completed, total) => {
+        await appendJobEvent(sessionId, 'creative_persona_tested', {
+          name: result.persona_name,
+          top_choice: creatives.find(creative => creative.id === result.ranking[0])?.headline || result.ranking[0] || null,
+          error: result.error || null,
+          index: completed,
+          total
+        });
+        await updateJobStage(sessionId, 'creative_testing', {
+          progress: (completed / total) * 100,
+          detail: `${completed}/${total} personas`
+        });
+      }
+    }));
+
+    const creativeTest = await getPersonaStore().saveCreativeTest({
+      id: sessionId,
+      campaign_id: campaignId,
+      run_id: sessionId,
+      persona_ids: personas.map(persona => persona.persona_id),
+      creatives,
+      summary: summarizeCreativeTest(creatives, results),
+      results,
+      created_at: new Date().toISOString()
     });
+    await saveStageOutput(sessionId, 'creative_testing', creativeTest);
+
+    const winner = creatives.find(creative => creative.id === creativeTest.summary.winner);
+    console.log(`✅ [${sessionId}] Creative test complete - top creative: ${winner?.headline || winner?.id || 'none'}`);
+    await appendJobEvent(sessionId, 'creative_test_finished', {
+      creatives: creatives.length,
+      responded: creativeTest.summary.responded,
+      winner: winner ? winner.headline || winner.id : null
+    });
+    await updateJobStage(sessionId, 'creative_testing', {
+      status: 'completed',
+      detail: `${creatives.length} creatives ranked by ${creativeTest.summary.responded} personas`
+    });
+
+    return creativeTest;
+
+  } catch (error) {
+    console.log(`❌ [${sessionId}] Creative test failed: ${error.message}`);
+    await appendJobEvent(sessionId, 'creative_test_failed', { error: error.message });
+    await updateJobStage(sessionId, 'creative_testing', { status: 'skipped', detail: `Creative test failed: ${error.message}` });
+    return { error: error.message };
   }
 }
 
+/**
+ * Mark a job stage complete from checkpointed output
+ */
+async function restoreJobStage(sessionId, stage, detail) {
+  console.log(`♻️ [${sessionId}] Restored ${stage} from checkpoint`);
+  await appendJobEvent(sessionId, 'stage_restored', { stage, detail });
+  await updateJobStage(sessionId, stage, {
+    status: 'completed',
+    detail: `${detail} (restored from checkpoint)`
+  });
+}
+
+/**
+ * Processed documents and audience data, reported on the job once files are loaded
+ */
+function summarizeUploadedSources(uploadedData) {
+  return {
+    documents: uploadedData.documents.map(doc => ({
+      filename: doc.filename,
+      type: doc.type,
+      characters: doc.content?.length || 0,
+      ...(doc.error ? { error: doc.error } : {})
+    })),
+    audienceData: summarizeAudienceSources(uploadedData)
+  };
+}
+
+/**
+ * Compact audience data overview for the response payload
+ */
+function summarizeAudienceSources(uploadedData) {
+  const overview = {};
+
+  AUDIENCE_DATA_KEYS.filter(key => uploadedData[key]).forEach(key => {
+    const data = uploadedData[key];
+    overview[key] = data.error
+      ? { filename: data.filename, error: data.error }
+      : { filename: data.filename, records: data.summary.total_records, detected_columns: data.detected_columns };
+  });
+
+  return overview;
+}
+
+/**
+ * Fields with a value - blank form inputs never override stored campaign or checkpoint values
+ */
+function submittedFields(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== '' && value != null));
+}
+
+function isValidId(value) {
+  return /^[A-Za-z0-9_-]+$/.test(value);
+}
+
+/**
+ * Get the file extension from an uploaded file URL, ignoring query strings
+ */
+function getUrlExtension(fileUrl, fallback) {
+  const match = fileUrl.split('?')[0].match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : fallback;
+}
+
 /**
  * Handle persona enrichment workflow
  */
-async function handlePersonaEnrichment(req, res, sessionId, params) {
+async function handlePersonaEnrichment(sessionId, params) {
   try {
     console.log(`🔄 [${sessionId}] === STARTING PERSONA ENRICHMENT WORKFLOW ===`);
 
@@ -412,12 +1050,16 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
       keywords,
       target_description,
       julius_personas_sheet_url,
-      complaint_file_url,
-      research_file_url
+      fileUrls,
+      checkpoint,
+      campaignId,
+      creatives,
+      reuseResearch
     } = params;
 
     // STEP 1: Import Julius personas from Google Sheets
     console.log(`📥 [${sessionId}] === STEP 1: IMPORTING JULIUS PERSONAS ===`);
+    await updateJobStage(sessionId, 'documents', { detail: 'Importing Julius personas' });
 
     const { fetchPersonasFromExternalSheet, validatePersonas } = await import('../lib/sheetsService.js');
 
@@ -443,7 +1085,7 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
         errorDetails = 'The Julius sheet appears to be empty or contains no valid persona data.';
       }
 
-      return res.status(400).json({
+      return { status: 400, body: {
         error: 'SHEET_ACCESS_FAILED',
         message: errorMessage,
         details: errorDetails,
@@ -456,13 +1098,13 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
             'Make sure the sheet is not empty'
           ]
         }
-      });
+      } };
     }
 
     // Check if we got any personas at all
     if (!importedPersonas || importedPersonas.length === 0) {
       console.log(`❌ [${sessionId}] No personas found in Julius sheet`);
-      return res.status(400).json({
+      return { status: 400, body: {
         error: 'EMPTY_PERSONAS_SHEET',
         message: 'No personas found in the Julius sheet',
         details: 'The sheet appears to be empty or contains no recognizable persona data.',
@@ -471,7 +1113,7 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
           expectedFormat: 'The sheet should have headers like: name, age, location, occupation, interests, etc.',
           minRequirements: 'At least a name column with persona names is required'
         }
-      });
+      } };
     }
 
     // STEP 2: Validate imported personas
@@ -487,7 +1129,7 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
     if (validation.summary.valid_personas === 0) {
       console.log(`❌ [${sessionId}] No valid personas after validation`);
 
-      return res.status(400).json({
+      return { status: 400, body: {
         error: 'NO_VALID_PERSONAS',
         message: 'No valid personas found in the Julius sheet after validation',
         validationDetails: {
@@ -501,7 +1143,7 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
         },
         sessionId: sessionId,
         suggestion: 'Please check the persona data format and ensure each persona has at least a name.'
-      });
+      } };
     }
 
     // Show warnings but continue if we have some valid personas
@@ -511,46 +1153,39 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
 
     // STEP 3: Process background documents
     console.log(`📁 [${sessionId}] === STEP 3: PROCESSING BACKGROUND DOCUMENTS ===`);
+    await updateJobStage(sessionId, 'documents', { progress: 50, detail: `${validation.summary.valid_personas} valid personas imported, processing documents` });
 
-    let uploadedData = [];
-    const fileUrls = [complaint_file_url, research_file_url].filter(Boolean);
-
-    if (fileUrls.length > 0) {
-      const { default: DocumentAgent } = await import('../lib/documentAgent.js');
-
-      // Process each file (similar to generation workflow but focused on context)
-      const fileObjects = [];
+    let uploadedData = getStageOutput(checkpoint, 'documents');
 
-      // Add file processing logic here (simplified for now)
-      for (const fileUrl of fileUrls) {
-        try {
-          const response = await fetch(fileUrl);
-          if (response.ok) {
-            const buffer = await response.arrayBuffer();
-            fileObjects.push({
-              filename: fileUrl.split('/').pop() || 'document',
-              buffer: Buffer.from(buffer)
-            });
-          }
-        } catch (error) {
-          console.log(`⚠️ [${sessionId}] Failed to process file: ${fileUrl}`);
-        }
-      }
+    if (uploadedData) {
+      console.log(`♻️ [${sessionId}] Restored ${uploadedData.documents.length} documents from checkpoint`);
+      await appendJobEvent(sessionId, 'stage_restored', { stage: 'documents', detail: `${uploadedData.documents.length} documents processed` });
+    } else {
+      uploadedData = { documents: [] };
 
-      if (fileObjects.length > 0) {
-        uploadedData = await DocumentAgent.analyzeFiles(fileObjects, {
+      if (Object.values(fileUrls).some(Boolean)) {
+        uploadedData = await loadCampaignDocuments(sessionId, campaignId, fileUrls, {
           campaignType: matter,
           targetAudience: target_description
         });
-        console.log(`✅ [${sessionId}] Processed ${uploadedData.length} documents for context`);
+        console.log(`✅ [${sessionId}] Processed ${uploadedData.documents.length} documents for context`);
+      }
+
+      if (!uploadedData.failed_downloads) {
+        await saveStageOutput(sessionId, 'documents', uploadedData);
       }
     }
 
+    await setPartialResult(sessionId, 'sources', summarizeUploadedSources(uploadedData));
+    await updateJobStage(sessionId, 'documents', {
+      status: 'completed',
+      detail: `${validation.summary.valid_personas} personas imported, ${uploadedData.documents.length} documents processed`
+    });
+
     // STEP 4: Conduct research for enrichment context
     console.log(`🔬 [${sessionId}] === STEP 4: GATHERING ENRICHMENT CONTEXT ===`);
 
-    const { conductResearch } = await import('../lib/researchAgent.js');
-    const researchData = await conductResearch(matter, keywords, target_description);
+    const researchData = await runResearchStage(sessionId, checkpoint, { matter, keywords, target_description, campaignId, reuseResearch });
     console.log(`✅ [${sessionId}] Research completed for enrichment context`);
 
     // STEP 5: Enrich personas using AI agent
@@ -563,47 +1198,166 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
       matter,
       keywords,
       target_description,
-      documents: uploadedData,
+      documents: uploadedData.documents,
       research: researchData
     };
 
+    // Enrichment runs two passes over every persona; each pass is half the stage.
+    // Personas an earlier run already enriched are restored from the checkpoint by key.
+    const personaTotal = validation.valid.length;
+    const keys = personaKeys(validation.valid);
+    await persistPersonas(sessionId, campaignId, validation.valid, 'imported', keys);
+    await updateJobStage(sessionId, 'enrichment', { detail: `Enriching ${personaTotal} personas` });
+
     // First: Social and research enrichment via PersonaEnrichmentAgent
-    const socialEnrichedPersonas = await enrichmentAgent.enrichPersonas(
-      validation.valid,
-      enrichmentContext
-    );
+    const socialByKey = { ...getStageItems(checkpoint, 'social_enrichment') };
+    const socialPendingKeys = keys.filter(key => !socialByKey[key]);
+    const socialRestored = personaTotal - socialPendingKeys.length;
+
+    if (socialRestored > 0) {
+      console.log(`♻️ [${sessionId}] Restored ${socialRestored}/${personaTotal} socially enriched personas from checkpoint`);
+      await appendJobEvent(sessionId, 'personas_restored', { pass: 'social', count: socialRestored, total: personaTotal });
+    }
+
+    const socialResults = await withUsageScope({ stage: 'social_enrichment' }, () => enrichmentAgent.enrichPersonasWithProgress(
+      socialPendingKeys.map(key => validation.valid[keys.indexOf(key)]),
+      enrichmentContext,
+      async ({ current, persona, status, error, result }) => {
+        if (status === 'enriching') return;
+        if (status === 'completed') {
+          await saveStageItem(sessionId, 'social_enrichment', socialPendingKeys[current - 1], result);
+        }
+
+        const index = socialRestored + current;
+        await appendJobEvent(sessionId, 'persona_enriched', {
+          pass: 'social',
+          index,
+          total: personaTotal,
+          name: persona,
+          status,
+          ...(error ? { error } : {})
+        });
+        await updateJobStage(sessionId, 'enrichment', {
+          progress: (index / personaTotal) * 50,
+          detail: `Social research ${index}/${personaTotal}: ${persona} (${status})`
+        });
+      }
+    ));
+
+    socialPendingKeys.forEach((key, i) => {
+      socialByKey[key] = socialResults[i];
+    });
+    const socialEnrichedPersonas = keys.map(key => socialByKey[key]);
+    await persistPersonas(sessionId, campaignId, socialEnrichedPersonas, 'social_enrichment', keys,
+      persona => persona.enrichment?.status !== 'failed');
+
+    if (!socialEnrichedPersonas.some(persona => persona.enrichment?.status === 'failed')) {
+      await saveStageOutput(sessionId, 'social_enrichment', { personas_enriched: personaTotal });
+    }
 
     // Second: Document-based legal enrichment via PersonaAgent
     console.log(`📄 [${sessionId}] === STEP 6: ADDING DOCUMENT-BASED LEGAL INSIGHTS ===`);
 
-    const { enrichPersonas } = await import('../lib/personaAgent.js');
-    const legalEnrichmentResult = await enrichPersonas(
-      socialEnrichedPersonas,
-      { matter, keywords, target_description },
-      uploadedData,
-      researchData
+    const legalByKey = { ...getStageItems(checkpoint, 'legal_enrichment') };
+    const legalPendingKeys = keys.filter(key => !legalByKey[key]);
+    const legalRestored = personaTotal - legalPendingKeys.length;
+
+    if (legalRestored > 0) {
+      console.log(`♻️ [${sessionId}] Restored ${legalRestored}/${personaTotal} legally enriched personas from checkpoint`);
+      await appendJobEvent(sessionId, 'personas_restored', { pass: 'legal', count: legalRestored, total: personaTotal });
+      await setPartialResult(sessionId, 'enriched_personas', keys.filter(key => legalByKey[key]).map(key => legalByKey[key]));
+    }
+
+    let legalEnrichmentResult = getStageOutput(checkpoint, 'legal_enrichment');
+
+    if (legalPendingKeys.length > 0) {
+      const { enrichPersonas } = await import('../lib/personaAgent.js');
+      legalEnrichmentResult = await withUsageScope({ stage: 'legal_enrichment' }, () => enrichPersonas(
+        legalPendingKeys.map(key => socialByKey[key]),
+        { matter, keywords, target_description },
+        uploadedData,
+        researchData,
+        {
+          onProgress: async ({ current, persona }) => {
+            // Personas whose social pass failed are redone on the next run, so keep their legal pass open too
+            const failed = !!persona.enrichment_metadata?.enrichment_error;
+            if (!failed && persona.enrichment?.status !== 'failed') {
+              await saveStageItem(sessionId, 'legal_enrichment', legalPendingKeys[current - 1], persona);
+            }
+
+            const index = legalRestored + current;
+            await appendPartialResult(sessionId, 'enriched_personas', persona);
+            await appendJobEvent(sessionId, 'persona_enriched', {
+              pass: 'legal',
+              index,
+              total: personaTotal,
+              name: persona.name,
+              status: failed ? 'failed' : 'completed',
+              ...(failed ? { error: persona.enrichment_metadata.enrichment_error } : {})
+            });
+            await updateJobStage(sessionId, 'enrichment', {
+              progress: 50 + (index / personaTotal) * 50,
+              detail: `Legal insights ${index}/${personaTotal}: ${persona.name}`
+            });
+          }
+        }
+      ));
+
+      legalPendingKeys.forEach((key, i) => {
+        legalByKey[key] = legalEnrichmentResult.personas[i];
+      });
+    }
+
+    const finalEnrichedPersonas = await persistPersonas(
+      sessionId, campaignId, keys.map(key => legalByKey[key]), 'legal_enrichment', keys,
+      persona => !persona.enrichment_metadata?.enrichment_error
     );
+    const legalFailures = finalEnrichedPersonas.filter(persona => persona.enrichment_metadata?.enrichment_error).length;
+
+    if (legalFailures === 0) {
+      await saveStageOutput(sessionId, 'legal_enrichment', {
+        confidence: legalEnrichmentResult?.confidence,
+        hasMediaInsights: legalEnrichmentResult?.hasMediaInsights
+      });
+    }
 
-    const finalEnrichedPersonas = legalEnrichmentResult.personas;
+    await updateJobStage(sessionId, 'enrichment', {
+      status: 'completed',
+      detail: `${finalEnrichedPersonas.length} personas enriched${legalFailures ? `, ${legalFailures} failed` : ''}`
+    });
 
     // STEP 7: Export enriched personas to Google Sheets
     console.log(`📤 [${sessionId}] === STEP 7: EXPORTING ENRICHED PERSONAS ===`);
 
     const { exportEnrichedPersonas } = await import('../lib/sheetsService.js');
 
-    const exportResult = await exportEnrichedPersonas(
-      finalEnrichedPersonas,
-      { matter, keywords, target_description },
-      { }
+    // A finished export is only reused when no persona changed since it ran
+    const exportResult = await runExportStage(
+      sessionId,
+      () => exportEnrichedPersonas(finalEnrichedPersonas, { matter, keywords, target_description }, { }),
+      {
+        restored: socialRestored === personaTotal && legalRestored === personaTotal
+          ? getStageOutput(checkpoint, 'export')
+          : null
+      }
     );
 
-    console.log(`✅ [${sessionId}] Exported to: ${exportResult.sheet_url}`);
+    // STEP 8: Show the enriched personas the submitted ad creatives
+    console.log(`🖼️ [${sessionId}] === STEP 8: TESTING CREATIVES ===`);
+    const creativeTest = await runCreativeTestStage(sessionId, finalEnrichedPersonas, creatives, {
+      campaignId,
+      restored: socialRestored === personaTotal && legalRestored === personaTotal
+        ? getStageOutput(checkpoint, 'creative_testing')
+        : null
+    });
+
     console.log(`✅ [${sessionId}] Persona enrichment completed successfully`);
 
-    return res.status(200).json({
+    return { status: 200, body: {
       success: true,
       sessionId: sessionId,
       mode: 'enrichment',
+      campaignId: campaignId,
       personas: finalEnrichedPersonas,
       enrichmentSummary: {
         imported_count: importedPersonas.length,
@@ -615,29 +1369,36 @@ async function handlePersonaEnrichment(req, res, sessionId, params) {
         enrichment_steps: ['social_research', 'document_analysis', 'legal_insights']
       },
       dataAnalysis: {
-        documentsProcessed: uploadedData.length,
+        documentsProcessed: uploadedData.documents.length,
+        audienceData: summarizeAudienceSources(uploadedData),
         researchCategories: Object.keys(researchData),
         source_sheet: julius_personas_sheet_url,
-        legal_confidence: legalEnrichmentResult.confidence,
-        has_media_insights: legalEnrichmentResult.hasMediaInsights
+        legal_confidence: legalEnrichmentResult?.confidence,
+        has_media_insights: legalEnrichmentResult?.hasMediaInsights
       },
-      exportResults: {
+      exportResults: exportResult.error ? { error: exportResult.error } : {
         exported_sheet_url: exportResult.sheet_url,
         exported_sheet_id: exportResult.spreadsheet_id,
         rows_exported: exportResult.rows_exported
       },
+      creativeTest: creativeTest,
+      checkpoint: {
+        resumed: checkpoint.resume_count > 0,
+        restoredStages: getCompletedStages(checkpoint),
+        restoredPersonas: { social: socialRestored, legal: legalRestored }
+      },
       processingTime: new Date().toISOString()
-    });
+    } };
 
   } catch (error) {
     console.error(`❌ [${sessionId}] Enrichment workflow error: ${error.message}`);
     console.error(`🔍 [${sessionId}] Error stack: ${error.stack}`);
 
-    return res.status(500).json({
+    return { status: 500, body: {
       error: 'ENRICHMENT_FAILED',
       message: error.message,
       sessionId: sessionId,
       timestamp: new Date().toISOString()
-    });
+    } };
   }
 }
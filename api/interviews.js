@@ -0,0 +1,250 @@
+// api/interviews.js - Scripted One-on-One Persona Interviews with a Structured Debrief
+import { waitUntil } from '@vercel/functions';
+import { getPersonaStore, meterCampaignUsage } from '../lib/personaStore.js';
+import {
+  DEFAULT_INTERVIEW_GUIDE,
+  DEFAULT_MAX_PROBES,
+  MAX_PROBES,
+  validateInterviewGuide,
+  runInterview,
+  synthesizeDebrief,
+  interviewExchanges
+} from '../lib/interviewAgent.js';
+import { createConversation, getConversation, listConversations, appendTurn, updateInterview } from '../lib/conversationStore.js';
+import { PERSONA_MODEL_SETTINGS } from '../lib/personaPrompt.js';
+import { describeModelSettings } from '../lib/llmClient.js';
+import { createJob, updateJobStage, appendJobEvent, completeJob, failJob } from '../lib/jobStore.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, action } = req.query;
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') {
+        const conversations = await listConversations({ persona_id: req.query.persona_id, campaign_id: req.query.campaign_id });
+        return res.status(200).json({ success: true, interviews: conversations.filter(conversation => conversation.chat_type === 'interview') });
+      }
+
+      if (req.method === 'POST') {
+        return await startInterview(req, res);
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const conversation = /^[A-Za-z0-9_-]+$/.test(id) ? await getConversation(id) : null;
+    if (!conversation?.interview) {
+      return res.status(404).json({
+        error: 'INTERVIEW_NOT_FOUND',
+        message: `No interview found with id ${id}`
+      });
+    }
+
+    if (action === 'debrief') {
+      return req.method === 'POST'
+        ? await redoDebrief(res, conversation)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, interview: formatInterview(conversation) });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error(`💥 Interview request error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'INTERVIEW_REQUEST_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Interview a stored persona from the guide (the standard guide when none is given) as a job.
+ * The interview is saved as a conversation, so it can be continued in chat-persona by conversation_id.
+ */
+async function startInterview(req, res) {
+  const { persona_id, campaign_id, run_id, guide } = req.body || {};
+
+  if (!persona_id) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'A persona_id is required'
+    });
+  }
+
+  const maxProbes = req.body.max_probes === undefined ? DEFAULT_MAX_PROBES : Number(req.body.max_probes);
+  if (!Number.isInteger(maxProbes) || maxProbes < 0 || maxProbes > MAX_PROBES) {
+    return res.status(400).json({
+      error: 'INVALID_MAX_PROBES',
+      message: `max_probes must be a whole number from 0 to ${MAX_PROBES}`
+    });
+  }
+
+  const store = getPersonaStore();
+  const record = await store.findPersona({ persona_id, campaign_id, run_id });
+  if (!record) {
+    return res.status(404).json({
+      error: 'PERSONA_NOT_FOUND',
+      message: `No persona found with id ${persona_id}${run_id ? ` in run ${run_id}` : campaign_id ? ` in campaign ${campaign_id}` : ''}`
+    });
+  }
+
+  const campaign = record.campaign_id ? await store.getCampaign(record.campaign_id) : null;
+  const validation = validateInterviewGuide(guide === undefined ? DEFAULT_INTERVIEW_GUIDE : guide, { matter: campaign?.matter });
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'INVALID_GUIDE',
+      message: `Interview guide has ${validation.errors.length} problem(s)`,
+      details: validation.errors
+    });
+  }
+
+  const persona = { ...record.data, persona_id: record.id };
+  const conversation = await createConversation({
+    persona,
+    chat_type: 'interview',
+    campaign_id: record.campaign_id,
+    model_settings: describeModelSettings('persona', PERSONA_MODEL_SETTINGS),
+    interview: { guide: validation.guide, max_probes: maxProbes, status: 'running', debrief: null }
+  });
+  const interviewId = conversation.id;
+  const questionCount = validation.guide.sections.reduce((sum, section) => sum + section.questions.length, 0);
+
+  await createJob(interviewId, {
+    type: 'interview',
+    params: { persona_id: record.id, persona_name: persona.name, questions: questionCount, max_probes: maxProbes }
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: interviewId,
+    interviewId,
+    conversationId: interviewId,
+    statusUrl: `/api/jobs/${interviewId}`,
+    resultsUrl: `/api/interviews/${interviewId}`,
+    timestamp: new Date().toISOString()
+  });
+
+  console.log(`🎙️ [${interviewId}] Interviewing ${persona.name}: ${questionCount} questions, up to ${maxProbes} probes each`);
+
+  waitUntil(meterCampaignUsage(record.campaign_id, { stage: 'interview', persona: persona.name }, () =>
+    conductInterview(interviewId, persona, validation.guide, maxProbes)));
+}
+
+/**
+ * Work through the guide with follow-up probes, saving each exchange, then debrief and close the job
+ */
+async function conductInterview(interviewId, persona, guide, maxProbes) {
+  try {
+    await updateJobStage(interviewId, 'interviewing');
+
+    const exchanges = await runInterview(persona, guide, {
+      maxProbes,
+      onQuestion: async (index, total) => {
+        await updateJobStage(interviewId, 'interviewing', {
+          progress: (index / total) * 100,
+          detail: `Question ${index + 1}/${total}`
+        });
+      },
+      onTurn: async exchange => {
+        await appendTurn(interviewId, exchange.question, exchange.answer, {
+          interview: { section_id: exchange.section_id, question_id: exchange.question_id, kind: exchange.kind }
+        });
+        await appendJobEvent(interviewId, 'interview_turn', {
+          section_id: exchange.section_id,
+          question_id: exchange.question_id,
+          kind: exchange.kind,
+          question: exchange.question
+        });
+      }
+    });
+
+    const probes = exchanges.filter(exchange => exchange.kind === 'probe').length;
+    await updateJobStage(interviewId, 'interviewing', { status: 'completed', detail: `${exchanges.length} answers, ${probes} probes` });
+
+    await updateJobStage(interviewId, 'debrief');
+    const debrief = await synthesizeDebrief(persona, guide, exchanges);
+    await updateInterview(interviewId, { status: 'completed', debrief, completed_at: new Date().toISOString() });
+
+    await completeJob(interviewId, {
+      interviewId,
+      conversationId: interviewId,
+      resultsUrl: `/api/interviews/${interviewId}`,
+      answers: exchanges.length,
+      probes,
+      debrief
+    });
+    console.log(`🎉 [${interviewId}] Interview completed (${exchanges.length} answers, ${probes} probes)`);
+
+  } catch (error) {
+    console.error(`💥 [${interviewId}] Interview failed: ${error.message}`);
+
+    await failJob(interviewId, {
+      statusCode: 500,
+      error: 'INTERVIEW_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }).catch(jobError => console.error(`❌ [${interviewId}] Could not record job failure: ${jobError.message}`));
+
+    await updateInterview(interviewId, { status: 'failed', error: error.message })
+      .catch(storeError => console.error(`❌ [${interviewId}] Could not record interview failure: ${storeError.message}`));
+  }
+}
+
+/**
+ * Debrief again from the whole conversation, including anything asked in chat after the guide
+ */
+async function redoDebrief(res, conversation) {
+  if (conversation.interview.status === 'running') {
+    return res.status(409).json({
+      error: 'INTERVIEW_IN_PROGRESS',
+      message: 'The interview is still running - it is debriefed when the guide is finished'
+    });
+  }
+
+  const exchanges = interviewExchanges(conversation);
+  if (!exchanges.length) {
+    return res.status(409).json({
+      error: 'INTERVIEW_EMPTY',
+      message: 'The interview has no answers to debrief'
+    });
+  }
+
+  const debrief = await meterCampaignUsage(conversation.campaign_id, { stage: 'interview', persona: conversation.persona.name }, () =>
+    synthesizeDebrief(conversation.persona, conversation.interview.guide, exchanges));
+  const updated = await updateInterview(conversation.id, { debrief });
+
+  console.log(`✅ [${conversation.id}] Interview debriefed (${debrief.key_quotes.length} quotes, ${debrief.barriers.length} barriers)`);
+
+  return res.status(200).json({ success: true, interview: formatInterview(updated) });
+}
+
+// The interview with its transcript as exchanges rather than raw chat messages
+function formatInterview(conversation) {
+  const { messages, summary, summarized_count, persona, interview, ...details } = conversation;
+  return {
+    ...details,
+    ...interview,
+    transcript: interviewExchanges(conversation)
+  };
+}
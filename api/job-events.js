@@ -0,0 +1,104 @@
+// api/job-events.js - Live Job Progress over Server-Sent Events
+import { getJob, getJobEvents, isJobFinished } from '../lib/jobStore.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+const POLL_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Close before the function timeout; EventSource reconnects with Last-Event-ID
+const STREAM_DURATION_MS = 280000;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, after } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Job id is required' });
+  }
+
+  let job;
+  try {
+    job = /^[A-Za-z0-9_-]+$/.test(id) ? await getJob(id) : null;
+  } catch (error) {
+    console.error(`💥 Job events error for ${id}:`, error.message);
+    return res.status(500).json({
+      error: 'JOB_EVENTS_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'JOB_NOT_FOUND',
+      message: `No job found with id ${id}`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let lastSeq = parseInt(req.headers['last-event-id'] || after, 10) || 0;
+  let closed = false;
+  let lastWrite = Date.now();
+  const startedAt = Date.now();
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  console.log(`📡 [${id}] Streaming job events from #${lastSeq}`);
+
+  while (!closed) {
+    for (const event of getJobEvents(job, lastSeq)) {
+      res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      lastSeq = event.seq;
+      lastWrite = Date.now();
+    }
+
+    if (isJobFinished(job)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: job.status, progress: job.progress })}\n\n`);
+      break;
+    }
+
+    if (Date.now() - startedAt > STREAM_DURATION_MS) {
+      break;
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    if (Date.now() - lastWrite > HEARTBEAT_INTERVAL_MS) {
+      res.write(`: heartbeat\n\n`);
+      lastWrite = Date.now();
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+    try {
+      job = (await getJob(id)) || job;
+    } catch (error) {
+      console.error(`❌ [${id}] Job events read failed: ${error.message}`);
+    }
+  }
+
+  res.end();
+}
@@ -0,0 +1,64 @@
+// api/jobs.js - Job Status for Persona Generation and Enrichment Runs
+import { getJob } from '../lib/jobStore.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Job id is required' });
+  }
+
+  try {
+    const job = /^[A-Za-z0-9_-]+$/.test(id) ? await getJob(id) : null;
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'JOB_NOT_FOUND',
+        message: `No job found with id ${id}`
+      });
+    }
+
+    // Job state changes on every poll
+    res.setHeader('Cache-Control', 'no-store');
+
+    return res.status(200).json({
+      success: true,
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      stages: job.stages,
+      partialResults: job.partial_results,
+      lastEventSeq: job.last_event_seq || 0,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      result: job.status === 'completed' ? job.result : null,
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      completedAt: job.completed_at || null
+    });
+
+  } catch (error) {
+    console.error(`💥 Job status error for ${id}:`, error.message);
+
+    return res.status(500).json({
+      error: 'JOB_STATUS_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,150 @@
+// api/poll.js - Poll a Persona Set In Character and Aggregate the Answers
+import { v4 as uuidv4 } from 'uuid';
+import { getPersonaStore, invalidPersonaSetIds, meterCampaignUsage } from '../lib/personaStore.js';
+import { pollPersonas, aggregatePollAnswers } from '../lib/pollAgent.js';
+import { generatePollCrosstabs } from '../lib/reportAgent.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const store = getPersonaStore();
+
+  if (req.method === 'GET') {
+    return await getPolls(req, res, store);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const pollId = uuidv4();
+
+  try {
+    const { question, campaign_id, run_id, persona_ids } = req.body;
+
+    if (!question || !String(question).trim()) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'A question is required'
+      });
+    }
+
+    if (!campaign_id && !run_id && !(Array.isArray(persona_ids) && persona_ids.length > 0)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Provide a campaign_id, run_id or persona_ids to choose who is polled'
+      });
+    }
+
+    const invalidIds = invalidPersonaSetIds({ campaign_id, run_id, persona_ids });
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: `Ids may only contain letters, numbers, dashes and underscores: ${invalidIds.join(', ')}`,
+        pollId: pollId
+      });
+    }
+
+    const personaSet = await store.resolvePersonaSet({ campaign_id, run_id, persona_ids });
+
+    if (personaSet.personas.length === 0) {
+      return res.status(404).json({
+        error: 'NO_PERSONAS',
+        message: 'No personas found for this campaign or persona set - generate personas first',
+        pollId: pollId
+      });
+    }
+
+    console.log(`📊 [${pollId}] Polling ${personaSet.personas.length} personas (${personaSet.description})`);
+
+    const personas = personaSet.personas.map(record => ({ ...record.data, persona_id: record.id }));
+    const answers = await meterCampaignUsage(personaSet.campaign_id, { stage: 'poll' }, () => pollPersonas(personas, String(question).trim()));
+    const aggregate = aggregatePollAnswers(answers);
+    const crosstabs = generatePollCrosstabs(personas, answers);
+
+    const poll = await store.savePoll({
+      id: pollId,
+      question: String(question).trim(),
+      campaign_id: personaSet.campaign_id,
+      run_id: personaSet.run_id,
+      persona_ids: personaSet.personas.map(record => record.id),
+      aggregate,
+      crosstabs,
+      answers,
+      created_at: new Date().toISOString()
+    });
+
+    console.log(`✅ [${pollId}] Poll complete - yes ${aggregate.stances.yes.percent}%, no ${aggregate.stances.no.percent}%, undecided ${aggregate.stances.undecided.percent}%`);
+
+    return res.status(200).json({
+      success: true,
+      pollId: poll.id,
+      question: poll.question,
+      campaignId: poll.campaign_id,
+      runId: poll.run_id,
+      aggregate,
+      crosstabs,
+      responses: answers,
+      timestamp: poll.created_at
+    });
+
+  } catch (error) {
+    console.error(`💥 [${pollId}] Poll error:`, error.message);
+
+    return res.status(500).json({
+      error: 'POLL_FAILED',
+      message: error.message,
+      pollId: pollId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * A stored poll by id, or the polls of a campaign
+ */
+async function getPolls(req, res, store) {
+  const { id, campaign_id } = req.query;
+
+  try {
+    if (!id) {
+      const polls = await store.listPolls({ campaign_id });
+      return res.status(200).json({
+        success: true,
+        polls: polls.map(({ answers, crosstabs, ...poll }) => poll)
+      });
+    }
+
+    const poll = /^[A-Za-z0-9_-]+$/.test(id) ? await store.getPoll(id) : null;
+    if (!poll) {
+      return res.status(404).json({
+        error: 'POLL_NOT_FOUND',
+        message: `No poll found with id ${id}`
+      });
+    }
+
+    return res.status(200).json({ success: true, poll });
+
+  } catch (error) {
+    console.error(`💥 Poll lookup error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'POLL_LOOKUP_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
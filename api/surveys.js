@@ -0,0 +1,285 @@
+// api/surveys.js - Survey Instruments: Define, Field to a Persona Set, Export Respondent Tables
+import { v4 as uuidv4 } from 'uuid';
+import { waitUntil } from '@vercel/functions';
+import { getPersonaStore, invalidPersonaSetIds, meterCampaignUsage } from '../lib/personaStore.js';
+import { validateSurvey, runSurvey, buildRespondentTable, tableToCsv } from '../lib/surveyAgent.js';
+import {
+  createSurvey,
+  getSurvey,
+  listSurveys,
+  createSurveyRun,
+  getSurveyRun,
+  listSurveyRuns,
+  addSurveyRespondent,
+  finishSurveyRun
+} from '../lib/surveyStore.js';
+import { createJob, updateJobStage, appendJobEvent, completeJob, failJob } from '../lib/jobStore.js';
+
+export const config = {
+  api: {
+    maxDuration: 300
+  }
+};
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, action, run_id } = req.query;
+
+  try {
+    if (run_id) {
+      return req.method === 'GET'
+        ? await getSurveyResults(req, res, run_id)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!id) {
+      if (req.method === 'GET') {
+        const surveys = await listSurveys({ campaign_id: req.query.campaign_id });
+        return res.status(200).json({
+          success: true,
+          surveys: surveys.map(survey => ({
+            id: survey.id,
+            campaign_id: survey.campaign_id,
+            title: survey.definition.title,
+            question_count: survey.definition.questions.length,
+            created_at: survey.created_at
+          }))
+        });
+      }
+
+      if (req.method === 'POST') {
+        return await saveSurvey(req, res);
+      }
+
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const survey = /^[A-Za-z0-9_-]+$/.test(id) ? await getSurvey(id) : null;
+    if (!survey) {
+      return res.status(404).json({
+        error: 'SURVEY_NOT_FOUND',
+        message: `No survey found with id ${id}`
+      });
+    }
+
+    if (action === 'run') {
+      return req.method === 'POST'
+        ? await fieldSurvey(req, res, survey)
+        : res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (req.method === 'GET') {
+      const runs = await listSurveyRuns({ survey_id: id });
+      return res.status(200).json({
+        success: true,
+        survey,
+        runs: runs.map(({ respondents, ...run }) => ({ ...run, respondent_count: respondents.length }))
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error(`💥 Survey request error${id ? ` for ${id}` : ''}:`, error.message);
+
+    return res.status(500).json({
+      error: 'SURVEY_REQUEST_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Validate and store a survey definition, sent as { survey, campaign_id } or as the definition itself
+ */
+async function saveSurvey(req, res) {
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        message: `Survey body is not valid JSON: ${parseError.message}`
+      });
+    }
+  }
+
+  const definition = body?.survey || body;
+  const campaignId = body?.survey ? body.campaign_id || null : null;
+
+  const { valid, errors, survey } = validateSurvey(definition);
+  if (!valid) {
+    return res.status(400).json({
+      error: 'INVALID_SURVEY',
+      message: `Survey definition has ${errors.length} problem(s)`,
+      details: errors
+    });
+  }
+
+  const saved = await createSurvey(survey, { campaign_id: campaignId });
+  console.log(`📋 Survey saved: ${survey.title} (${saved.id}, ${survey.questions.length} questions)`);
+
+  return res.status(201).json({ success: true, survey: saved });
+}
+
+/**
+ * Field a survey to a persona set as a job - respond with the job id, then administer
+ */
+async function fieldSurvey(req, res, survey) {
+  const { campaign_id, run_id, persona_ids } = req.body || {};
+  const surveyRunId = uuidv4();
+
+  if (!campaign_id && !run_id && !(Array.isArray(persona_ids) && persona_ids.length > 0)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'Provide a campaign_id, run_id or persona_ids to choose who is surveyed'
+    });
+  }
+
+  const invalidIds = invalidPersonaSetIds({ campaign_id, run_id, persona_ids });
+  if (invalidIds.length > 0) {
+    return res.status(400).json({
+      error: 'INVALID_REQUEST',
+      message: `Ids may only contain letters, numbers, dashes and underscores: ${invalidIds.join(', ')}`
+    });
+  }
+
+  const personaSet = await getPersonaStore().resolvePersonaSet({
+    campaign_id: campaign_id || survey.campaign_id,
+    run_id,
+    persona_ids
+  });
+
+  if (personaSet.personas.length === 0) {
+    return res.status(404).json({
+      error: 'NO_PERSONAS',
+      message: 'No personas found for this campaign or persona set - generate personas first'
+    });
+  }
+
+  await createSurveyRun(surveyRunId, {
+    survey_id: survey.id,
+    campaign_id: personaSet.campaign_id,
+    run_id: personaSet.run_id,
+    persona_ids: personaSet.personas.map(record => record.id)
+  });
+
+  await createJob(surveyRunId, {
+    type: 'survey',
+    params: { survey_id: survey.id, title: survey.definition.title, persona_count: personaSet.personas.length }
+  });
+  console.log(`📋 [${surveyRunId}] Fielding survey ${survey.id} to ${personaSet.personas.length} personas (${personaSet.description})`);
+
+  res.status(202).json({
+    success: true,
+    jobId: surveyRunId,
+    surveyRunId: surveyRunId,
+    statusUrl: `/api/jobs/${surveyRunId}`,
+    resultsUrl: `/api/surveys/runs/${surveyRunId}`,
+    respondents: personaSet.personas.length,
+    timestamp: new Date().toISOString()
+  });
+
+  const personas = personaSet.personas.map(record => ({ ...record.data, persona_id: record.id }));
+  waitUntil(meterCampaignUsage(personaSet.campaign_id, { stage: 'survey' }, () => administerSurvey(surveyRunId, survey, personas)));
+}
+
+/**
+ * Put the survey to every persona, recording respondents as they finish, then close the run and job
+ */
+async function administerSurvey(surveyRunId, survey, personas) {
+  try {
+    await updateJobStage(surveyRunId, 'fielding');
+
+    const respondents = await runSurvey(personas, survey.definition, {
+      onRespondent: async (respondent, completed, total) => {
+        await addSurveyRespondent(surveyRunId, respondent);
+        await appendJobEvent(surveyRunId, 'respondent_completed', {
+          name: respondent.persona_name,
+          status: respondent.status,
+          questions_answered: respondent.path.length,
+          index: completed,
+          total
+        });
+        await updateJobStage(surveyRunId, 'fielding', {
+          progress: (completed / total) * 100,
+          detail: `${completed}/${total} respondents`
+        });
+      }
+    });
+
+    await updateJobStage(surveyRunId, 'fielding', { status: 'completed', detail: `${respondents.length} respondents` });
+
+    await updateJobStage(surveyRunId, 'tabulation');
+    const table = buildRespondentTable(survey.definition, respondents);
+    await finishSurveyRun(surveyRunId, { status: 'completed' });
+
+    await completeJob(surveyRunId, {
+      surveyRunId,
+      surveyId: survey.id,
+      resultsUrl: `/api/surveys/runs/${surveyRunId}`,
+      csvUrl: `/api/surveys/runs/${surveyRunId}?format=csv`,
+      respondents: respondents.length,
+      complete: respondents.filter(respondent => respondent.status === 'complete').length,
+      columns: table.columns.length
+    });
+    console.log(`🎉 [${surveyRunId}] Survey run completed`);
+
+  } catch (error) {
+    console.error(`💥 [${surveyRunId}] Survey run failed: ${error.message}`);
+
+    await failJob(surveyRunId, {
+      statusCode: 500,
+      error: 'SURVEY_FAILED',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }).catch(jobError => console.error(`❌ [${surveyRunId}] Could not record job failure: ${jobError.message}`));
+
+    await finishSurveyRun(surveyRunId, { status: 'failed', error: error.message })
+      .catch(storeError => console.error(`❌ [${surveyRunId}] Could not record survey run failure: ${storeError.message}`));
+  }
+}
+
+/**
+ * Respondent-level results as JSON (table plus raw responses) or as a CSV download
+ */
+async function getSurveyResults(req, res, surveyRunId) {
+  const surveyRun = /^[A-Za-z0-9_-]+$/.test(surveyRunId) ? await getSurveyRun(surveyRunId) : null;
+  if (!surveyRun) {
+    return res.status(404).json({
+      error: 'SURVEY_RUN_NOT_FOUND',
+      message: `No survey run found with id ${surveyRunId}`
+    });
+  }
+
+  const survey = await getSurvey(surveyRun.survey_id);
+  const table = buildRespondentTable(survey.definition, surveyRun.respondents);
+
+  if (req.query.format === 'csv') {
+    const filename = `${survey.definition.title.replace(/[^A-Za-z0-9]+/g, '_')}_${surveyRunId}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(tableToCsv(table));
+  }
+
+  return res.status(200).json({
+    success: true,
+    surveyRunId: surveyRun.id,
+    surveyId: survey.id,
+    title: survey.definition.title,
+    status: surveyRun.status,
+    respondentCount: surveyRun.respondents.length,
+    table,
+    respondents: surveyRun.respondents
+  });
+}
@@ -0,0 +1,260 @@
+// lib/audienceDataAgent.js - Syndicated Audience Data (MRI, TargetSmart, Client) Summaries
+import DocumentAgent from './documentAgent.js';
+
+const AUDIENCE_SOURCES = {
+  mri: { key: 'mri_data', label: 'MRI-Simmons' },
+  targetsmart: { key: 'targetsmart_data', label: 'TargetSmart' },
+  client: { key: 'client_data', label: 'Client Data' }
+};
+
+// Header patterns for the dimensions we summarize (matched against lower-cased headers)
+const COLUMN_PATTERNS = {
+  age: [/^age$/, /^(respondent|voter|member|client)[ _]?age$/, /^age[ _]?(range|band|group|bucket)$/, /^vb[._]?voterbase[._]?age$/],
+  birth_year: [/^(birth|dob)[ _]?year$/, /^year[ _]?of[ _]?birth$/],
+  income: [/income/, /^hhi$/],
+  gender: [/^gender$/, /^sex$/, /gender$/],
+  state: [/^state$/, /^st$/, /state[ _]?(code|name)?$/],
+  city: [/^city$/, /city$/],
+  zip: [/^zip/, /postal/],
+  region: [/^region$/, /^dma/, /^county$/],
+  weight: [/^(count|weight|n|records|population|respondents|universe)$/, /weighted/, /^(proj|projected)/]
+};
+
+// Shared with poll crosstabs so persona segments line up with audience data bands
+export const AGE_BANDS = [
+  { label: 'Under 18', max: 17 },
+  { label: '18-24', max: 24 },
+  { label: '25-34', max: 34 },
+  { label: '35-44', max: 44 },
+  { label: '45-54', max: 54 },
+  { label: '55-64', max: 64 },
+  { label: '65+', max: Infinity }
+];
+
+export const INCOME_BANDS = [
+  { label: 'Under $25K', max: 24999 },
+  { label: '$25K-$50K', max: 49999 },
+  { label: '$50K-$75K', max: 74999 },
+  { label: '$75K-$100K', max: 99999 },
+  { label: '$100K-$150K', max: 149999 },
+  { label: '$150K+', max: Infinity }
+];
+
+/**
+ * Parse uploaded audience files into uploadedData entries keyed by source
+ * files: [{ source: 'mri' | 'targetsmart' | 'client', filename, buffer, mimeType? }]
+ */
+export async function parseAudienceFiles(files) {
+  const audienceData = {};
+
+  for (const file of files) {
+    const sourceConfig = AUDIENCE_SOURCES[file.source];
+    if (!sourceConfig) {
+      console.warn(`Unknown audience data source: ${file.source}`);
+      continue;
+    }
+
+    const [document] = await DocumentAgent.processFiles([file]);
+
+    if (document.error) {
+      audienceData[sourceConfig.key] = { source: file.source, filename: file.filename, error: document.error };
+      continue;
+    }
+
+    audienceData[sourceConfig.key] = summarizeAudienceData(document, file.source);
+    console.log(`📊 ${sourceConfig.label}: summarized ${audienceData[sourceConfig.key].summary.total_records} records`);
+  }
+
+  return audienceData;
+}
+
+/**
+ * Build summary statistics (age bands, income, geography, gender, counts) from a spreadsheet record
+ */
+export function summarizeAudienceData(document, source) {
+  if (!document.sheets || document.sheets.length === 0) {
+    throw new Error(`${document.filename} is not a spreadsheet (type: ${document.type})`);
+  }
+
+  // Use the largest sheet - exports often carry a notes or definitions tab
+  const sheet = [...document.sheets].sort((a, b) => b.rows.length - a.rows.length)[0];
+  const columns = detectColumns(sheet.columns);
+  const rows = sheet.rows;
+
+  const weightOf = row => {
+    if (!columns.weight) return 1;
+    const weight = parseNumber(row[columns.weight]);
+    return weight && weight > 0 ? weight : 0;
+  };
+
+  const ages = [];
+  const incomes = [];
+  const ageBands = {};
+  const incomeBands = {};
+  const genders = {};
+  const geography = {};
+  let weightedTotal = 0;
+
+  const currentYear = new Date().getFullYear();
+
+  rows.forEach(row => {
+    const weight = weightOf(row);
+    weightedTotal += weight;
+
+    // Age: numeric ages are banded, pre-bucketed labels (e.g. "35-44") are kept as-is
+    let age = columns.age ? parseNumber(row[columns.age]) : null;
+    if (age === null && columns.birth_year) {
+      const birthYear = parseNumber(row[columns.birth_year]);
+      age = birthYear ? currentYear - birthYear : null;
+    }
+
+    if (age !== null && !isRangeLabel(row[columns.age])) {
+      ages.push({ value: age, weight });
+      addCount(ageBands, bandFor(age, AGE_BANDS), weight);
+    } else if (columns.age && String(row[columns.age]).trim()) {
+      addCount(ageBands, String(row[columns.age]).trim(), weight);
+    }
+
+    // Income: same treatment as age
+    if (columns.income) {
+      const income = parseIncome(row[columns.income]);
+      if (income !== null && !isRangeLabel(row[columns.income])) {
+        incomes.push({ value: income, weight });
+        addCount(incomeBands, bandFor(income, INCOME_BANDS), weight);
+      } else if (String(row[columns.income]).trim()) {
+        addCount(incomeBands, String(row[columns.income]).trim(), weight);
+      }
+    }
+
+    if (columns.gender) {
+      const gender = normalizeGender(row[columns.gender]);
+      if (gender) addCount(genders, gender, weight);
+    }
+
+    ['state', 'region', 'city', 'zip'].forEach(level => {
+      if (!columns[level]) return;
+      const value = String(row[columns[level]]).trim();
+      if (!value) return;
+      geography[level] = geography[level] || {};
+      addCount(geography[level], level === 'state' ? value.toUpperCase() : value, weight);
+    });
+  });
+
+  const geographySummary = {};
+  Object.entries(geography).forEach(([level, counts]) => {
+    geographySummary[level] = toDistribution(counts, weightedTotal, 10);
+  });
+
+  return {
+    source,
+    filename: document.filename,
+    sheet: sheet.name,
+    row_count: rows.length,
+    columns: sheet.columns,
+    detected_columns: columns,
+    summary: {
+      total_records: rows.length,
+      weighted_total: columns.weight ? Math.round(weightedTotal) : rows.length,
+      age_bands: toDistribution(ageBands, weightedTotal),
+      age_stats: describe(ages),
+      income_bands: toDistribution(incomeBands, weightedTotal),
+      income_stats: describe(incomes),
+      gender: toDistribution(genders, weightedTotal),
+      geography: geographySummary
+    },
+    parsed_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Map summary dimensions to the first matching spreadsheet header
+ */
+function detectColumns(headers) {
+  const detected = {};
+
+  Object.entries(COLUMN_PATTERNS).forEach(([dimension, patterns]) => {
+    const match = headers.find(header => {
+      const normalized = String(header).toLowerCase().trim();
+      return patterns.some(pattern => pattern.test(normalized));
+    });
+    if (match) detected[dimension] = match;
+  });
+
+  return detected;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseIncome(value) {
+  if (typeof value === 'string' && /\d+\s*k\b/i.test(value) && !isRangeLabel(value)) {
+    return parseFloat(value.replace(/[$,\s]/g, '')) * 1000;
+  }
+  return parseNumber(value);
+}
+
+function isRangeLabel(value) {
+  return typeof value === 'string' && /\d\s*k?\s*(-|–|to)\s*\$?\d|\+|under|over|less|more/i.test(value);
+}
+
+export function normalizeGender(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  if (['m', 'male', 'man', 'men'].includes(normalized)) return 'Male';
+  if (['f', 'female', 'woman', 'women'].includes(normalized)) return 'Female';
+  return String(value).trim();
+}
+
+export function bandFor(value, bands) {
+  return bands.find(band => value <= band.max).label;
+}
+
+function addCount(counts, key, weight) {
+  counts[key] = (counts[key] || 0) + weight;
+}
+
+function toDistribution(counts, total, limit) {
+  const entries = Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit || undefined);
+
+  const distribution = {};
+  entries.forEach(([label, count]) => {
+    distribution[label] = {
+      count: Math.round(count),
+      percent: total ? Math.round((count / total) * 1000) / 10 : 0
+    };
+  });
+
+  return distribution;
+}
+
+function describe(values) {
+  if (!values.length) return null;
+
+  const totalWeight = values.reduce((sum, v) => sum + v.weight, 0) || values.length;
+  const mean = values.reduce((sum, v) => sum + v.value * (v.weight || 0), 0) / totalWeight;
+
+  // Weighted median
+  const sorted = [...values].sort((a, b) => a.value - b.value);
+  let cumulative = 0;
+  let median = sorted[sorted.length - 1].value;
+  for (const v of sorted) {
+    cumulative += v.weight;
+    if (cumulative >= totalWeight / 2) {
+      median = v.value;
+      break;
+    }
+  }
+
+  return {
+    mean: Math.round(mean),
+    median,
+    min: sorted[0].value,
+    max: sorted[sorted.length - 1].value
+  };
+}
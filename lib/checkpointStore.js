@@ -0,0 +1,112 @@
+// lib/checkpointStore.js - Per-Session Checkpoints for Resumable Pipeline Runs
+import { readDocument, updateDocument } from './fileStore.js';
+
+const COLLECTION = 'checkpoints';
+
+// Stages whose output is checkpointed, in run order
+export const CHECKPOINT_STAGES = ['documents', 'research', 'generation', 'social_enrichment', 'legal_enrichment', 'export', 'creative_testing'];
+
+/**
+ * Load the checkpoint for a session, or null if the session has never run
+ */
+export async function loadCheckpoint(sessionId) {
+  return await readDocument(COLLECTION, sessionId);
+}
+
+/**
+ * Create the checkpoint for a new run, or record a resume of an existing one
+ */
+export async function startCheckpoint(sessionId, { mode, params }) {
+  return await updateDocument(COLLECTION, sessionId, checkpoint => {
+    const now = new Date().toISOString();
+
+    if (checkpoint) {
+      return {
+        ...checkpoint,
+        params: { ...checkpoint.params, ...params },
+        resume_count: (checkpoint.resume_count || 0) + 1,
+        updated_at: now
+      };
+    }
+
+    return {
+      session_id: sessionId,
+      mode,
+      params,
+      stages: {},
+      resume_count: 0,
+      created_at: now,
+      updated_at: now
+    };
+  });
+}
+
+/**
+ * Output of a completed stage, or null if the stage has not completed
+ */
+export function getStageOutput(checkpoint, stage) {
+  const stageState = checkpoint?.stages?.[stage];
+  return stageState?.completed_at ? stageState.output : null;
+}
+
+/**
+ * Persist a stage's output and mark it complete
+ */
+export async function saveStageOutput(sessionId, stage, output) {
+  return await mutateCheckpoint(sessionId, checkpoint => {
+    checkpoint.stages[stage] = {
+      ...checkpoint.stages[stage],
+      output,
+      completed_at: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * Partial progress within a stage (e.g. finished research categories), keyed by item
+ */
+export function getStageItems(checkpoint, stage) {
+  return checkpoint?.stages?.[stage]?.items || {};
+}
+
+/**
+ * Persist one finished item (a research category, an enriched persona) within a stage
+ */
+export async function saveStageItem(sessionId, stage, key, value) {
+  return await mutateCheckpoint(sessionId, checkpoint => {
+    const stageState = checkpoint.stages[stage] || (checkpoint.stages[stage] = {});
+    stageState.items = { ...stageState.items, [key]: value };
+  });
+}
+
+/**
+ * Stable keys for personas across reruns - the normalized name, suffixed when names repeat
+ */
+export function personaKeys(personas) {
+  const seen = {};
+
+  return personas.map((persona, i) => {
+    const name = String(persona?.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const base = name || `persona_${i + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base}_${seen[base]}` : base;
+  });
+}
+
+/**
+ * Stages that already have output, for reporting what a resumed run skipped
+ */
+export function getCompletedStages(checkpoint) {
+  return CHECKPOINT_STAGES.filter(stage => checkpoint?.stages?.[stage]?.completed_at);
+}
+
+function mutateCheckpoint(sessionId, mutator) {
+  return updateDocument(COLLECTION, sessionId, checkpoint => {
+    if (!checkpoint) {
+      throw new Error(`Checkpoint not found: ${sessionId}`);
+    }
+    mutator(checkpoint);
+    checkpoint.updated_at = new Date().toISOString();
+    return checkpoint;
+  });
+}
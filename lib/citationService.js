@@ -0,0 +1,206 @@
+// lib/citationService.js - Trait-Level Citations Linking Persona Claims to Source Passages
+import { BM25Index, tokenize } from './retrievalIndex.js';
+
+const SOURCE_TAG_PATTERN = /\[Sources?:\s*([^\]]+)\]/gi;
+
+// Minimum BM25 score for a retrieved (untagged) passage to count as supporting evidence
+const MIN_EVIDENCE_SCORE = 1.5;
+const MAX_QUOTE_CHARS = 240;
+
+/**
+ * Extract [Source: X] tags from text; a tag may list several ids separated by commas or semicolons
+ */
+export function parseSourceTags(text) {
+  const tags = [];
+  if (typeof text !== 'string') return { text, tags };
+
+  const cleaned = text.replace(SOURCE_TAG_PATTERN, (_, inner) => {
+    inner.split(/[,;]/).map(tag => tag.trim()).filter(Boolean).forEach(tag => tags.push(tag));
+    return '';
+  }).replace(/\s{2,}/g, ' ').replace(/\s+([.,;])/g, '$1').trim();
+
+  return { text: cleaned, tags };
+}
+
+/**
+ * Map each persona trait to concrete source chunks with quoted evidence.
+ * chunks: every indexed chunk ({id, source_id, source, offset, text}) so tags
+ * pointing outside the prompt passages can still be resolved.
+ */
+export function buildTraitCitations(persona, chunks) {
+  const index = new BM25Index();
+  index.add(chunks);
+
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const chunksBySource = new Map();
+  chunks.forEach(chunk => {
+    [chunk.source_id, chunk.source, chunk.category].filter(Boolean).forEach(key => {
+      const normalized = normalizeKey(key);
+      if (!chunksBySource.has(normalized)) chunksBySource.set(normalized, []);
+      chunksBySource.get(normalized).push(chunk);
+    });
+  });
+
+  const traits = [];
+  const invalidTags = [];
+
+  extractTraits(persona).forEach(({ field, value }) => {
+    const { text, tags } = parseSourceTags(String(value));
+    const query = traitQuery(field, text);
+    const evidence = [];
+
+    // Explicit [Source: X] tags first
+    tags.forEach(tag => {
+      const resolved = resolveTag(tag, query, chunksById, chunksBySource);
+      if (!resolved) {
+        invalidTags.push({ field, tag, reason: 'unknown_source' });
+        return;
+      }
+      evidence.push(toEvidence(resolved, query, 'tagged'));
+    });
+
+    // Then the best-matching passages, so untagged claims still get grounded
+    index.search(query, 3)
+      .filter(result => result.score >= MIN_EVIDENCE_SCORE)
+      .filter(result => !evidence.some(e => e.chunk_id === result.chunk.id))
+      .slice(0, 2)
+      .forEach(result => evidence.push({ ...toEvidence(result.chunk, query, 'retrieved'), score: round(result.score) }));
+
+    traits.push({
+      field,
+      value: text,
+      cited_tags: tags,
+      evidence,
+      supported: evidence.length > 0
+    });
+  });
+
+  // Persona-level source lists must point at real sources too
+  (Array.isArray(persona.data_sources) ? persona.data_sources : []).forEach((source, i) => {
+    if (!resolveTag(String(source), '', chunksById, chunksBySource)) {
+      invalidTags.push({ field: `data_sources[${i}]`, tag: source, reason: 'unknown_source' });
+    }
+  });
+
+  const supported = traits.filter(trait => trait.supported).length;
+
+  return {
+    traits,
+    invalid_tags: invalidTags,
+    coverage: {
+      traits_total: traits.length,
+      traits_supported: supported,
+      traits_tagged: traits.filter(trait => trait.cited_tags.length > 0).length,
+      ratio: traits.length ? round(supported / traits.length) : 0
+    }
+  };
+}
+
+/**
+ * Flatten the persona fields reviewers need traced back to sources
+ */
+function extractTraits(persona) {
+  const traits = [];
+  const add = (field, value) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      traits.push({ field, value });
+    }
+  };
+
+  add('age', persona.age);
+  add('gender', persona.gender);
+  add('location', persona.location);
+  add('occupation', persona.occupation);
+  add('income', persona.income);
+
+  ['motivations', 'barriers'].forEach(listField => {
+    const values = Array.isArray(persona[listField]) ? persona[listField] : [persona[listField]];
+    values.forEach((value, i) => add(`${listField}[${i}]`, value));
+  });
+
+  if (persona.bio) {
+    splitSentences(persona.bio).forEach((sentence, i) => add(`bio.sentences[${i}]`, sentence));
+  }
+
+  add('communication_style', persona.communication_style);
+
+  return traits;
+}
+
+/**
+ * Resolve a tag to a chunk: exact chunk id, then source id or source name (best chunk for the trait)
+ */
+function resolveTag(tag, query, chunksById, chunksBySource) {
+  if (chunksById.has(tag)) {
+    return chunksById.get(tag);
+  }
+
+  const sourceChunks = chunksBySource.get(normalizeKey(tag.replace(/#\d+$/, '')));
+  if (!sourceChunks) {
+    return null;
+  }
+
+  return bestChunkFor(sourceChunks, query);
+}
+
+function bestChunkFor(chunks, query) {
+  if (chunks.length === 1) return chunks[0];
+
+  const index = new BM25Index();
+  index.add(chunks);
+  const [best] = index.search(query, 1);
+  return best ? best.chunk : chunks[0];
+}
+
+function toEvidence(chunk, query, match) {
+  return {
+    chunk_id: chunk.id,
+    source_id: chunk.source_id,
+    source: chunk.source,
+    ...(chunk.category ? { category: chunk.category } : {}),
+    offset: chunk.offset,
+    quote: bestQuote(chunk.text, query),
+    match
+  };
+}
+
+/**
+ * Pick the sentence (or line) in a chunk sharing the most terms with the trait
+ */
+function bestQuote(text, query) {
+  const queryTokens = new Set(tokenize(query));
+  const candidates = text.split(/(?<=[.!?])\s+|\n+/).map(part => part.trim()).filter(part => part.length > 10);
+
+  let best = candidates[0] || text;
+  let bestOverlap = -1;
+  candidates.forEach(candidate => {
+    const overlap = tokenize(candidate).filter(token => queryTokens.has(token)).length;
+    if (overlap > bestOverlap) {
+      best = candidate;
+      bestOverlap = overlap;
+    }
+  });
+
+  return best.length > MAX_QUOTE_CHARS ? best.substring(0, MAX_QUOTE_CHARS - 3) + '...' : best;
+}
+
+function traitQuery(field, text) {
+  if (field === 'age') return `age ${text} years old`;
+  if (field === 'income') return `income household ${text}`;
+  return text;
+}
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9#]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
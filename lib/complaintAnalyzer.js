@@ -0,0 +1,169 @@
+// lib/complaintAnalyzer.js - Structured Complaint Analysis with Page Citations
+import { complete } from './llmClient.js';
+
+// Roughly 30k tokens of pleading text - enough for the class allegations of most complaints
+const MAX_COMPLAINT_CHARS = 120000;
+
+/**
+ * Analyze every complaint among processed documents and attach the structured analysis
+ */
+export async function analyzeComplaints(documents) {
+  const results = [];
+
+  for (const document of documents) {
+    if (!isComplaintDocument(document)) {
+      results.push(document);
+      continue;
+    }
+
+    try {
+      console.log(`⚖️ Analyzing complaint: ${document.filename}`);
+      const analysis = await analyzeComplaint(document);
+      console.log(`✅ Complaint analysis complete: ${analysis.defendants.length} defendants, ${analysis.class_definitions.length} classes, ${analysis.qualifying_criteria.length} criteria`);
+
+      results.push({ ...document, complaint_analysis: analysis });
+
+    } catch (error) {
+      console.error(`❌ Complaint analysis failed for ${document.filename}:`, error.message);
+      results.push({ ...document, complaint_analysis_error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Detect whether a processed document is a complaint pleading
+ */
+export function isComplaintDocument(document) {
+  if (!document || !document.content || document.type === 'csv' || document.type === 'xlsx') {
+    return false;
+  }
+
+  if (/complaint/i.test(document.filename || '')) {
+    return true;
+  }
+
+  const opening = document.content.substring(0, 20000).toLowerCase();
+  return opening.includes('plaintiff') &&
+    opening.includes('defendant') &&
+    (opening.includes('class action') || opening.includes('complaint') || opening.includes('jury trial demanded'));
+}
+
+/**
+ * Extract parties, class definitions, class period, jurisdictions, injuries and qualifying criteria
+ */
+export async function analyzeComplaint(document) {
+  const response = await complete('analysis', {
+    max_tokens: 4000,
+    temperature: 0,
+    messages: [{
+      role: 'user',
+      content: buildComplaintPrompt(document)
+    }]
+  });
+
+  const analysis = parseComplaintResponse(response.text);
+  analysis.source_document = document.filename;
+  analysis.analyzed_at = new Date().toISOString();
+
+  return analysis;
+}
+
+/**
+ * Build the extraction prompt with page markers so every item can be cited
+ */
+function buildComplaintPrompt(document) {
+  const pleading = formatPagedText(document);
+
+  return `You are a mass tort and class action analyst. Extract the structured facts of the following complaint so a marketing team can identify who actually qualifies under the pleading.
+
+The complaint text is marked with [Page N] headers. Every extracted item MUST include the page number where it appears. Only extract what the complaint states - do not infer or add facts.
+
+COMPLAINT (${document.filename}):
+${pleading}
+
+Return ONLY valid JSON in this structure:
+{
+  "case_caption": "short caption, e.g. Doe v. Acme Foods, Inc.",
+  "defendants": [{"name": "defendant name", "role": "manufacturer|distributor|retailer|parent company|other", "page": 1}],
+  "products": [{"name": "product or product line", "description": "how the complaint describes it", "page": 1}],
+  "class_definitions": [{"name": "class name", "definition": "verbatim or near-verbatim class definition", "page": 1}],
+  "subclasses": [{"name": "subclass name", "parent_class": "class name", "definition": "definition", "page": 1}],
+  "class_period": {"start": "date or description", "end": "date, 'present' or description", "description": "how the period is defined", "page": 1},
+  "jurisdictions": [{"court": "court name if stated", "state": "state or 'nationwide'", "basis": "venue|state law claims|nationwide class", "page": 1}],
+  "alleged_injuries": [{"injury": "injury or harm", "description": "details as alleged", "page": 1}],
+  "qualifying_criteria": [{"criterion": "what a person must meet to be a class member or claimant", "category": "exposure|purchase|injury|diagnosis|timing|age|geography|other", "page": 1}]
+}
+
+Use empty arrays when the complaint does not address a field, and null for class_period if no period is stated.`;
+}
+
+/**
+ * Render document text with page markers, truncated to the analysis budget
+ */
+function formatPagedText(document) {
+  const text = document.pages && document.pages.length
+    ? document.pages.map(page => `[Page ${page.page}]\n${page.text}`).join('\n\n')
+    : `[Page 1]\n${document.content}`;
+
+  if (text.length <= MAX_COMPLAINT_CHARS) {
+    return text;
+  }
+
+  console.warn(`Complaint ${document.filename} truncated from ${text.length} to ${MAX_COMPLAINT_CHARS} chars for analysis`);
+  return text.substring(0, MAX_COMPLAINT_CHARS) + '\n[... remaining pages truncated ...]';
+}
+
+/**
+ * Parse Claude's response into a normalized complaint analysis
+ */
+function parseComplaintResponse(responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in complaint analysis response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const asArray = value => Array.isArray(value) ? value : [];
+
+  return {
+    case_caption: parsed.case_caption || null,
+    defendants: asArray(parsed.defendants),
+    products: asArray(parsed.products),
+    class_definitions: asArray(parsed.class_definitions),
+    subclasses: asArray(parsed.subclasses),
+    class_period: parsed.class_period || null,
+    jurisdictions: asArray(parsed.jurisdictions),
+    alleged_injuries: asArray(parsed.alleged_injuries),
+    qualifying_criteria: asArray(parsed.qualifying_criteria)
+  };
+}
+
+/**
+ * Format a complaint analysis as compact, cited text for persona prompts
+ */
+export function formatComplaintAnalysis(analysis) {
+  const cite = item => item && item.page ? ` (p. ${item.page})` : '';
+  const lines = [];
+
+  if (analysis.case_caption) {
+    lines.push(`Case: ${analysis.case_caption}`);
+  }
+
+  analysis.defendants.forEach(d => lines.push(`Defendant: ${d.name}${d.role ? ` [${d.role}]` : ''}${cite(d)}`));
+  analysis.products.forEach(p => lines.push(`Product: ${p.name}${p.description ? ` - ${p.description}` : ''}${cite(p)}`));
+  analysis.class_definitions.forEach(c => lines.push(`Class "${c.name}": ${c.definition}${cite(c)}`));
+  analysis.subclasses.forEach(s => lines.push(`Subclass "${s.name}"${s.parent_class ? ` of ${s.parent_class}` : ''}: ${s.definition}${cite(s)}`));
+
+  if (analysis.class_period) {
+    const period = analysis.class_period;
+    lines.push(`Class period: ${period.start || '?'} to ${period.end || '?'}${period.description ? ` - ${period.description}` : ''}${cite(period)}`);
+  }
+
+  analysis.jurisdictions.forEach(j => lines.push(`Jurisdiction: ${[j.court, j.state, j.basis].filter(Boolean).join(', ')}${cite(j)}`));
+  analysis.alleged_injuries.forEach(i => lines.push(`Alleged injury: ${i.injury}${i.description ? ` - ${i.description}` : ''}${cite(i)}`));
+  analysis.qualifying_criteria.forEach(q => lines.push(`Qualifying criterion [${q.category || 'other'}]: ${q.criterion}${cite(q)}`));
+
+  return lines.join('\n');
+}
@@ -0,0 +1,240 @@
+// lib/complianceAgent.js - Attorney-Advertising Compliance Review of Ad Creatives
+import { complete, isProfileConfigured } from './llmClient.js';
+import { getRulePack, CREATIVE_FIELDS } from './complianceRules.js';
+
+/**
+ * Check each creative against a state's rule pack: the rules engine flags phrases and missing
+ * disclaimers, then Claude reviews the copy for anything the patterns miss and suggests a
+ * compliant rewrite. Without a configured analysis model the rules engine runs alone.
+ */
+export async function checkCreativesCompliance(creatives, { state } = {}) {
+  const rulePack = await getRulePack(state);
+  const llmReview = isProfileConfigured('analysis');
+
+  console.log(`⚖️ Checking ${creatives.length} creatives against ${rulePack.name} (${rulePack.rules.length} rules)`);
+  if (!llmReview) {
+    console.log('⚠️ Analysis model not configured - running the rules engine without LLM review');
+  }
+
+  const results = [];
+  for (const creative of creatives) {
+    results.push(await checkCreative(creative, rulePack, { llmReview }));
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  console.log(`✅ Compliance check complete: ${count('pass')} pass, ${count('warning')} warning, ${count('violation')} violation`);
+
+  return {
+    state: rulePack.state,
+    rule_pack: { state: rulePack.state, name: rulePack.name, configured: rulePack.configured, rule_count: rulePack.rules.length },
+    llm_review: llmReview ? 'enabled' : 'unavailable',
+    summary: {
+      creatives: results.length,
+      passed: count('pass'),
+      warnings: count('warning'),
+      violations: count('violation')
+    },
+    creatives: results,
+    checked_at: new Date().toISOString()
+  };
+}
+
+async function checkCreative(creative, rulePack, { llmReview }) {
+  const findings = applyRules(creative, rulePack.rules);
+  let rewrite = null;
+  let llmError = null;
+
+  if (llmReview) {
+    try {
+      const review = await reviewCreative(creative, rulePack, findings);
+      findings.push(...review.findings.filter(finding => !findings.some(existing => isSameFinding(existing, finding))));
+      rewrite = review.rewrite;
+    } catch (error) {
+      console.error(`❌ LLM compliance review failed for ${creative.id}:`, error.message);
+      llmError = error.message;
+    }
+  }
+
+  return {
+    creative_id: creative.id,
+    headline: creative.headline,
+    status: findings.some(finding => finding.severity === 'violation') ? 'violation' : findings.length ? 'warning' : 'pass',
+    findings,
+    suggested_rewrite: findings.length ? buildRewrite(creative, rewrite, rulePack.rules) : null,
+    ...(llmError ? { llm_error: llmError } : {})
+  };
+}
+
+/**
+ * Rules engine: every pattern match, and every required text that is missing (when its trigger matches)
+ */
+function applyRules(creative, rules) {
+  const fullText = CREATIVE_FIELDS.map(field => creative[field] || '').join('\n');
+  const contains = texts => (texts || []).some(text => fullText.toLowerCase().includes(text.toLowerCase()));
+  const findings = [];
+
+  rules.forEach(rule => {
+    const finding = (field, phrase) => ({
+      rule_id: rule.id,
+      title: rule.title,
+      citation: rule.citation || null,
+      severity: rule.severity,
+      source: 'rules',
+      field,
+      phrase,
+      message: rule.message,
+      suggestion: rule.suggestion
+    });
+
+    if (rule.type === 'pattern') {
+      if (contains(rule.unless_text)) return;
+
+      (rule.fields || CREATIVE_FIELDS).forEach(field => {
+        const phrases = new Set();
+        rule.patterns.forEach(pattern => {
+          (String(creative[field] || '').match(new RegExp(pattern, 'gi')) || []).forEach(match => phrases.add(match));
+        });
+        // Overlapping patterns ("get justice" inside "get the justice you deserve") report the longest phrase once
+        [...phrases]
+          .filter(phrase => ![...phrases].some(other => other !== phrase && other.toLowerCase().includes(phrase.toLowerCase())))
+          .forEach(phrase => findings.push(finding(field, phrase)));
+      });
+      return;
+    }
+
+    if (rule.type === 'required_text') {
+      const triggers = rule.trigger_patterns || [];
+      const trigger = triggers.map(pattern => fullText.match(new RegExp(pattern, 'i'))?.[0]).find(Boolean);
+      if (triggers.length && !trigger) return;
+      if (contains(rule.required_text)) return;
+
+      const triggerField = trigger ? CREATIVE_FIELDS.find(field => String(creative[field] || '').includes(trigger)) : null;
+      findings.push(finding(triggerField, trigger || null));
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Claude reviews the copy against the pack's rules, adds findings the patterns missed and rewrites it
+ */
+async function reviewCreative(creative, rulePack, ruleFindings) {
+  const response = await complete('analysis', {
+    max_tokens: 1500,
+    temperature: 0.2,
+    system: `You are a compliance reviewer for attorney advertising under ${rulePack.name} rules. You review ad copy for a law firm's media team, flag risky phrasing against the rules you are given, and rewrite the ad so it complies while keeping its message and tone. Be precise: flag only phrases that appear in the ad.`,
+    messages: [{ role: 'user', content: buildReviewPrompt(creative, rulePack, ruleFindings) }]
+  });
+
+  return parseReview(response.text, creative, rulePack);
+}
+
+function buildReviewPrompt(creative, rulePack, ruleFindings) {
+  const ad = CREATIVE_FIELDS
+    .filter(field => creative[field])
+    .map(field => `${field}: ${creative[field]}`)
+    .join('\n');
+
+  const rules = rulePack.rules
+    .map(rule => `- ${rule.id} (${rule.severity}${rule.citation ? `, ${rule.citation}` : ''}): ${rule.title}. ${rule.message}`)
+    .join('\n');
+
+  const flagged = ruleFindings.length
+    ? ruleFindings.map(finding => `- ${finding.rule_id}: ${finding.phrase ? `"${finding.phrase}" in ${finding.field}` : 'required text missing'}`).join('\n')
+    : '- none';
+
+  return `AD CREATIVE:
+${ad}
+
+RULES:
+${rules}
+
+ALREADY FLAGGED BY THE RULES ENGINE:
+${flagged}
+
+Find any other phrasing that breaks these rules (implied promises, misleading claims, missing disclosures the patterns missed), then rewrite the ad so it complies with every rule, including the flagged ones.
+
+Return ONLY JSON:
+{
+  "findings": [
+    { "rule_id": "id from RULES", "field": "headline" | "body" | "image_description", "phrase": "exact phrase from the ad", "explanation": "why it is a problem, one sentence" }
+  ],
+  "rewrite": { "headline": "...", "body": "...", "image_description": "..." }
+}`;
+}
+
+/**
+ * Keep findings that cite a known rule and quote the ad; invented phrases are dropped
+ */
+function parseReview(responseText, creative, rulePack) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in compliance review');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+
+  const findings = (Array.isArray(parsed.findings) ? parsed.findings : [])
+    .map(finding => {
+      const rule = rulePack.rules.find(candidate => candidate.id === finding.rule_id);
+      const field = CREATIVE_FIELDS.includes(finding.field) ? finding.field : null;
+      const phrase = String(finding.phrase || '').trim();
+      if (!rule || !phrase) return null;
+
+      const quoted = (field ? [field] : CREATIVE_FIELDS).some(name => String(creative[name] || '').toLowerCase().includes(phrase.toLowerCase()));
+      if (!quoted) return null;
+
+      return {
+        rule_id: rule.id,
+        title: rule.title,
+        citation: rule.citation || null,
+        severity: rule.severity,
+        source: 'llm',
+        field,
+        phrase,
+        message: String(finding.explanation || rule.message).trim(),
+        suggestion: rule.suggestion
+      };
+    })
+    .filter(Boolean);
+
+  const rewrite = parsed.rewrite && typeof parsed.rewrite === 'object'
+    ? Object.fromEntries(CREATIVE_FIELDS.map(field => [field, String(parsed.rewrite[field] ?? creative[field] ?? '').trim()]))
+    : null;
+
+  return { findings, rewrite };
+}
+
+function isSameFinding(a, b) {
+  return a.rule_id === b.rule_id && (!a.phrase || !b.phrase ||
+    a.phrase.toLowerCase().includes(b.phrase.toLowerCase()) || b.phrase.toLowerCase().includes(a.phrase.toLowerCase()));
+}
+
+/**
+ * The LLM rewrite (or the original copy) with any still-missing disclaimers appended to the body,
+ * re-checked so the media team can see what the rewrite still needs
+ */
+function buildRewrite(creative, rewrite, rules) {
+  const draft = {
+    ...Object.fromEntries(CREATIVE_FIELDS.map(field => [field, creative[field] || ''])),
+    ...(rewrite || {})
+  };
+
+  const disclaimers = applyRules(draft, rules)
+    .map(finding => rules.find(rule => rule.id === finding.rule_id)?.disclaimer)
+    .filter((disclaimer, index, all) => disclaimer && all.indexOf(disclaimer) === index);
+
+  if (disclaimers.length) {
+    draft.body = [draft.body, ...disclaimers].filter(Boolean).join(' ');
+  }
+
+  const remaining = applyRules(draft, rules);
+
+  return {
+    ...draft,
+    source: rewrite ? 'llm' : 'rules',
+    added_disclaimers: disclaimers,
+    remaining_findings: remaining.map(finding => ({ rule_id: finding.rule_id, field: finding.field, phrase: finding.phrase }))
+  };
+}
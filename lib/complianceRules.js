@@ -0,0 +1,315 @@
+// lib/complianceRules.js - Attorney-Advertising Rule Packs, Built-In and Configured Per State
+import { readDocument, writeDocument } from './fileStore.js';
+
+const COLLECTION = 'compliance_rule_packs';
+
+export const RULE_SEVERITIES = ['violation', 'warning'];
+
+// pattern: flag phrases matching any pattern, unless the creative already has unless_text.
+// required_text: the creative must contain the text, always or only when a trigger pattern
+// matches (e.g. a results disclaimer when results are cited). A rule's disclaimer is the text
+// added to a suggested rewrite when the required text is missing.
+export const RULE_TYPES = ['pattern', 'required_text'];
+
+export const CREATIVE_FIELDS = ['headline', 'body', 'image_description'];
+
+/**
+ * Rules drawn from ABA Model Rules 7.1-7.3, applied in every state. Starting points for
+ * review by counsel, not legal advice - adjust them per state through configured packs.
+ */
+const BASE_RULES = [
+  {
+    id: 'outcome_guarantee',
+    title: 'No guarantees or promises of outcome',
+    citation: 'ABA Model Rule 7.1, cmt. [3]',
+    severity: 'violation',
+    type: 'pattern',
+    patterns: ['(?<!\\bnot? )\\bguarantee[ds]?\\b', '\\bwe (will|\'ll) win\\b', '\\bwin your case\\b', '\\b100\\s?% (success|win)', '\\bget (the )?(justice|money|compensation) you deserve\\b', '\\bget justice\\b'],
+    message: 'Promises or implies a result the firm cannot guarantee, creating unjustified expectations.',
+    suggestion: 'Describe what the firm does ("we can review your case") rather than the result the client will get.'
+  },
+  {
+    id: 'unverifiable_superlatives',
+    title: 'No unverifiable comparisons or superlatives',
+    citation: 'ABA Model Rule 7.1, cmt. [3]',
+    severity: 'warning',
+    type: 'pattern',
+    patterns: ['\\bbest (lawyers?|attorneys?|law firm)\\b', '\\b(#|number )1\\b', '\\btop[- ]rated\\b', '\\bleading (lawyers?|attorneys?|law firm)\\b', '\\bmost (experienced|successful)\\b'],
+    message: 'Compares the firm to others in a way that cannot be factually substantiated.',
+    suggestion: 'Remove the comparison or replace it with a verifiable fact (years in practice, cases handled).'
+  },
+  {
+    id: 'specialist_claims',
+    title: 'Specialist or expert claims need certification',
+    citation: 'ABA Model Rule 7.2(c)',
+    severity: 'warning',
+    type: 'pattern',
+    patterns: ['\\bspeciali[sz](t|ts|e|es|ing)\\b', '\\bexperts? in\\b', '\\bcertified specialists?\\b'],
+    message: 'Claims a specialty or certification, which most states allow only with board certification and a named certifying body.',
+    suggestion: 'Say the firm "handles" or "focuses on" these cases unless a lawyer is board certified and the certifying body is named.'
+  },
+  {
+    id: 'fee_cost_disclosure',
+    title: '"Free consultation" and "no fee" offers must disclose costs',
+    citation: 'ABA Model Rule 7.1',
+    severity: 'warning',
+    type: 'required_text',
+    trigger_patterns: ['\\bfree (consultation|case review|evaluation)\\b', '\\bno (fee|fees|charge)s? unless\\b', '\\bno win,? no fee\\b', '\\bpay nothing\\b'],
+    required_text: ['costs', 'expenses'],
+    disclaimer: 'Clients may be responsible for case costs and expenses.',
+    message: 'Offers free or contingent representation without saying whether the client may still owe costs or expenses.',
+    suggestion: 'Add a disclosure such as "Free initial consultation. If no recovery, no attorney fee; clients may be responsible for case costs and expenses."'
+  },
+  {
+    id: 'past_results_disclaimer',
+    title: 'Past results need a disclaimer',
+    citation: 'ABA Model Rule 7.1, cmt. [3]',
+    severity: 'violation',
+    type: 'required_text',
+    trigger_patterns: ['\\$\\s?[\\d,.]+\\s?(million|m|k|billion)?\\b.{0,40}\\b(settlement|verdict|recover(y|ed)|award)', '\\b(won|recovered|secured)\\b.{0,30}\\$'],
+    required_text: ['prior results do not guarantee', 'past results do not guarantee', 'results vary'],
+    disclaimer: 'Prior results do not guarantee a similar outcome.',
+    message: 'Cites past results without stating that they do not guarantee a similar outcome.',
+    suggestion: 'Add "Prior results do not guarantee a similar outcome."'
+  },
+  {
+    id: 'testimonials',
+    title: 'Testimonials and endorsements',
+    citation: 'ABA Model Rule 7.1, cmt. [3]',
+    severity: 'warning',
+    type: 'pattern',
+    patterns: ['\\btestimonials?\\b', '\\b(our|happy|satisfied) clients (say|said)\\b', '\\b[1-5] stars?\\b', '"[^"]{10,}"\\s*[-–—]\\s*[A-Z][a-z]+'],
+    message: 'Uses a client testimonial or endorsement, which can imply typical results and usually needs a disclaimer.',
+    suggestion: 'Make sure the testimonial is real and typical, and add "Prior results do not guarantee a similar outcome."'
+  },
+  {
+    id: 'undue_pressure',
+    title: 'No undue pressure or false urgency',
+    citation: 'ABA Model Rule 7.3',
+    severity: 'warning',
+    type: 'pattern',
+    patterns: ['\\b(act|call) (now|today) before\\b', '\\blimited time\\b', '\\bdon\'t wait\\b', '\\btime is running out\\b', '\\bbefore it\'s too late\\b'],
+    message: 'Pressures the reader to act immediately, which many state bars treat as coercive.',
+    suggestion: 'Keep the call to action neutral ("Call to learn about your options") and state real deadlines, such as statutes of limitations, accurately.'
+  }
+];
+
+/**
+ * State additions to the base rules. A state rule with a base rule's id replaces it.
+ */
+const STATE_RULE_PACKS = {
+  NY: {
+    name: 'New York',
+    rules: [
+      {
+        id: 'attorney_advertising_label',
+        title: '"Attorney Advertising" label',
+        citation: '22 NYCRR 1200.0, Rule 7.1(f)',
+        severity: 'violation',
+        type: 'required_text',
+        required_text: ['attorney advertising'],
+        disclaimer: 'Attorney Advertising',
+        message: 'New York requires advertisements to be labeled "Attorney Advertising".',
+        suggestion: 'Add "Attorney Advertising" to the ad.'
+      },
+      {
+        id: 'past_results_disclaimer',
+        title: 'Past results need the prescribed disclaimer',
+        citation: '22 NYCRR 1200.0, Rule 7.1(e)(3)',
+        severity: 'violation',
+        type: 'required_text',
+        trigger_patterns: ['\\$\\s?[\\d,.]+\\s?(million|m|k|billion)?\\b.{0,40}\\b(settlement|verdict|recover(y|ed)|award)', '\\b(won|recovered|secured)\\b.{0,30}\\$', '\\btestimonials?\\b', '\\bclients (say|said)\\b'],
+        required_text: ['prior results do not guarantee a similar outcome'],
+        disclaimer: 'Prior results do not guarantee a similar outcome.',
+        message: 'New York requires "Prior results do not guarantee a similar outcome" with past results and client testimonials.',
+        suggestion: 'Add "Prior results do not guarantee a similar outcome."'
+      },
+      {
+        id: 'dramatization',
+        title: 'Portrayals must be disclosed',
+        citation: '22 NYCRR 1200.0, Rule 7.1(c)',
+        severity: 'warning',
+        type: 'pattern',
+        fields: ['image_description'],
+        patterns: ['\\b(actors?|portray(al|ed)?|re-?enact(ment|ed)?|model(s)?)\\b'],
+        unless_text: ['dramatization', 'actor portrayal'],
+        message: 'Portrays clients, lawyers or events with actors or reenactments, which must be disclosed.',
+        suggestion: 'Add a "Dramatization" disclosure, or use real people with their consent.'
+      }
+    ]
+  },
+  FL: {
+    name: 'Florida',
+    rules: [
+      {
+        id: 'outcome_guarantee',
+        title: 'No guarantees or promises of results',
+        citation: 'R. Regulating Fla. Bar 4-7.13',
+        severity: 'violation',
+        type: 'pattern',
+        patterns: ['(?<!\\bnot? )\\bguarantee[ds]?\\b', '\\bwe (will|\'ll) win\\b', '\\bwin your case\\b', '\\b100\\s?% (success|win)', '\\bget (the )?(justice|money|compensation) you deserve\\b', '\\bget justice\\b', '\\bresults?\\b.{0,20}\\b(you can count on|promised)\\b'],
+        message: 'Florida treats statements that promise results as inherently misleading.',
+        suggestion: 'Describe the services offered, not the result.'
+      },
+      {
+        id: 'lawyer_name_required',
+        title: 'Name of at least one responsible lawyer or the firm',
+        citation: 'R. Regulating Fla. Bar 4-7.12',
+        severity: 'warning',
+        type: 'required_text',
+        required_text: ['law firm', 'attorney at law', 'p.a.', 'pllc', 'llp', 'esq'],
+        message: 'Florida advertisements must name at least one lawyer or the firm responsible for the ad.',
+        suggestion: 'Add the name of the responsible lawyer or firm, e.g. "Smith Law Firm, P.A."'
+      }
+    ]
+  },
+  TX: {
+    name: 'Texas',
+    rules: [
+      {
+        id: 'fee_cost_disclosure',
+        title: 'Contingent fee offers must say who pays expenses',
+        citation: 'Tex. Disciplinary R. Prof\'l Conduct, Part VII',
+        severity: 'violation',
+        type: 'required_text',
+        trigger_patterns: ['\\bfree (consultation|case review|evaluation)\\b', '\\bno (fee|fees|charge)s? unless\\b', '\\bno win,? no fee\\b', '\\bpay nothing\\b', '\\bcontingen(t|cy) fee\\b'],
+        required_text: ['costs', 'expenses'],
+        disclaimer: 'Clients may be responsible for court costs and case expenses.',
+        message: 'Texas ads mentioning contingent fees must disclose whether the client is liable for expenses.',
+        suggestion: 'Add "Clients may be responsible for court costs and case expenses."'
+      },
+      {
+        id: 'lawyer_name_required',
+        title: 'Name of a responsible lawyer',
+        citation: 'Tex. Disciplinary R. Prof\'l Conduct, Part VII',
+        severity: 'warning',
+        type: 'required_text',
+        required_text: ['attorney', 'esq', 'law firm', 'p.c.', 'pllc'],
+        message: 'Texas advertisements must include the name of at least one lawyer responsible for the content.',
+        suggestion: 'Add the responsible lawyer\'s name.'
+      }
+    ]
+  },
+  CA: {
+    name: 'California',
+    rules: [
+      {
+        id: 'outcome_guarantee',
+        title: 'No guarantees or warranties of outcome',
+        citation: 'Cal. Bus. & Prof. Code 6157.2(a)',
+        severity: 'violation',
+        type: 'pattern',
+        patterns: ['(?<!\\bnot? )\\bguarantee[ds]?\\b', '\\bwarrant(y|ies|ed)\\b', '\\bwe (will|\'ll) win\\b', '\\bwin your case\\b', '\\b100\\s?% (success|win)', '\\bget (the )?(justice|money|compensation) you deserve\\b', '\\bget justice\\b'],
+        message: 'California prohibits advertising that contains a guarantee or warranty regarding the outcome of a legal matter.',
+        suggestion: 'Remove the guarantee and describe the services instead.'
+      },
+      {
+        id: 'dramatization',
+        title: 'Dramatizations must be disclosed',
+        citation: 'Cal. Bus. & Prof. Code 6157.2(c)',
+        severity: 'violation',
+        type: 'pattern',
+        fields: ['image_description'],
+        patterns: ['\\b(actors?|portray(al|ed)?|re-?enact(ment|ed)?|model(s)?)\\b'],
+        unless_text: ['dramatization', 'actor portrayal'],
+        message: 'California requires a disclosure when an ad includes an impersonation or dramatization.',
+        suggestion: 'Add "Dramatization" or "Actor portrayal" to the ad.'
+      },
+      {
+        id: 'fee_cost_disclosure',
+        title: '"No fee without recovery" must disclose costs',
+        citation: 'Cal. Bus. & Prof. Code 6157.2(d)',
+        severity: 'violation',
+        type: 'required_text',
+        trigger_patterns: ['\\bfree (consultation|case review|evaluation)\\b', '\\bno (fee|fees|charge)s? unless\\b', '\\bno win,? no fee\\b', '\\bpay nothing\\b', '\\bno recovery\\b'],
+        required_text: ['costs', 'expenses'],
+        disclaimer: 'Clients may be responsible for costs and expenses if there is no recovery.',
+        message: 'California "no fee without recovery" statements must say whether the client is responsible for costs.',
+        suggestion: 'Add whether clients are responsible for costs and expenses if there is no recovery.'
+      }
+    ]
+  }
+};
+
+/**
+ * Built-in state packs, for listing
+ */
+export function listRulePacks() {
+  return [
+    { state: 'DEFAULT', name: 'ABA Model Rules (all states)', rule_count: BASE_RULES.length },
+    ...Object.entries(STATE_RULE_PACKS).map(([state, pack]) => ({ state, name: pack.name, rule_count: pack.rules.length }))
+  ];
+}
+
+/**
+ * Rules in force for a state: base rules, then the built-in state pack, then the state's
+ * configured rules (a rule with an existing id replaces it), minus configured disabled rules
+ */
+export async function getRulePack(state = 'DEFAULT') {
+  const code = normalizeState(state);
+  const builtIn = STATE_RULE_PACKS[code];
+  const configured = await readDocument(COLLECTION, code);
+
+  const rules = new Map();
+  [...BASE_RULES, ...(builtIn?.rules || []), ...(configured?.rules || [])].forEach(rule => rules.set(rule.id, rule));
+  (configured?.disabled_rules || []).forEach(id => rules.delete(id));
+
+  return {
+    state: code,
+    name: builtIn?.name || (code === 'DEFAULT' ? 'ABA Model Rules (all states)' : `${code} (base rules only)`),
+    configured: !!configured,
+    rules: [...rules.values()]
+  };
+}
+
+/**
+ * Save a state's configured rules and disabled rule ids, replacing any earlier configuration
+ */
+export async function saveRulePack(state, { rules = [], disabled_rules = [] }) {
+  const code = normalizeState(state);
+  return await writeDocument(COLLECTION, code, {
+    state: code,
+    rules,
+    disabled_rules,
+    updated_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Problems with a configured rule, as messages; an empty list means the rule is usable
+ */
+export function validateRule(rule) {
+  const errors = [];
+  const label = rule?.id || 'rule';
+
+  if (!rule || typeof rule !== 'object') return ['Each rule must be an object'];
+  if (!/^[a-z0-9_]+$/.test(rule.id || '')) errors.push(`${label}: id must be lower_snake_case`);
+  if (!rule.title) errors.push(`${label}: title is required`);
+  if (!RULE_SEVERITIES.includes(rule.severity)) errors.push(`${label}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  if (!RULE_TYPES.includes(rule.type)) errors.push(`${label}: type must be one of ${RULE_TYPES.join(', ')}`);
+  if (rule.fields && (!Array.isArray(rule.fields) || rule.fields.some(field => !CREATIVE_FIELDS.includes(field)))) {
+    errors.push(`${label}: fields must be a subset of ${CREATIVE_FIELDS.join(', ')}`);
+  }
+
+  if (rule.type === 'pattern' && !(Array.isArray(rule.patterns) && rule.patterns.length)) {
+    errors.push(`${label}: pattern rules need a non-empty patterns array`);
+  }
+  if (rule.type === 'required_text' && !(Array.isArray(rule.required_text) && rule.required_text.length)) {
+    errors.push(`${label}: required_text rules need a non-empty required_text array`);
+  }
+
+  [...(rule.patterns || []), ...(rule.trigger_patterns || [])].forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      errors.push(`${label}: invalid pattern ${pattern} (${error.message})`);
+    }
+  });
+
+  return errors;
+}
+
+export function normalizeState(state) {
+  const code = String(state || 'DEFAULT').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : 'DEFAULT';
+}
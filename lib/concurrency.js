@@ -0,0 +1,21 @@
+// lib/concurrency.js - Bounded Fan-Out of Async Work
+
+/**
+ * Run fn(item, index) over every item with at most `concurrency` calls in flight - how a poll,
+ * survey or creative test reaches a whole persona set without tripping rate limits.
+ * Results come back in input order; fn handles its own failures.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
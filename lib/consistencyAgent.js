@@ -0,0 +1,207 @@
+// lib/consistencyAgent.js - Persona Consistency and Drift Checks for In-Character Replies
+import { complete, isProfileConfigured } from './llmClient.js';
+import { personaRecord } from './personaPrompt.js';
+
+export const CONTRADICTION_SEVERITIES = ['major', 'minor'];
+
+// A major contradiction costs the reply its whole share of the fidelity score, a minor one a third
+const SEVERITY_PENALTY = { major: 1, minor: 1 / 3 };
+
+// Earlier turns shown to the checker so a persona contradicting itself is caught too
+const CONTEXT_MESSAGES = 8;
+
+// Field used for contradictions with what the persona said earlier rather than with the record
+const EARLIER_STATEMENT = 'earlier_statement';
+
+/**
+ * Compare one reply against the persona record (and what the persona said earlier).
+ * history is [{ role, content, speaker? }] before the reply, speaker naming who said a turn in a group.
+ * A stated age that differs from the record is always caught; the analysis model reviews
+ * everything else when it is configured.
+ * Returns { consistent, contradictions[{ field, stored, stated, quote, severity, source }], checked_by, checked_at }.
+ */
+export async function checkReplyConsistency(persona, reply, { history = [] } = {}) {
+  const contradictions = checkStatedAge(persona, reply);
+  let checkedBy = 'rules';
+  let reviewError = null;
+
+  if (isProfileConfigured('analysis')) {
+    try {
+      const review = await reviewReply(persona, reply, history);
+      contradictions.push(...review.filter(found => !contradictions.some(existing =>
+        existing.field === found.field && existing.quote.toLowerCase() === found.quote.toLowerCase())));
+      checkedBy = 'rules+llm';
+    } catch (error) {
+      console.error(`❌ Consistency review failed for ${persona.name}:`, error.message);
+      reviewError = error.message;
+    }
+  }
+
+  return {
+    consistent: contradictions.length === 0,
+    contradictions,
+    checked_by: checkedBy,
+    ...(reviewError ? { review_error: reviewError } : {}),
+    checked_at: new Date().toISOString()
+  };
+}
+
+/**
+ * A system prompt addition telling the persona what it got wrong, for regenerating a drifted reply
+ */
+export function buildCorrectionNote(persona, contradictions) {
+  const corrections = contradictions
+    .map(found => found.field === EARLIER_STATEMENT
+      ? `- You said "${found.quote}", but earlier you said: ${found.stored}`
+      : `- You said "${found.quote}", but your ${found.field.replace(/_/g, ' ')} is: ${found.stored}`)
+    .join('\n');
+
+  return `YOUR LAST DRAFT CONTRADICTED WHO YOU ARE:
+${corrections}
+
+Answer again as ${persona.name}, keeping every fact about yourself consistent with your background and with what you said earlier.`;
+}
+
+/**
+ * Per-persona fidelity for a transcript: replies is [{ persona_id, persona_name, consistency }].
+ * Score is 100 for a persona with no contradictions, down to 0 when every checked reply has a major one.
+ */
+export function scoreFidelity(replies) {
+  const byPersona = new Map();
+
+  replies.filter(reply => reply.consistency).forEach(reply => {
+    const key = reply.persona_id || reply.persona_name;
+    if (!byPersona.has(key)) {
+      byPersona.set(key, { persona_id: reply.persona_id || null, persona_name: reply.persona_name, checks: [] });
+    }
+    byPersona.get(key).checks.push(reply.consistency);
+  });
+
+  const personas = [...byPersona.values()].map(({ checks, ...persona }) => {
+    const penalty = checks.reduce((sum, check) =>
+      sum + Math.min(1, check.contradictions.reduce((total, found) => total + (SEVERITY_PENALTY[found.severity] || 0), 0)), 0);
+
+    const fields = {};
+    checks.forEach(check => check.contradictions.forEach(found => {
+      fields[found.field] = (fields[found.field] || 0) + 1;
+    }));
+
+    return {
+      ...persona,
+      score: Math.round(100 * (1 - penalty / checks.length)),
+      replies_checked: checks.length,
+      flagged_replies: checks.filter(check => !check.consistent).length,
+      contradictions: Object.fromEntries(CONTRADICTION_SEVERITIES.map(severity => [
+        severity,
+        checks.reduce((sum, check) => sum + check.contradictions.filter(found => found.severity === severity).length, 0)
+      ])),
+      fields
+    };
+  });
+
+  const checked = personas.reduce((sum, persona) => sum + persona.replies_checked, 0);
+
+  return {
+    score: checked ? Math.round(personas.reduce((sum, persona) => sum + persona.score * persona.replies_checked, 0) / checked) : null,
+    replies_checked: checked,
+    personas
+  };
+}
+
+/**
+ * Fidelity of a one-on-one chat, and of each participant in a focus group, from the checks stored on their turns
+ */
+export function scoreConversationFidelity(conversation) {
+  return scoreFidelity(conversation.messages
+    .filter(message => message.role === 'assistant')
+    .map(message => ({ persona_id: conversation.persona_id, persona_name: conversation.persona_name, consistency: message.consistency })));
+}
+
+export function scoreFocusGroupFidelity(session) {
+  return scoreFidelity(session.transcript
+    .filter(turn => turn.persona_id && !turn.error)
+    .map(turn => ({ persona_id: turn.persona_id, persona_name: turn.speaker, consistency: turn.consistency })));
+}
+
+/**
+ * "I'm 52" / "I am 52 years old" against the stored age - the drift users notice first
+ */
+function checkStatedAge(persona, reply) {
+  const storedAge = parseInt(persona.age, 10);
+  if (!storedAge) return [];
+
+  const pattern = /\b(?:I'm|I am|I'll be|I just turned)\s+(\d{1,3})(?:\s*(?:years?[- ]old|yrs?\b)|(?=\s*[.,!?;)]|\s+and\b|\s*$))/gi;
+
+  return [...String(reply).matchAll(pattern)]
+    .filter(match => Number(match[1]) !== storedAge)
+    .map(match => ({
+      field: 'age',
+      stored: String(persona.age),
+      stated: match[1],
+      quote: match[0],
+      severity: 'major',
+      source: 'rules'
+    }));
+}
+
+async function reviewReply(persona, reply, history) {
+  const profile = personaRecord(persona);
+
+  const earlier = history
+    .slice(-CONTEXT_MESSAGES)
+    .map(message => `${message.speaker || (message.role === 'user' ? 'Interviewer' : persona.name)}: ${message.content}`)
+    .join('\n');
+
+  const prompt = `You check whether a simulated research participant stayed true to their persona record.
+
+PERSONA RECORD:
+${JSON.stringify(profile, null, 2)}
+
+${earlier ? `EARLIER IN THE CONVERSATION:\n${earlier}\n\n` : ''}REPLY TO CHECK (spoken by ${persona.name}):
+${reply}
+
+List every statement in the reply that contradicts the record (age, location, family, job, income, case details, motivations, barriers, communication style) or something ${persona.name} said earlier. Things the record does not mention are not contradictions - only flag what cannot both be true.
+- major: a factual contradiction (a different age, city, job, family situation or case)
+- minor: drift in attitude or style (suddenly unconcerned about a stated barrier, a voice that does not match the communication style)
+
+Return ONLY JSON:
+{
+  "contradictions": [
+    { "field": "record field name, or \\"${EARLIER_STATEMENT}\\"", "stored": "what the record or earlier turn says", "stated": "what the reply says", "quote": "exact words from the reply", "severity": "major" | "minor" }
+  ]
+}`;
+
+  const response = await complete('analysis', {
+    max_tokens: 800,
+    temperature: 0,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  return parseReview(response.text, persona, reply);
+}
+
+/**
+ * Keep contradictions that name a real record field and quote the reply; anything else is dropped
+ */
+function parseReview(responseText, persona, reply) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in consistency review');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const text = String(reply).toLowerCase();
+  const record = personaRecord(persona);
+
+  return (Array.isArray(parsed.contradictions) ? parsed.contradictions : [])
+    .map(found => ({
+      field: String(found?.field || '').trim().split('.')[0],
+      stored: String(found?.stored ?? '').trim(),
+      stated: String(found?.stated ?? '').trim(),
+      quote: String(found?.quote || '').trim().replace(/^"|"$/g, ''),
+      severity: CONTRADICTION_SEVERITIES.includes(found?.severity) ? found.severity : 'minor',
+      source: 'llm'
+    }))
+    .filter(found => found.quote && text.includes(found.quote.toLowerCase()) &&
+      (found.field === EARLIER_STATEMENT || Object.prototype.hasOwnProperty.call(record, found.field)));
+}
@@ -0,0 +1,195 @@
+// lib/conversationStore.js - Persona Chat Conversations with Summarized History
+import { v4 as uuidv4 } from 'uuid';
+import { readDocument, updateDocument, listDocuments } from './fileStore.js';
+import { estimateTokens } from './retrievalIndex.js';
+
+const COLLECTION = 'conversations';
+
+// Recent turns are always sent verbatim; older turns are folded into a running summary
+const KEEP_RECENT_MESSAGES = 12;
+// Matching messages returned per conversation by a transcript search, and the text shown around each match
+const MAX_SEARCH_MATCHES = 3;
+const EXCERPT_CHARS = 80;
+// Compact once the unsummarized history grows past either limit
+const MAX_UNSUMMARIZED_MESSAGES = 24;
+const MAX_CONTEXT_TOKENS = 8000;
+
+/**
+ * Start a conversation. The persona is snapshotted so a resumed conversation
+ * keeps talking to the same character even if the persona record changes later,
+ * and model_settings records how replies are generated for the transcript.
+ * Scripted interviews carry their guide, status and debrief under interview.
+ */
+export async function createConversation({ persona, chat_type, campaign_id = null, model_settings = null, interview = null }) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: uuidv4(),
+    persona_name: persona.name,
+    persona_id: persona.persona_id || null,
+    campaign_id,
+    chat_type,
+    persona,
+    model_settings,
+    messages: [],
+    summary: '',
+    summarized_count: 0,
+    ...(interview ? { interview } : {}),
+    created_at: now,
+    updated_at: now
+  };
+
+  return await updateDocument(COLLECTION, conversation.id, () => conversation);
+}
+
+/**
+ * Get a conversation by id, or null
+ */
+export async function getConversation(id) {
+  return await readDocument(COLLECTION, id);
+}
+
+/**
+ * Conversations without their message bodies, newest first. query searches the persona name
+ * and every message (case-insensitive); each result then lists its first matching messages.
+ */
+export async function listConversations({ persona_id, persona_name, campaign_id, query } = {}) {
+  const conversations = await listDocuments(COLLECTION);
+  const name = String(persona_name || '').trim().toLowerCase();
+  const search = String(query || '').trim().toLowerCase();
+
+  return conversations
+    .filter(conversation => (!persona_id || conversation.persona_id === persona_id) &&
+      (!name || String(conversation.persona_name).toLowerCase() === name) &&
+      (!campaign_id || conversation.campaign_id === campaign_id))
+    .map(conversation => ({ conversation, matches: search ? findMatches(conversation.messages, search) : null }))
+    .filter(({ conversation, matches }) => !search || matches.length > 0 || String(conversation.persona_name).toLowerCase().includes(search))
+    .sort((a, b) => b.conversation.updated_at.localeCompare(a.conversation.updated_at))
+    .map(({ conversation: { messages, persona, interview, ...conversation }, matches }) => ({
+      ...conversation,
+      message_count: messages.length,
+      ...(interview ? { interview_status: interview.status } : {}),
+      ...(matches ? { match_count: matches.length, matches: matches.slice(0, MAX_SEARCH_MATCHES) } : {})
+    }));
+}
+
+/**
+ * Append one exchange - the interviewer's message and the persona's reply, with the reply's
+ * consistency check when one was run and, in a scripted interview, where the question sits in the guide
+ */
+export async function appendTurn(id, userMessage, personaReply, { consistency, interview } = {}) {
+  return await updateDocument(COLLECTION, id, conversation => {
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    return {
+      ...conversation,
+      messages: [
+        ...conversation.messages,
+        { role: 'user', content: userMessage, timestamp: now, ...(interview ? { interview } : {}) },
+        { role: 'assistant', content: personaReply, timestamp: now, ...(consistency ? { consistency } : {}) }
+      ],
+      updated_at: now
+    };
+  });
+}
+
+/**
+ * Attach consistency checks to persona replies, keyed by message index
+ */
+export async function recordConsistencyChecks(id, checks) {
+  return await updateDocument(COLLECTION, id, conversation => {
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    return {
+      ...conversation,
+      messages: conversation.messages.map((message, index) => checks[index] ? { ...message, consistency: checks[index] } : message)
+    };
+  });
+}
+
+/**
+ * Update a scripted interview's state (status, debrief) on its conversation
+ */
+export async function updateInterview(id, changes) {
+  return await updateDocument(COLLECTION, id, conversation => {
+    if (!conversation?.interview) {
+      throw new Error(`Interview not found: ${id}`);
+    }
+    return { ...conversation, interview: { ...conversation.interview, ...changes }, updated_at: new Date().toISOString() };
+  });
+}
+
+/**
+ * The summary plus the unsummarized messages that fit the context budget, newest kept,
+ * in the { role, content } shape the Messages API expects
+ */
+export function getContextWindow(conversation) {
+  const pending = conversation.messages.slice(conversation.summarized_count);
+
+  let tokens = 0;
+  let start = pending.length;
+  while (start >= 2) {
+    const turnTokens = estimateTokens(pending[start - 2].content) + estimateTokens(pending[start - 1].content);
+    if (tokens + turnTokens > MAX_CONTEXT_TOKENS) break;
+    tokens += turnTokens;
+    start -= 2;
+  }
+
+  return {
+    summary: conversation.summary,
+    messages: pending.slice(start).map(({ role, content }) => ({ role, content }))
+  };
+}
+
+/**
+ * Whether the unsummarized history is long enough to fold older turns into the summary
+ */
+export function needsCompaction(conversation) {
+  const pending = conversation.messages.slice(conversation.summarized_count);
+  const tokens = pending.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  return pending.length > KEEP_RECENT_MESSAGES &&
+    (pending.length > MAX_UNSUMMARIZED_MESSAGES || tokens > MAX_CONTEXT_TOKENS);
+}
+
+/**
+ * Fold everything but the most recent turns into the running summary.
+ * summarize(previousSummary, messages) returns the new summary text.
+ */
+export async function compactConversation(id, summarize) {
+  const conversation = await getConversation(id);
+  if (!conversation || !needsCompaction(conversation)) {
+    return conversation;
+  }
+
+  const summarizedCount = conversation.messages.length - KEEP_RECENT_MESSAGES;
+  const older = conversation.messages.slice(conversation.summarized_count, summarizedCount);
+  const summary = await summarize(conversation.summary, older);
+
+  return await updateDocument(COLLECTION, id, current => {
+    // Another request compacted while the summary was being written - keep theirs
+    if (current.summarized_count !== conversation.summarized_count) {
+      return current;
+    }
+    return { ...current, summary, summarized_count: summarizedCount, summarized_at: new Date().toISOString() };
+  });
+}
+
+// Messages containing the search text, each with an excerpt centred on the first match
+function findMatches(messages, search) {
+  return messages
+    .map((message, index) => ({ message, index, at: String(message.content).toLowerCase().indexOf(search) }))
+    .filter(({ at }) => at !== -1)
+    .map(({ message, index, at }) => {
+      const start = Math.max(0, at - EXCERPT_CHARS);
+      const end = Math.min(message.content.length, at + search.length + EXCERPT_CHARS);
+      return {
+        index,
+        role: message.role,
+        excerpt: `${start > 0 ? '...' : ''}${message.content.slice(start, end)}${end < message.content.length ? '...' : ''}`
+      };
+    });
+}
@@ -0,0 +1,319 @@
+// lib/creativeAgent.js - Show Every Persona Every Ad Creative, Collect Ratings and Rank the Creatives
+import { complete, requireProfile } from './llmClient.js';
+import { withUsageScope } from './usageTracker.js';
+import { buildPersonaSystemPrompt } from './personaPrompt.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Personas are tested in parallel; each persona sees the creatives in order in one conversation
+const CREATIVE_CONCURRENCY = 5;
+
+// Matches the image upload limit on the form
+const MAX_CREATIVES = 10;
+
+export const CREATIVE_METRICS = ['appeal', 'clarity', 'trust', 'likelihood_to_respond'];
+const METRIC_LABELS = {
+  appeal: 'how appealing the ad is to you',
+  clarity: 'how clear the message is',
+  trust: 'how much you trust the advertiser',
+  likelihood_to_respond: 'how likely you are to call, click or reply'
+};
+
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Normalize creatives from the form (a JSON string) or an API body (an array) into
+ * [{ id, headline, body, image_description, image_url }]. Throws on unusable input.
+ */
+export function normalizeCreatives(input) {
+  if (!input) return [];
+
+  let creatives = input;
+  if (typeof input === 'string') {
+    try {
+      creatives = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Creatives must be a JSON array: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(creatives)) {
+    throw new Error('Creatives must be an array of { headline, body, image_description, image_url }');
+  }
+
+  const normalized = creatives
+    .map(creative => ({
+      headline: String(creative?.headline || '').trim(),
+      body: String(creative?.body || '').trim(),
+      image_description: String(creative?.image_description || '').trim(),
+      image_url: String(creative?.image_url || '').trim()
+    }))
+    .filter(creative => creative.headline || creative.body || creative.image_description || creative.image_url);
+
+  if (normalized.length > MAX_CREATIVES) {
+    throw new Error(`At most ${MAX_CREATIVES} creatives can be tested at once (got ${normalized.length})`);
+  }
+
+  return normalized.map((creative, index) => ({ id: `creative_${index + 1}`, ...creative }));
+}
+
+/**
+ * Show every persona every creative. onPersona(result, completed, total) is called as each
+ * persona finishes; a failed persona is reported with an error, not thrown.
+ */
+export async function testCreatives(personas, creatives, { onPersona } = {}) {
+  requireProfile('persona');
+
+  console.log(`🖼️ Testing ${creatives.length} creatives with ${personas.length} personas`);
+
+  const images = await loadCreativeImages(creatives);
+  let completed = 0;
+
+  const results = await mapWithConcurrency(personas, CREATIVE_CONCURRENCY, async persona => {
+    let result;
+    try {
+      result = await withUsageScope({ persona: persona.name }, () => showCreatives(persona, creatives, images));
+    } catch (error) {
+      console.error(`❌ Creative test failed for ${persona.name}:`, error.message);
+      result = { persona_id: persona.persona_id || null, persona_name: persona.name, ratings: [], ranking: [], error: error.message };
+    }
+
+    completed++;
+    if (onPersona) await onPersona(result, completed, personas.length);
+    return result;
+  });
+
+  console.log(`✅ Creative test complete: ${results.filter(result => !result.error).length}/${personas.length} personas responded`);
+  return results;
+}
+
+/**
+ * Download creative images once so every persona sees the same picture; a creative whose
+ * image cannot be loaded is shown with its description only
+ */
+async function loadCreativeImages(creatives) {
+  const images = {};
+
+  for (const creative of creatives.filter(creative => creative.image_url)) {
+    try {
+      const response = await fetch(creative.image_url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const mediaType = (response.headers.get('content-type') || '').split(';')[0].trim() || mediaTypeFromUrl(creative.image_url);
+      if (!IMAGE_MEDIA_TYPES.includes(mediaType)) throw new Error(`Unsupported image type ${mediaType || 'unknown'}`);
+
+      images[creative.id] = { media_type: mediaType, data: Buffer.from(await response.arrayBuffer()).toString('base64') };
+      console.log(`✅ Creative image loaded for ${creative.id}`);
+    } catch (error) {
+      console.log(`⚠️ Creative image for ${creative.id} unavailable, using description only: ${error.message}`);
+    }
+  }
+
+  return images;
+}
+
+function mediaTypeFromUrl(url) {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' }[extension] || '';
+}
+
+/**
+ * One persona rates each creative in turn, then ranks them all in the same conversation
+ */
+async function showCreatives(persona, creatives, images) {
+  const system = buildCreativeSystemPrompt(persona);
+  const messages = [];
+  const ratings = [];
+
+  const ask = async (content) => {
+    messages.push({ role: 'user', content });
+    const response = await complete('persona', {
+      max_tokens: 600,
+      temperature: 0.5,
+      system,
+      messages
+    });
+
+    const text = response.text;
+    messages.push({ role: 'assistant', content: text });
+    return text;
+  };
+
+  for (const [index, creative] of creatives.entries()) {
+    const text = await ask(buildCreativeContent(creative, index, creatives.length, images[creative.id]));
+
+    try {
+      ratings.push({ creative_id: creative.id, ...parseRating(text) });
+    } catch (error) {
+      ratings.push({ creative_id: creative.id, overall: null, reaction: '', error: error.message });
+    }
+  }
+
+  const scoreRanking = rankByScore(ratings);
+  let ranking = scoreRanking;
+  let rankingSource = 'scores';
+  let rankingReason = '';
+
+  if (creatives.length > 1) {
+    try {
+      const stated = parseRanking(await ask(buildRankingPrompt(creatives)), creatives);
+      ranking = [...stated.ranking, ...scoreRanking.filter(id => !stated.ranking.includes(id))];
+      rankingSource = 'stated';
+      rankingReason = stated.reason;
+    } catch (error) {
+      console.log(`⚠️ ${persona.name} gave no usable ranking, ranking by scores: ${error.message}`);
+    }
+  }
+
+  return {
+    persona_id: persona.persona_id || null,
+    persona_name: persona.name,
+    ratings,
+    ranking,
+    ranking_source: rankingSource,
+    ranking_reason: rankingReason
+  };
+}
+
+function buildCreativeSystemPrompt(persona) {
+  return buildPersonaSystemPrompt(persona, {
+    setting: 'a real person being shown a series of ads and asked for your honest reaction. React as yourself, based on your background, concerns and communication style - the way you would if the ad came up in your feed or mailbox.',
+    instructions: 'Never break character or mention that you are an AI. Be honest - if an ad would not catch your eye, confuses you or feels like a scam, say so.'
+  });
+}
+
+function buildCreativeContent(creative, index, total, image) {
+  const lines = [
+    `AD ${index + 1} OF ${total}`,
+    creative.headline && `Headline: ${creative.headline}`,
+    creative.body && `Body: ${creative.body}`,
+    creative.image_description && `Image: ${creative.image_description}`
+  ].filter(Boolean);
+
+  const scale = CREATIVE_METRICS.map(metric => `  "${metric}": 1-5 for ${METRIC_LABELS[metric]}`).join(',\n');
+  const text = `${lines.join('\n')}
+
+Rate this ad from 1 (very low) to 5 (very high). Return ONLY JSON:
+{
+${scale},
+  "reaction": "your honest first reaction in 1-2 sentences, in your own words"
+}`;
+
+  if (!image) return text;
+
+  return [
+    { type: 'image', source: { type: 'base64', media_type: image.media_type, data: image.data } },
+    { type: 'text', text }
+  ];
+}
+
+function buildRankingPrompt(creatives) {
+  return `You have now seen all ${creatives.length} ads. Rank them from the one you would most likely respond to down to the least likely. Return ONLY JSON:
+{
+  "ranking": [ad numbers in order, e.g. ${JSON.stringify(creatives.map((creative, index) => index + 1))}],
+  "reason": "why your top choice beats the others, under 25 words"
+}`;
+}
+
+/**
+ * Parse a rating; an out-of-range score becomes null and the overall score averages the rest
+ */
+function parseRating(responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in creative rating');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const scores = Object.fromEntries(CREATIVE_METRICS.map(metric => {
+    const score = Math.round(Number(parsed[metric]));
+    return [metric, score >= 1 && score <= 5 ? score : null];
+  }));
+
+  const rated = Object.values(scores).filter(score => score !== null);
+  if (!rated.length) {
+    throw new Error('No valid ratings in creative response');
+  }
+
+  return {
+    ...scores,
+    overall: Math.round((rated.reduce((sum, score) => sum + score, 0) / rated.length) * 100) / 100,
+    reaction: String(parsed.reaction || '').trim()
+  };
+}
+
+function parseRanking(responseText, creatives) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in creative ranking');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const ranking = [...new Set((Array.isArray(parsed.ranking) ? parsed.ranking : [])
+    .map(number => creatives[Math.round(Number(number)) - 1]?.id)
+    .filter(Boolean))];
+
+  if (!ranking.length) {
+    throw new Error('No valid ad numbers in ranking');
+  }
+
+  return { ranking, reason: String(parsed.reason || '').trim() };
+}
+
+// Highest overall score first; likelihood to respond breaks ties
+function rankByScore(ratings) {
+  return ratings
+    .filter(rating => rating.overall !== null)
+    .sort((a, b) => (b.overall - a.overall) || ((b.likelihood_to_respond || 0) - (a.likelihood_to_respond || 0)))
+    .map(rating => rating.creative_id);
+}
+
+/**
+ * Roll persona results up per creative: average ratings, first-choice share, average rank and
+ * sample reactions. Creatives are ranked overall by average rank, then by overall score.
+ */
+export function summarizeCreativeTest(creatives, results) {
+  const responded = results.filter(result => !result.error);
+  const round = value => Math.round(value * 100) / 100;
+  const average = values => values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  const summaries = creatives.map(creative => {
+    const ratings = responded
+      .map(result => ({ persona_name: result.persona_name, ...result.ratings.find(rating => rating.creative_id === creative.id) }))
+      .filter(rating => rating.overall !== null && rating.overall !== undefined);
+    const ranks = responded
+      .map(result => result.ranking.indexOf(creative.id) + 1)
+      .filter(rank => rank > 0);
+    const firstChoices = responded.filter(result => result.ranking[0] === creative.id).length;
+
+    return {
+      creative_id: creative.id,
+      headline: creative.headline,
+      ratings_count: ratings.length,
+      averages: Object.fromEntries([...CREATIVE_METRICS, 'overall'].map(metric => [
+        metric,
+        average(ratings.map(rating => rating[metric]).filter(score => score !== null))
+      ])),
+      first_choice: {
+        count: firstChoices,
+        percent: responded.length ? Math.round((firstChoices / responded.length) * 1000) / 10 : 0
+      },
+      average_rank: average(ranks),
+      reactions: ratings
+        .filter(rating => rating.reaction)
+        .sort((a, b) => b.overall - a.overall)
+        .map(rating => ({ persona_name: rating.persona_name, overall: rating.overall, reaction: rating.reaction }))
+    };
+  });
+
+  const ranked = [...summaries]
+    .sort((a, b) => ((a.average_rank ?? Infinity) - (b.average_rank ?? Infinity)) || ((b.averages.overall ?? 0) - (a.averages.overall ?? 0)))
+    .map((summary, index) => ({ rank: index + 1, ...summary }));
+
+  return {
+    personas: results.length,
+    responded: responded.length,
+    failed: results.length - responded.length,
+    winner: ranked[0]?.ratings_count ? ranked[0].creative_id : null,
+    creatives: ranked
+  };
+}
@@ -0,0 +1,220 @@
+// lib/fileStore.js - JSON Document Storage in Vercel KV, or on the Local Filesystem for Development
+import { promises as fs } from 'fs';
+import path from 'path';
+import { kv } from '@vercel/kv';
+
+/**
+ * Where documents live. Serverless functions do not share a filesystem, so deployed
+ * instances must use Vercel KV (KV_REST_API_URL and KV_REST_API_TOKEN, set when a KV
+ * store is connected to the project); local disk under DATA_DIR is for development
+ * and single-process hosting. With neither configured, storage calls fail.
+ */
+export function getStorageBackend() {
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    return kvBackend;
+  }
+  if (process.env.DATA_DIR) {
+    return diskBackend;
+  }
+  throw new Error('Document storage is not configured - connect Vercel KV (KV_REST_API_URL, KV_REST_API_TOKEN) or set DATA_DIR');
+}
+
+/**
+ * Root directory for documents stored on local disk
+ */
+export function getDataDir() {
+  if (!process.env.DATA_DIR) {
+    throw new Error('DATA_DIR is not set');
+  }
+  return process.env.DATA_DIR;
+}
+
+/**
+ * Read a document, or null if it does not exist
+ */
+export async function readDocument(collection, id) {
+  return await getStorageBackend().read(safeSegment(collection), safeSegment(id));
+}
+
+/**
+ * Write a document whole, so concurrent readers never see partial JSON
+ */
+export async function writeDocument(collection, id, document) {
+  await getStorageBackend().write(safeSegment(collection), safeSegment(id), document);
+  return document;
+}
+
+// Updates are chained per document so concurrent read-modify-write calls in this process never
+// overwrite each other; the KV backend also holds a lock so other instances wait their turn
+const updateQueues = new Map();
+
+/**
+ * Read, modify and write a document; the updater receives null for a new document
+ */
+export function updateDocument(collection, id, updater) {
+  const key = `${collection}/${id}`;
+  const previous = updateQueues.get(key) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(() => {
+    const backend = getStorageBackend();
+    return backend.withLock(safeSegment(collection), safeSegment(id), async () => {
+      const current = await backend.read(collection, id);
+      const updated = await updater(current);
+      await backend.write(collection, id, updated);
+      return updated;
+    });
+  });
+
+  updateQueues.set(key, next);
+  next.finally(() => {
+    if (updateQueues.get(key) === next) updateQueues.delete(key);
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * List every document in a collection
+ */
+export async function listDocuments(collection) {
+  return await getStorageBackend().list(safeSegment(collection));
+}
+
+/**
+ * Delete a document; returns false if it did not exist
+ */
+export async function deleteDocument(collection, id) {
+  return await getStorageBackend().remove(safeSegment(collection), safeSegment(id));
+}
+
+// ---- Local disk (DATA_DIR) ----
+
+const diskBackend = {
+  async read(collection, id) {
+    try {
+      const raw = await fs.readFile(documentPath(collection, id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  // Temp file + rename, so a reader sees the old document or the new one
+  async write(collection, id, document) {
+    const filePath = documentPath(collection, id);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(document, null, 2));
+    await fs.rename(tempPath, filePath);
+  },
+
+  async list(collection) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(getDataDir(), collection));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const documents = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const document = await this.read(collection, file.slice(0, -'.json'.length));
+      if (document) documents.push(document);
+    }
+
+    return documents;
+  },
+
+  async remove(collection, id) {
+    try {
+      await fs.unlink(documentPath(collection, id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  },
+
+  // One process owns the directory, so the in-process update queue is enough
+  async withLock(collection, id, fn) {
+    return await fn();
+  }
+};
+
+function documentPath(collection, id) {
+  return path.join(getDataDir(), collection, `${id}.json`);
+}
+
+// ---- Vercel KV ----
+
+// A lock outlives a crashed holder by at most this long
+const LOCK_TTL_MS = 30000;
+const LOCK_RETRY_MS = 50;
+const LOCK_WAIT_MS = 20000;
+
+const kvBackend = {
+  async read(collection, id) {
+    return (await kv.get(documentKey(collection, id))) ?? null;
+  },
+
+  // Each collection keeps a set of its ids so it can be listed without scanning the keyspace
+  async write(collection, id, document) {
+    await kv.set(documentKey(collection, id), document);
+    await kv.sadd(indexKey(collection), id);
+  },
+
+  async list(collection) {
+    const ids = await kv.smembers(indexKey(collection));
+    if (ids.length === 0) return [];
+
+    const documents = await kv.mget(...ids.map(id => documentKey(collection, id)));
+    return documents.filter(Boolean);
+  },
+
+  async remove(collection, id) {
+    const deleted = await kv.del(documentKey(collection, id));
+    await kv.srem(indexKey(collection), id);
+    return deleted > 0;
+  },
+
+  async withLock(collection, id, fn) {
+    const lockKey = `lock:${collection}:${id}`;
+    const token = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    while (!(await kv.set(lockKey, token, { nx: true, px: LOCK_TTL_MS }))) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting to update ${collection}/${id}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Only release our own lock - if fn overran the TTL another instance may hold it now
+      if ((await kv.get(lockKey)) === token) {
+        await kv.del(lockKey);
+      }
+    }
+  }
+};
+
+function documentKey(collection, id) {
+  return `doc:${collection}:${id}`;
+}
+
+function indexKey(collection) {
+  return `index:${collection}`;
+}
+
+function safeSegment(value) {
+  const segment = String(value);
+  if (!/^[A-Za-z0-9_-]+$/.test(segment)) {
+    throw new Error(`Invalid storage key: ${segment}`);
+  }
+  return segment;
+}
@@ -0,0 +1,365 @@
+// lib/focusGroupAgent.js - Moderated Multi-Persona Focus Group Discussions
+import { complete, requireProfile } from './llmClient.js';
+import { buildPersonaSystemPrompt } from './personaPrompt.js';
+
+export const MODERATOR_MODES = ['user', 'ai'];
+
+// Enough voices to disagree, few enough that everyone gets the floor on every question
+export const DEFAULT_PARTICIPANTS = 6;
+export const MAX_PARTICIPANTS = 8;
+export const MAX_REACTION_ROUNDS = 2;
+const MAX_GUIDE_QUESTIONS = 12;
+
+// Speakers see the most recent turns verbatim; a long session's earliest turns drop out of the prompt
+const MAX_CONTEXT_TURNS = 40;
+
+export const REACTION_STANCES = ['agrees', 'disagrees', 'builds_on', 'new_point'];
+
+// Profile fields shown to the group and the synthesizer to tell participants apart
+const INTRO_FIELDS = ['age', 'gender', 'location', 'occupation'];
+
+/**
+ * Validate a discussion guide and fill in defaults. Either a list of questions, or:
+ * {
+ *   "intro": "optional context the moderator opens with",
+ *   "questions": [
+ *     "How did you decide whether to call a lawyer?",
+ *     { "text": "What would make you trust a firm's ad?", "probes": ["What makes an ad feel fake?"] }
+ *   ]
+ * }
+ * probes are follow-ups the AI moderator may draw on when the discussion needs digging into.
+ */
+export function validateDiscussionGuide(guide) {
+  const definition = Array.isArray(guide) ? { questions: guide } : guide;
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Discussion guide must be a list of questions or a JSON object'], guide: null };
+  }
+
+  if (!Array.isArray(definition.questions) || definition.questions.length === 0) {
+    return { valid: false, errors: ['questions must be a non-empty array'], guide: null };
+  }
+
+  if (definition.questions.length > MAX_GUIDE_QUESTIONS) {
+    errors.push(`A discussion guide can have at most ${MAX_GUIDE_QUESTIONS} questions`);
+  }
+
+  const questions = definition.questions.map((question, index) => {
+    const item = typeof question === 'string' ? { text: question } : question;
+    const text = String(item?.text || '').trim();
+
+    if (!text) {
+      errors.push(`questions[${index}]: text is required`);
+    }
+    if (item?.probes !== undefined && !Array.isArray(item.probes)) {
+      errors.push(`questions[${index}]: probes must be a list of follow-up questions`);
+    }
+
+    return {
+      id: `q${index + 1}`,
+      text,
+      probes: Array.isArray(item?.probes) ? item.probes.map(probe => String(probe).trim()).filter(Boolean) : []
+    };
+  });
+
+  return errors.length
+    ? { valid: false, errors, guide: null }
+    : { valid: true, errors: [], guide: { intro: String(definition.intro || '').trim(), questions } };
+}
+
+/**
+ * Spread the seats across the persona set rather than taking the first few, so a set
+ * generated segment by segment still puts different kinds of people in the room
+ */
+export function selectParticipants(personas, limit = DEFAULT_PARTICIPANTS) {
+  if (personas.length <= limit) return personas;
+
+  const step = personas.length / limit;
+  return Array.from({ length: limit }, (_, index) => personas[Math.floor(index * step)]);
+}
+
+/**
+ * Put one moderator question to the group: everyone answers in turn, then reacts to each other
+ * for reactionRounds rounds. Returns the new turns; onTurn(turn) is called as each is spoken.
+ * kind is 'question' for a guide or user question and 'probe' for a moderator follow-up.
+ */
+export async function discussQuestion(session, question, { questionId = null, kind = 'question', reactionRounds = 1, onTurn } = {}) {
+  requireProfile('persona');
+  const transcript = [...session.transcript];
+  const turns = [];
+
+  const addTurn = async turn => {
+    const spoken = { ...turn, question_id: questionId, timestamp: new Date().toISOString() };
+    transcript.push(spoken);
+    turns.push(spoken);
+    if (onTurn) await onTurn(spoken);
+  };
+
+  await addTurn({ type: kind, speaker: 'Moderator', persona_id: null, text: question });
+
+  // Rotate who opens so the same participant does not set the tone for every question
+  const asked = session.transcript.filter(turn => turn.speaker === 'Moderator').length;
+  const order = session.participants.map((_, index) => session.participants[(index + asked) % session.participants.length]);
+
+  for (const participant of order) {
+    await addTurn(await speak(session, participant, transcript, 'answer', question));
+  }
+
+  for (let round = 0; round < reactionRounds; round++) {
+    for (const participant of order) {
+      await addTurn(await speak(session, participant, transcript, 'reaction', question));
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Run a whole discussion guide with Claude as moderator: each question is discussed, then
+ * the moderator may ask one follow-up probe based on what was said.
+ * onQuestion(index, total) is called before each guide question.
+ */
+export async function runModeratedDiscussion(session, guide, { reactionRounds = 1, onTurn, onQuestion } = {}) {
+  requireProfile('persona');
+  const transcript = [...session.transcript];
+  const record = async turn => {
+    transcript.push(turn);
+    if (onTurn) await onTurn(turn);
+  };
+
+  console.log(`🗣️ Moderating ${guide.questions.length} questions with ${session.participants.length} participants: ${session.topic}`);
+
+  for (const [index, guideQuestion] of guide.questions.entries()) {
+    if (onQuestion) await onQuestion(index, guide.questions.length);
+
+    const opening = index === 0 && guide.intro ? `${guide.intro}\n\n${guideQuestion.text}` : guideQuestion.text;
+    await discussQuestion({ ...session, transcript }, opening, { questionId: guideQuestion.id, reactionRounds, onTurn: record });
+
+    let probe = null;
+    try {
+      probe = await chooseProbe(session, guideQuestion, transcript);
+    } catch (error) {
+      console.error(`❌ Moderator probe failed for ${guideQuestion.id}:`, error.message);
+    }
+
+    if (probe) {
+      await discussQuestion({ ...session, transcript }, probe, { questionId: guideQuestion.id, kind: 'probe', reactionRounds: 0, onTurn: record });
+    }
+  }
+
+  console.log(`✅ Discussion complete: ${transcript.length - session.transcript.length} turns`);
+  return transcript.slice(session.transcript.length);
+}
+
+/**
+ * One participant's turn. A failed turn is recorded with its error so the session carries on.
+ */
+async function speak(session, participant, transcript, type, question) {
+  const turn = { type, speaker: participant.name, persona_id: participant.persona_id || null };
+
+  try {
+    const response = await complete('persona', {
+      max_tokens: 600,
+      temperature: 0.7,
+      system: buildParticipantSystemPrompt(participant, session),
+      messages: [{ role: 'user', content: buildTurnPrompt(participant, transcript, type, question) }]
+    });
+
+    return { ...turn, ...parseTurn(response.text, participant, session.participants) };
+  } catch (error) {
+    console.error(`❌ Focus group turn failed for ${participant.name}:`, error.message);
+    return { ...turn, text: '', reacting_to: [], stance: null, error: error.message };
+  }
+}
+
+function buildParticipantSystemPrompt(participant, session) {
+  const others = session.participants
+    .filter(other => other.name !== participant.name)
+    .map(other => `- ${describeParticipant(other)}`)
+    .join('\n');
+
+  return buildPersonaSystemPrompt(participant.persona, {
+    setting: `a real person taking part in a market research focus group about: ${session.topic}`,
+    context: `THE OTHER PEOPLE IN THE ROOM:\n${others}`,
+    instructions: `Speak as yourself, in your own communication style, the way people talk in a focus group: short, spoken, sometimes unsure. You can address others by name. Do not agree just to be polite - if your background makes you see it differently, say so. Stay consistent with everything you said earlier in the session.
+
+Never break character or mention that you are an AI.`
+  });
+}
+
+function buildTurnPrompt(participant, transcript, type, question) {
+  const instruction = type === 'answer'
+    ? `The moderator asked: "${question}"\nIt is your turn to answer.`
+    : `The group has been discussing: "${question}"\nReact to what the others said: agree, push back, or add something nobody has mentioned yet. Respond to specific people by name.`;
+
+  return `FOCUS GROUP SO FAR:
+${formatTranscript(transcript, MAX_CONTEXT_TURNS)}
+
+${instruction}
+
+Return ONLY JSON:
+{
+  "response": "what you say, 1-4 sentences, in your own voice",
+  "reacting_to": ["names of participants you are responding to, if any"],
+  "stance": "agrees" | "disagrees" | "builds_on" | "new_point"
+}`;
+}
+
+/**
+ * Normalize a participant's turn; names that are not in the room are dropped
+ */
+function parseTurn(responseText, participant, participants) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in focus group turn');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const text = String(parsed.response || '').trim();
+  if (!text) {
+    throw new Error('Empty focus group turn');
+  }
+
+  const names = participants.map(other => other.name).filter(name => name !== participant.name);
+  const stance = String(parsed.stance || '').trim().toLowerCase();
+
+  return {
+    text,
+    reacting_to: (Array.isArray(parsed.reacting_to) ? parsed.reacting_to : [])
+      .map(name => names.find(candidate => candidate.toLowerCase() === String(name).trim().toLowerCase()))
+      .filter((name, index, all) => name && all.indexOf(name) === index),
+    stance: REACTION_STANCES.includes(stance) ? stance : 'new_point'
+  };
+}
+
+/**
+ * The AI moderator's follow-up for the question just discussed, or null to move on
+ */
+async function chooseProbe(session, guideQuestion, transcript) {
+  const discussion = transcript.filter(turn => turn.question_id === guideQuestion.id);
+
+  const prompt = `You are moderating a focus group about: ${session.topic}
+
+GUIDE QUESTION: ${guideQuestion.text}
+${guideQuestion.probes.length ? `SUGGESTED PROBES:\n${guideQuestion.probes.map(probe => `- ${probe}`).join('\n')}\n` : ''}
+DISCUSSION OF THIS QUESTION:
+${formatTranscript(discussion)}
+
+Decide whether one follow-up question would surface something useful: a vague answer worth digging into, a disagreement worth drawing out, or a suggested probe the group has not already answered. If the group has covered it, move on.
+
+Return ONLY JSON:
+{ "probe": "your follow-up question to the group, or null to move on", "reason": "why, in one short sentence" }`;
+
+  const response = await complete('analysis', {
+    max_tokens: 300,
+    temperature: 0.3,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in moderator probe');
+  }
+
+  const probe = JSON.parse(jsonMatch[0]).probe;
+  return typeof probe === 'string' && probe.trim() && probe.trim().toLowerCase() !== 'null' ? probe.trim() : null;
+}
+
+/**
+ * Synthesize the session: where the group agreed, where it split and what was unexpected.
+ * Participant names must be in the room and quotes must appear in the transcript; anything else is dropped.
+ */
+export async function summarizeFocusGroup(session) {
+  requireProfile('analysis');
+  const spoken = session.transcript.filter(turn => !turn.error);
+
+  if (!spoken.some(turn => turn.speaker !== 'Moderator')) {
+    throw new Error('The focus group has no discussion to summarize yet');
+  }
+
+  const prompt = `Summarize this focus group for a law firm's marketing team, who use focus groups to validate messaging.
+
+TOPIC: ${session.topic}
+
+PARTICIPANTS:
+${session.participants.map(participant => `- ${describeParticipant(participant)}`).join('\n')}
+
+TRANSCRIPT:
+${formatTranscript(spoken)}
+
+Identify where the group reached consensus, where participants disagreed (and who held each position), and anything surprising - an unexpected objection, a reaction that cut against a participant's profile, or a point nobody expected to matter. Quote participants word for word.
+
+Return ONLY JSON:
+{
+  "overview": "2-3 sentences on how the discussion went",
+  "consensus": [{ "point": "what the group agreed on", "participants": ["names"] }],
+  "disagreements": [{ "issue": "what they split on", "positions": [{ "position": "...", "participants": ["names"] }] }],
+  "surprises": [{ "observation": "what was unexpected and why it matters", "participants": ["names"] }],
+  "key_quotes": [{ "speaker": "name", "quote": "exact words from the transcript" }],
+  "implications": ["what this means for the firm's messaging"]
+}`;
+
+  const response = await complete('analysis', {
+    max_tokens: 2500,
+    temperature: 0.3,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in focus group summary');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const names = session.participants.map(participant => participant.name);
+  const knownNames = list => (Array.isArray(list) ? list : [])
+    .map(name => names.find(candidate => candidate.toLowerCase() === String(name).trim().toLowerCase()))
+    .filter((name, index, all) => name && all.indexOf(name) === index);
+  const items = list => Array.isArray(list) ? list.filter(item => item && typeof item === 'object') : [];
+
+  return {
+    overview: String(parsed.overview || '').trim(),
+    consensus: items(parsed.consensus)
+      .map(item => ({ point: String(item.point || '').trim(), participants: knownNames(item.participants) }))
+      .filter(item => item.point),
+    disagreements: items(parsed.disagreements)
+      .map(item => ({
+        issue: String(item.issue || '').trim(),
+        positions: items(item.positions)
+          .map(position => ({ position: String(position.position || '').trim(), participants: knownNames(position.participants) }))
+          .filter(position => position.position)
+      }))
+      .filter(item => item.issue && item.positions.length > 0),
+    surprises: items(parsed.surprises)
+      .map(item => ({ observation: String(item.observation || '').trim(), participants: knownNames(item.participants) }))
+      .filter(item => item.observation),
+    key_quotes: items(parsed.key_quotes)
+      .map(item => ({ speaker: knownNames([item.speaker])[0], quote: String(item.quote || '').trim().replace(/^"|"$/g, '') }))
+      .filter(item => item.speaker && item.quote && spoken.some(turn =>
+        turn.speaker === item.speaker && turn.text.toLowerCase().includes(item.quote.toLowerCase()))),
+    implications: (Array.isArray(parsed.implications) ? parsed.implications : []).map(String).map(text => text.trim()).filter(Boolean),
+    turn_count: spoken.length,
+    generated_at: new Date().toISOString()
+  };
+}
+
+function describeParticipant(participant) {
+  const details = INTRO_FIELDS.map(field => participant.persona[field]).filter(Boolean);
+  return details.length ? `${participant.name} (${details.join(', ')})` : participant.name;
+}
+
+/**
+ * Transcript as "Speaker: words" lines, optionally only the most recent turns
+ */
+function formatTranscript(turns, limit) {
+  const spoken = turns.filter(turn => !turn.error);
+  const shown = limit && spoken.length > limit ? spoken.slice(-limit) : spoken;
+
+  if (!shown.length) return '(nothing said yet)';
+
+  const lines = shown.map(turn => `${turn.speaker}: ${turn.text}`);
+  return shown.length < spoken.length
+    ? [`(${spoken.length - shown.length} earlier turns not shown)`, ...lines].join('\n')
+    : lines.join('\n');
+}
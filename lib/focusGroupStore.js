@@ -0,0 +1,83 @@
+// lib/focusGroupStore.js - Focus Group Sessions: Participants, Transcript and Summary
+import { readDocument, writeDocument, updateDocument, listDocuments } from './fileStore.js';
+
+/**
+ * Open a session. Participants are snapshotted so the group keeps talking to the same
+ * characters even if the persona records change mid-session.
+ */
+export async function createFocusGroup(id, { topic, moderator, guide = null, campaign_id = null, run_id = null, participants }) {
+  const now = new Date().toISOString();
+  return await writeDocument('focus_groups', id, {
+    id,
+    topic,
+    moderator,
+    guide,
+    campaign_id,
+    run_id,
+    participants,
+    status: 'open',
+    transcript: [],
+    summary: null,
+    created_at: now,
+    updated_at: now
+  });
+}
+
+export async function getFocusGroup(id) {
+  return await readDocument('focus_groups', id);
+}
+
+/**
+ * Sessions without their transcripts, newest first
+ */
+export async function listFocusGroups({ campaign_id } = {}) {
+  const sessions = await listDocuments('focus_groups');
+  return sessions
+    .filter(session => !campaign_id || session.campaign_id === campaign_id)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(({ transcript, participants, guide, ...session }) => ({
+      ...session,
+      participant_names: participants.map(participant => participant.name),
+      turn_count: transcript.length
+    }));
+}
+
+/**
+ * Append turns to the transcript, numbering them in speaking order
+ */
+export async function appendFocusGroupTurns(id, turns) {
+  return await mutateFocusGroup(id, session => ({
+    ...session,
+    transcript: [
+      ...session.transcript,
+      ...turns.map((turn, index) => ({ ...turn, seq: session.transcript.length + index + 1 }))
+    ]
+  }));
+}
+
+/**
+ * Attach consistency checks to participant turns, keyed by turn seq
+ */
+export async function recordTurnConsistency(id, checks) {
+  return await mutateFocusGroup(id, session => ({
+    ...session,
+    transcript: session.transcript.map(turn => checks[turn.seq] ? { ...turn, consistency: checks[turn.seq] } : turn)
+  }));
+}
+
+export async function saveFocusGroupSummary(id, summary) {
+  return await mutateFocusGroup(id, session => ({ ...session, summary }));
+}
+
+export async function finishFocusGroup(id, { status, error = null }) {
+  return await mutateFocusGroup(id, session => ({ ...session, status, error, completed_at: new Date().toISOString() }));
+}
+
+function mutateFocusGroup(id, mutator) {
+  return updateDocument('focus_groups', id, session => {
+    if (!session) {
+      throw new Error(`Focus group not found: ${id}`);
+    }
+    return { ...mutator(session), updated_at: new Date().toISOString() };
+  });
+}
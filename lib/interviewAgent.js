@@ -0,0 +1,328 @@
+// lib/interviewAgent.js - Scripted One-on-One Interviews with Follow-Up Probes and a Debrief
+import { buildPersonaSystemPrompt, PERSONA_MODEL_SETTINGS } from './personaPrompt.js';
+import { complete, requireProfile } from './llmClient.js';
+
+// Follow-ups asked after a vague answer before the interviewer moves on
+export const DEFAULT_MAX_PROBES = 1;
+export const MAX_PROBES = 3;
+const MAX_GUIDE_QUESTIONS = 25;
+
+export const AWARENESS_LEVELS = ['unaware', 'vaguely_aware', 'aware', 'well_informed'];
+
+/**
+ * The standard research guide. {matter} is replaced with the campaign's matter.
+ */
+export const DEFAULT_INTERVIEW_GUIDE = {
+  title: 'Standard research interview',
+  sections: [
+    {
+      id: 'warm_up',
+      title: 'Warm-up',
+      questions: [
+        'To start, tell me a bit about yourself - what does a normal week look like for you?',
+        'Where do you usually get your news, and who do you go to for advice on big decisions?'
+      ]
+    },
+    {
+      id: 'problem_discovery',
+      title: 'Problem discovery',
+      questions: [
+        {
+          text: 'Has anything happened to you or your family that made you wonder whether a company or someone else was responsible?',
+          probes: ['When did you first notice something was wrong?', 'What did you do about it at the time?']
+        },
+        'How has that affected your daily life, your health or your finances?'
+      ]
+    },
+    {
+      id: 'lawsuit_awareness',
+      title: 'Awareness of the lawsuit',
+      questions: [
+        { text: 'Have you heard anything about {matter}?', probes: ['Where did you hear about it?'] },
+        'What do you know about people taking legal action over it?'
+      ]
+    },
+    {
+      id: 'objections',
+      title: 'Objections',
+      questions: [
+        { text: 'If a law firm reached out to you about {matter}, what would make you hesitate?', probes: ['What would you need to know to get past that?'] },
+        'What have you heard about how lawyers get paid in cases like this?'
+      ]
+    },
+    {
+      id: 'call_to_action',
+      title: 'Call to action',
+      questions: [
+        'What would a law firm have to say or show you before you would reach out?',
+        'How would you want to take that first step - a phone call, a text, a form online, something else?'
+      ]
+    }
+  ]
+};
+
+/**
+ * Validate an interview guide and fill in defaults:
+ * {
+ *   "title": "optional",
+ *   "sections": [
+ *     { "id": "objections", "title": "Objections", "questions": ["...", { "text": "...", "probes": ["..."] }] }
+ *   ]
+ * }
+ * Question ids are "<section id>_q<n>". matter fills the {matter} placeholder in question text.
+ */
+export function validateInterviewGuide(guide, { matter } = {}) {
+  const errors = [];
+
+  if (!guide || typeof guide !== 'object' || !Array.isArray(guide.sections) || guide.sections.length === 0) {
+    return { valid: false, errors: ['Interview guide must be a JSON object with a non-empty sections array'], guide: null };
+  }
+
+  const fill = text => text.replace(/\{matter\}/g, matter || 'the lawsuit');
+  const sectionIds = new Set();
+
+  const sections = guide.sections.map((section, sectionIndex) => {
+    const title = String(section?.title || '').trim();
+    const id = String(section?.id || title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `section_${sectionIndex + 1}`);
+
+    if (!title) {
+      errors.push(`sections[${sectionIndex}]: title is required`);
+    }
+    if (!/^[a-z0-9_]+$/.test(id)) {
+      errors.push(`sections[${sectionIndex}]: id must use lowercase letters, digits and underscores`);
+    } else if (sectionIds.has(id)) {
+      errors.push(`sections[${sectionIndex}]: duplicate section id "${id}"`);
+    }
+    sectionIds.add(id);
+
+    if (!Array.isArray(section?.questions) || section.questions.length === 0) {
+      errors.push(`sections[${sectionIndex}]: questions must be a non-empty array`);
+      return { id, title, questions: [] };
+    }
+
+    const questions = section.questions.map((question, index) => {
+      const item = typeof question === 'string' ? { text: question } : question;
+      const text = String(item?.text || '').trim();
+
+      if (!text) {
+        errors.push(`sections[${sectionIndex}].questions[${index}]: text is required`);
+      }
+      if (item?.probes !== undefined && !Array.isArray(item.probes)) {
+        errors.push(`sections[${sectionIndex}].questions[${index}]: probes must be a list of follow-up questions`);
+      }
+
+      return {
+        id: `${id}_q${index + 1}`,
+        text: fill(text),
+        probes: Array.isArray(item?.probes) ? item.probes.map(probe => fill(String(probe).trim())).filter(Boolean) : []
+      };
+    });
+
+    return { id, title, questions };
+  });
+
+  const questionCount = sections.reduce((sum, section) => sum + section.questions.length, 0);
+  if (questionCount > MAX_GUIDE_QUESTIONS) {
+    errors.push(`An interview guide can have at most ${MAX_GUIDE_QUESTIONS} questions`);
+  }
+
+  return errors.length
+    ? { valid: false, errors, guide: null }
+    : { valid: true, errors: [], guide: { title: String(guide.title || '').trim() || 'Interview', sections } };
+}
+
+/**
+ * Walk the persona through the guide one question at a time. After each answer Claude judges
+ * whether it was vague and, if so, asks a follow-up probe - up to maxProbes per guide question.
+ * onTurn(exchange) is called with { section_id, question_id, kind, question, answer } as each is answered;
+ * onQuestion(index, total) before each guide question. Returns the exchanges in order.
+ */
+export async function runInterview(persona, guide, { maxProbes = DEFAULT_MAX_PROBES, onTurn, onQuestion } = {}) {
+  requireProfile('persona');
+  const systemPrompt = buildPersonaSystemPrompt(persona);
+  const messages = [];
+  const exchanges = [];
+
+  const questions = guide.sections.flatMap(section => section.questions.map(question => ({ section, question })));
+
+  for (const [index, { section, question }] of questions.entries()) {
+    if (onQuestion) await onQuestion(index, questions.length);
+
+    let asked = question.text;
+    let kind = 'question';
+    let probes = 0;
+
+    while (asked) {
+      const answer = await answerQuestion(systemPrompt, messages, asked);
+      messages.push({ role: 'user', content: asked }, { role: 'assistant', content: answer });
+
+      const exchange = { section_id: section.id, question_id: question.id, kind, question: asked, answer };
+      exchanges.push(exchange);
+      if (onTurn) await onTurn(exchange);
+
+      if (probes >= maxProbes) break;
+
+      asked = await chooseProbe(persona, question, exchanges.filter(earlier => earlier.question_id === question.id))
+        .catch(error => {
+          console.error(`❌ Probe decision failed for ${question.id}:`, error.message);
+          return null;
+        });
+      kind = 'probe';
+      probes++;
+    }
+  }
+
+  return exchanges;
+}
+
+async function answerQuestion(systemPrompt, messages, question) {
+  const response = await complete('persona', {
+    ...PERSONA_MODEL_SETTINGS,
+    system: systemPrompt,
+    messages: [...messages, { role: 'user', content: question }]
+  });
+
+  return response.text;
+}
+
+/**
+ * The interviewer's follow-up when the answer so far is vague, or null to move on
+ */
+async function chooseProbe(persona, guideQuestion, exchanges) {
+  const prompt = `You are a qualitative researcher interviewing ${persona.name}.
+
+GUIDE QUESTION: ${guideQuestion.text}
+${guideQuestion.probes.length ? `SUGGESTED PROBES:\n${guideQuestion.probes.map(probe => `- ${probe}`).join('\n')}\n` : ''}
+CONVERSATION ON THIS QUESTION:
+${exchanges.map(exchange => `Interviewer: ${exchange.question}\n${persona.name}: ${exchange.answer}`).join('\n')}
+
+Is the answer vague - generic, hedged, or missing the specifics the question was after (what happened, when, who, why, how it felt)? If so, write one short, natural follow-up that digs into it, using a suggested probe if one fits. If the answer is specific enough, move on.
+
+Return ONLY JSON:
+{ "vague": true | false, "probe": "your follow-up question, or null to move on", "reason": "why, in one short sentence" }`;
+
+  const response = await complete('analysis', {
+    max_tokens: 300,
+    temperature: 0.3,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in probe decision');
+  }
+
+  const { vague, probe } = JSON.parse(jsonMatch[0]);
+  return vague && typeof probe === 'string' && probe.trim() && probe.trim().toLowerCase() !== 'null' ? probe.trim() : null;
+}
+
+/**
+ * Debrief the interview for the research team: key quotes, barriers, trigger events and
+ * suggested messaging. exchanges is [{ section_id, question_id, kind, question, answer }];
+ * exchanges outside the guide (later free chat) have a null section_id. Quotes must appear
+ * in the persona's answers - key quotes that do not are dropped, supporting quotes are cleared.
+ */
+export async function synthesizeDebrief(persona, guide, exchanges) {
+  requireProfile('analysis');
+
+  if (!exchanges.length) {
+    throw new Error('The interview has no answers to debrief yet');
+  }
+
+  const sectionTitle = id => guide.sections.find(section => section.id === id)?.title || 'Follow-up conversation';
+  const transcript = exchanges
+    .map(exchange => `[${sectionTitle(exchange.section_id)}]\nInterviewer: ${exchange.question}\n${persona.name}: ${exchange.answer}`)
+    .join('\n\n');
+
+  const prompt = `Debrief this research interview for a law firm's marketing team.
+
+PARTICIPANT: ${persona.name}${persona.age ? `, ${persona.age}` : ''}${persona.location ? `, ${persona.location}` : ''}
+
+GUIDE SECTIONS: ${guide.sections.map(section => `${section.id} (${section.title})`).join(', ')}
+
+TRANSCRIPT:
+${transcript}
+
+Pull out the participant's own words that matter most, every barrier to contacting a firm they raised, the trigger events that did or would push them to act, how aware they are of the lawsuit, and the messaging most likely to move someone like them. Quote the participant word for word.
+
+Return ONLY JSON:
+{
+  "summary": "2-3 sentences on who this participant is and where they stand",
+  "section_findings": [{ "section_id": "one of the guide section ids", "finding": "what this section surfaced" }],
+  "key_quotes": [{ "quote": "exact words from the participant", "section_id": "section id", "why_it_matters": "..." }],
+  "barriers": [{ "barrier": "what holds them back", "quote": "exact supporting words, or null" }],
+  "trigger_events": [{ "event": "what did or would make them act", "quote": "exact supporting words, or null" }],
+  "lawsuit_awareness": { "level": "${AWARENESS_LEVELS.join('" | "')}", "detail": "what they know and where from" },
+  "suggested_messaging": [{ "message": "a line the firm could use", "rationale": "why it fits this participant", "addresses": "the barrier or trigger it speaks to" }]
+}`;
+
+  const response = await complete('analysis', {
+    max_tokens: 2500,
+    temperature: 0.3,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in interview debrief');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const answers = exchanges.map(exchange => exchange.answer.toLowerCase());
+  const sectionIds = guide.sections.map(section => section.id);
+  const text = value => String(value ?? '').trim();
+  const quoted = value => {
+    const quote = text(value).replace(/^"|"$/g, '');
+    return quote && quote.toLowerCase() !== 'null' && answers.some(answer => answer.includes(quote.toLowerCase())) ? quote : null;
+  };
+  const items = list => Array.isArray(list) ? list.filter(item => item && typeof item === 'object') : [];
+  const awareness = parsed.lawsuit_awareness || {};
+
+  return {
+    summary: text(parsed.summary),
+    section_findings: items(parsed.section_findings)
+      .map(item => ({ section_id: text(item.section_id), finding: text(item.finding) }))
+      .filter(item => sectionIds.includes(item.section_id) && item.finding),
+    key_quotes: items(parsed.key_quotes)
+      .map(item => ({
+        quote: quoted(item.quote),
+        section_id: sectionIds.includes(text(item.section_id)) ? text(item.section_id) : null,
+        why_it_matters: text(item.why_it_matters)
+      }))
+      .filter(item => item.quote),
+    barriers: items(parsed.barriers)
+      .map(item => ({ barrier: text(item.barrier), quote: quoted(item.quote) }))
+      .filter(item => item.barrier),
+    trigger_events: items(parsed.trigger_events)
+      .map(item => ({ event: text(item.event), quote: quoted(item.quote) }))
+      .filter(item => item.event),
+    lawsuit_awareness: {
+      level: AWARENESS_LEVELS.includes(awareness.level) ? awareness.level : null,
+      detail: text(awareness.detail)
+    },
+    suggested_messaging: items(parsed.suggested_messaging)
+      .map(item => ({ message: text(item.message), rationale: text(item.rationale), addresses: text(item.addresses) }))
+      .filter(item => item.message),
+    questions_asked: exchanges.filter(exchange => exchange.kind === 'question').length,
+    probes_asked: exchanges.filter(exchange => exchange.kind === 'probe').length,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * The exchanges of an interview conversation, including any free chat after the guide
+ */
+export function interviewExchanges(conversation) {
+  const exchanges = [];
+  for (let index = 0; index + 1 < conversation.messages.length; index += 2) {
+    const [asked, answered] = conversation.messages.slice(index, index + 2);
+    exchanges.push({
+      section_id: asked.interview?.section_id || null,
+      question_id: asked.interview?.question_id || null,
+      kind: asked.interview?.kind || 'follow_up',
+      question: asked.content,
+      answer: answered.content
+    });
+  }
+  return exchanges;
+}
@@ -0,0 +1,189 @@
+// lib/jobStore.js - Persona Generation and Enrichment Job Tracking
+import { readDocument, updateDocument } from './fileStore.js';
+
+const COLLECTION = 'jobs';
+
+// Pipeline stages reported for each job type, in run order
+export const JOB_STAGES = {
+  generation: ['documents', 'research', 'generation', 'export', 'creative_testing'],
+  enrichment: ['documents', 'research', 'enrichment', 'export', 'creative_testing'],
+  survey: ['fielding', 'tabulation'],
+  focus_group: ['discussion', 'synthesis'],
+  interview: ['interviewing', 'debrief']
+};
+
+// Oldest events are dropped past this so long runs keep the job document small
+const MAX_EVENTS = 500;
+
+function mutateJob(id, mutator) {
+  return updateDocument(COLLECTION, id, job => {
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+    mutator(job);
+    job.progress = calculateProgress(job);
+    job.updated_at = new Date().toISOString();
+    return job;
+  });
+}
+
+/**
+ * Create (or reset) a job record for a run
+ */
+export async function createJob(id, { type, params = {}, resumed = false }) {
+  if (!JOB_STAGES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    type,
+    status: 'queued',
+    stage: null,
+    progress: 0,
+    stages: Object.fromEntries(JOB_STAGES[type].map(stage => [stage, { status: 'pending', progress: 0 }])),
+    params,
+    resumed,
+    partial_results: {},
+    events: [],
+    last_event_seq: 0,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+
+  await updateDocument(COLLECTION, id, () => job);
+  return job;
+}
+
+/**
+ * Get a job by id, or null
+ */
+export async function getJob(id) {
+  return await readDocument(COLLECTION, id);
+}
+
+/**
+ * Mark a stage as running and optionally report its progress (0-100) and a detail message
+ */
+export async function updateJobStage(id, stage, { status = 'running', progress, detail } = {}) {
+  return await mutateJob(id, job => {
+    const stageState = job.stages[stage] || (job.stages[stage] = { status: 'pending', progress: 0 });
+    job.status = 'running';
+    job.stage = stage;
+
+    if (stageState.status === 'pending' && status === 'running') {
+      stageState.started_at = new Date().toISOString();
+      pushEvent(job, 'stage_started', { stage });
+    }
+
+    stageState.status = status;
+    if (progress !== undefined) stageState.progress = Math.max(0, Math.min(100, Math.round(progress)));
+    if (status === 'completed') {
+      stageState.progress = 100;
+      stageState.completed_at = new Date().toISOString();
+      pushEvent(job, 'stage_completed', { stage, detail });
+    }
+    if (detail !== undefined) stageState.detail = detail;
+  });
+}
+
+/**
+ * Store a partial result (e.g. personas generated so far) under a key
+ */
+export async function setPartialResult(id, key, value) {
+  return await mutateJob(id, job => {
+    job.partial_results[key] = value;
+  });
+}
+
+/**
+ * Append to a list-valued partial result
+ */
+export async function appendPartialResult(id, key, value) {
+  return await mutateJob(id, job => {
+    job.partial_results[key] = [...(job.partial_results[key] || []), value];
+  });
+}
+
+/**
+ * Mark the job complete with its final payload
+ */
+export async function completeJob(id, result) {
+  return await mutateJob(id, job => {
+    Object.values(job.stages).forEach(stageState => {
+      if (stageState.status === 'running') {
+        stageState.status = 'completed';
+        stageState.progress = 100;
+      }
+    });
+    job.status = 'completed';
+    job.stage = null;
+    job.result = result;
+    job.completed_at = new Date().toISOString();
+    pushEvent(job, 'job_completed', {});
+  });
+}
+
+/**
+ * Mark the job failed with an error payload
+ */
+export async function failJob(id, error) {
+  return await mutateJob(id, job => {
+    if (job.stage && job.stages[job.stage]) {
+      job.stages[job.stage].status = 'failed';
+    }
+    job.status = 'failed';
+    job.error = error;
+    job.completed_at = new Date().toISOString();
+    pushEvent(job, 'job_failed', { stage: job.stage, error: error.error, message: error.message });
+  });
+}
+
+/**
+ * Record a pipeline event (file downloaded, persona enriched, ...) for live progress streams
+ */
+export async function appendJobEvent(id, type, data = {}) {
+  return await mutateJob(id, job => {
+    pushEvent(job, type, data);
+  });
+}
+
+/**
+ * Events recorded after the given sequence number
+ */
+export function getJobEvents(job, afterSeq = 0) {
+  return (job.events || []).filter(event => event.seq > afterSeq);
+}
+
+export function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+function pushEvent(job, type, data) {
+  job.last_event_seq = (job.last_event_seq || 0) + 1;
+  job.events = [...(job.events || []), {
+    seq: job.last_event_seq,
+    type,
+    stage: job.stage,
+    data,
+    timestamp: new Date().toISOString()
+  }].slice(-MAX_EVENTS);
+}
+
+/**
+ * Overall progress is the mean of stage progress, skipped stages counting as done
+ */
+function calculateProgress(job) {
+  if (job.status === 'completed') return 100;
+
+  const stages = Object.values(job.stages);
+  if (!stages.length) return 0;
+
+  const total = stages.reduce((sum, stageState) =>
+    sum + (stageState.status === 'skipped' ? 100 : stageState.progress || 0), 0);
+
+  return Math.round(total / stages.length);
+}
@@ -0,0 +1,115 @@
+// lib/llmClient.js - One Client for Every Model Call: Named Profiles over Pluggable Providers
+import { PROVIDERS } from './llmProviders.js';
+import { recordUsage } from './usageTracker.js';
+
+/**
+ * What each kind of work runs on. Callers name a profile, never a provider or model string,
+ * so a deployment can move any of them with an environment variable:
+ *   LLM_PROFILE_<NAME>=<provider>:<model>   e.g. LLM_PROFILE_PERSONA=local:llama3.1:8b
+ *   LLM_PROVIDER=mock                       every profile answers from fixtures, no network
+ */
+export const MODEL_PROFILES = {
+  // In-character replies: chat, interviews, focus groups, polls, surveys, creative reactions
+  persona: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+  // Persona generation and enrichment
+  generation: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+  // Structured analysis: complaint parsing, summaries, debriefs, consistency and compliance review
+  analysis: { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+  // Fact-checking generated personas - a different model family from the one that wrote them
+  validation: { provider: 'openai', model: 'gpt-4-turbo-preview' },
+  // Web research with citations
+  research: { provider: 'perplexity', model: 'sonar-pro' }
+};
+
+/**
+ * The provider and model a profile resolves to after environment overrides
+ */
+export function getProfile(name) {
+  const profile = MODEL_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown model profile: ${name}`);
+  }
+
+  const override = process.env[`LLM_PROFILE_${name.toUpperCase()}`];
+  if (override) {
+    // Split on the first colon only - local model names often contain one
+    const separator = override.indexOf(':');
+    const provider = separator === -1 ? override : override.slice(0, separator);
+    return { name, provider, model: separator === -1 ? profile.model : override.slice(separator + 1) };
+  }
+
+  if (process.env.LLM_PROVIDER === 'mock') {
+    return { name, provider: 'mock', model: `mock-${name}` };
+  }
+
+  return { name, ...profile };
+}
+
+/**
+ * Whether a profile's provider has what it needs (an API key, an endpoint) to make calls
+ */
+export function isProfileConfigured(name) {
+  const profile = getProfile(name);
+  return Boolean(PROVIDERS[profile.provider]?.isConfigured());
+}
+
+/**
+ * Throw the provider's "not configured" error when a profile cannot make calls
+ */
+export function requireProfile(name) {
+  const profile = getProfile(name);
+  const provider = PROVIDERS[profile.provider];
+
+  if (!provider) {
+    throw new Error(`Unknown model provider "${profile.provider}" for profile ${name}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new Error(provider.notConfiguredMessage);
+  }
+
+  return profile;
+}
+
+/**
+ * One completion. request is { system, messages, max_tokens, temperature }, messages in the
+ * Messages API shape - content a string or text/image blocks; providers translate as needed.
+ * Returns { text, provider, model, profile, usage: { input_tokens, output_tokens } | null, citations? }.
+ */
+export async function complete(name, request) {
+  const profile = requireProfile(name);
+  return await metered(profile, () => PROVIDERS[profile.provider].complete(profile, request));
+}
+
+/**
+ * A streamed completion: onText(text) is called with each chunk as it arrives, and the
+ * promise resolves like complete() once the reply has finished. Aborting signal cancels the request.
+ */
+export async function streamCompletion(name, request, { onText, signal } = {}) {
+  const profile = requireProfile(name);
+  return await metered(profile, () => PROVIDERS[profile.provider].stream(profile, request, { onText, signal }));
+}
+
+/**
+ * Make a provider call and record its tokens and latency with the usage tracker, failed or not
+ */
+async function metered(profile, call) {
+  const started = Date.now();
+  const details = { profile: profile.name, provider: profile.provider, model: profile.model };
+
+  try {
+    const result = await call();
+    recordUsage({ ...details, usage: result.usage, latency_ms: Date.now() - started });
+    return { ...result, provider: profile.provider, model: profile.model, profile: profile.name };
+  } catch (error) {
+    recordUsage({ ...details, usage: null, latency_ms: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * The provider, model and sampling settings a call is made with, for recording alongside its output
+ */
+export function describeModelSettings(name, { max_tokens, temperature } = {}) {
+  const { provider, model } = getProfile(name);
+  return { profile: name, provider, model, max_tokens, temperature };
+}
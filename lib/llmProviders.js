@@ -0,0 +1,224 @@
+// lib/llmProviders.js - Model Providers: Anthropic, OpenAI, Perplexity, a Local OpenAI-Compatible Endpoint and a Fixture-Driven Mock
+import { readFileSync } from 'fs';
+import Anthropic from '@anthropic-ai/sdk';
+import OpenAI from 'openai';
+import { estimateTokens } from './retrievalIndex.js';
+
+// Fixtures the mock answers from when LLM_MOCK_FIXTURES does not point elsewhere
+const DEFAULT_MOCK_FIXTURES = new URL('../fixtures/llm-mock.json', import.meta.url);
+
+// Perplexity requests were given 30 seconds before the research stage moves on without them
+const PERPLEXITY_TIMEOUT_MS = 30000;
+
+/**
+ * Every provider implements the same three calls:
+ *   isConfigured()                               - has its key or endpoint
+ *   complete(profile, request)                   -> { text, usage, citations? }
+ *   stream(profile, request, { onText, signal }) -> same, calling onText per chunk
+ * request is { system, messages, max_tokens, temperature } in the Messages API shape.
+ */
+export const PROVIDERS = {
+  anthropic: {
+    notConfiguredMessage: 'Anthropic API key not configured',
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+    async complete(profile, request) {
+      const response = await anthropicClient().messages.create(anthropicParams(profile, request));
+      return anthropicResult(response);
+    },
+
+    async stream(profile, request, { onText, signal } = {}) {
+      const replyStream = anthropicClient().messages.stream(anthropicParams(profile, request), { signal });
+      if (onText) replyStream.on('text', onText);
+      return anthropicResult(await replyStream.finalMessage());
+    }
+  },
+
+  openai: openAICompatibleProvider({
+    notConfiguredMessage: 'OpenAI API key not configured',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    client: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  }),
+
+  perplexity: openAICompatibleProvider({
+    notConfiguredMessage: 'Perplexity API key not configured',
+    isConfigured: () => Boolean(process.env.PERPLEXITY_API_KEY),
+    client: () => new OpenAI({
+      apiKey: process.env.PERPLEXITY_API_KEY,
+      baseURL: 'https://api.perplexity.ai',
+      timeout: PERPLEXITY_TIMEOUT_MS,
+      maxRetries: 0
+    })
+  }),
+
+  // Ollama, vLLM, LM Studio and the like: anything serving /v1/chat/completions
+  local: openAICompatibleProvider({
+    notConfiguredMessage: 'Local model endpoint not configured (set LOCAL_LLM_BASE_URL)',
+    isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+    client: () => new OpenAI({
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LOCAL_LLM_BASE_URL
+    })
+  }),
+
+  mock: {
+    notConfiguredMessage: 'Mock fixtures not found',
+    isConfigured: () => true,
+
+    async complete(profile, request) {
+      return mockResult(profile, request);
+    },
+
+    // Replays the fixture a few words at a time, like a real stream
+    async stream(profile, request, { onText, signal } = {}) {
+      const result = mockResult(profile, request);
+      for (const chunk of result.text.match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) {
+          throw new Error('Request was aborted.');
+        }
+        if (onText) onText(chunk);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return result;
+    }
+  }
+};
+
+function anthropicClient() {
+  return new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+}
+
+function anthropicParams(profile, { system, messages, max_tokens, temperature }) {
+  return {
+    model: profile.model,
+    max_tokens,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(system ? { system } : {}),
+    messages
+  };
+}
+
+function anthropicResult(response) {
+  return {
+    text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    usage: response.usage ? { input_tokens: response.usage.input_tokens, output_tokens: response.usage.output_tokens } : null
+  };
+}
+
+/**
+ * Providers that speak the OpenAI Chat Completions API, differing only in how the client is built
+ */
+function openAICompatibleProvider({ notConfiguredMessage, isConfigured, client }) {
+  return {
+    notConfiguredMessage,
+    isConfigured,
+
+    async complete(profile, request) {
+      const response = await client().chat.completions.create(openAIParams(profile, request));
+      return {
+        text: response.choices[0]?.message?.content || '',
+        usage: response.usage ? { input_tokens: response.usage.prompt_tokens, output_tokens: response.usage.completion_tokens } : null,
+        // Perplexity returns the URLs its answer drew on alongside the completion
+        ...(Array.isArray(response.citations) ? { citations: response.citations } : {})
+      };
+    },
+
+    async stream(profile, request, { onText, signal } = {}) {
+      const chunks = await client().chat.completions.create({ ...openAIParams(profile, request), stream: true }, { signal });
+      let text = '';
+      for await (const chunk of chunks) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          if (onText) onText(delta);
+        }
+      }
+      return { text, usage: null };
+    }
+  };
+}
+
+/**
+ * Messages API request to Chat Completions: the system prompt becomes the first message
+ * and image blocks become data URLs
+ */
+function openAIParams(profile, { system, messages, max_tokens, temperature }) {
+  const toContent = content => typeof content === 'string'
+    ? content
+    : content.map(block => block.type === 'image'
+      ? { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+      : { type: 'text', text: block.text });
+
+  return {
+    model: profile.model,
+    max_tokens,
+    ...(temperature !== undefined ? { temperature } : {}),
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages.map(message => ({ role: message.role, content: toContent(message.content) }))
+    ]
+  };
+}
+
+let mockFixtures = null;
+
+/**
+ * Fixtures file: { "fixtures": [{ "name", "profile"?, "match": "text" | ["all", "of", "these"], "response": "text" | {json} }] }.
+ * The first fixture whose profile matches and whose match strings all appear in the request answers it.
+ * Matching is case-insensitive over the system prompt and the latest message only, so earlier turns of a
+ * conversation don't keep matching. Set LLM_MOCK_FIXTURES to use your own file.
+ *
+ * A response can answer from the options listed in the latest message as "- option" lines:
+ * "{{first_option}}" becomes the first option and "{{options}}" all of them in listed order.
+ */
+function loadMockFixtures() {
+  const source = process.env.LLM_MOCK_FIXTURES || DEFAULT_MOCK_FIXTURES;
+  if (mockFixtures?.source !== String(source)) {
+    const parsed = JSON.parse(readFileSync(source, 'utf8'));
+    if (!Array.isArray(parsed.fixtures)) {
+      throw new Error(`Mock fixtures file ${source} has no fixtures array`);
+    }
+    mockFixtures = { source: String(source), fixtures: parsed.fixtures };
+  }
+  return mockFixtures.fixtures;
+}
+
+function mockResult(profile, { system, messages }) {
+  const textOf = content => typeof content === 'string'
+    ? content
+    : content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+  const requestText = [system || '', ...messages.map(message => textOf(message.content))].join('\n');
+  const matchText = [system || '', textOf(messages[messages.length - 1]?.content || '')].join('\n').toLowerCase();
+
+  const fixture = loadMockFixtures().find(candidate =>
+    (!candidate.profile || candidate.profile === profile.name) &&
+    [].concat(candidate.match || []).every(text => matchText.includes(String(text).toLowerCase())));
+
+  if (!fixture) {
+    throw new Error(`No mock fixture matches this ${profile.name} request`);
+  }
+
+  const response = fillMockOptions(fixture.response, listedOptions(textOf(messages[messages.length - 1]?.content || '')));
+  const text = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+  return {
+    text,
+    usage: { input_tokens: estimateTokens(requestText), output_tokens: estimateTokens(text) },
+    fixture: fixture.name
+  };
+}
+
+// The first run of "- option" lines in a prompt
+function listedOptions(text) {
+  const block = text.match(/(?:^- .+$\n?)+/m);
+  return block ? block[0].split('\n').filter(Boolean).map(line => line.slice(2).trim()) : [];
+}
+
+function fillMockOptions(value, options) {
+  if (value === '{{options}}') return options;
+  if (value === '{{first_option}}') return options[0] ?? null;
+  if (Array.isArray(value)) return value.map(item => fillMockOptions(item, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillMockOptions(item, options)]));
+  }
+  return value;
+}
@@ -1,21 +1,33 @@
 // lib/personaAgent.js - Vercel Serverless Compatible
-import Anthropic from '@anthropic-ai/sdk';
+import { complete, requireProfile } from './llmClient.js';
+import { withUsageScope } from './usageTracker.js';
+import { formatComplaintAnalysis } from './complaintAnalyzer.js';
+import { chunkText, createIndex, selectPassages, getDefaultEmbedder } from './retrievalIndex.js';
+import { buildTraitCitations } from './citationService.js';
+
+// Token budgets for retrieved source passages
+const GENERATION_CONTEXT_TOKENS = 6000;
+const ENRICHMENT_CONTEXT_TOKENS = 2500;
+
+// Source context categories, in the order they are presented to Claude
+const SOURCE_CATEGORIES = {
+  case_data: 'CASE DATA (from complaint pleadings)',
+  demographic_data: 'DEMOGRAPHIC DATA',
+  social_insights: 'SOCIAL INSIGHTS',
+  consumer_behavior: 'CONSUMER BEHAVIOR DATA',
+  document_data: 'UPLOADED DOCUMENTS',
+  client_data: 'CLIENT DATA'
+};
 
 /**
  * Generate personas using Claude with RAG-based approach
  */
 export async function generatePersonas(campaignData, uploadedData, researchData, personaCount = 10) {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('Anthropic API key not configured');
-  }
+  requireProfile('generation');
 
   try {
     console.log(`Generating ${personaCount} personas for ${campaignData.matter}`);
 
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
     // Build context from uploaded files and research
     const sourceContext = buildSourceContext(uploadedData, researchData);
 
@@ -25,12 +37,20 @@ export async function generatePersonas(campaignData, uploadedData, researchData,
       throw new Error(`Insufficient data for persona generation: ${validation.missing.join(', ')}`);
     }
 
+    // Retrieve the passages most relevant to this matter within the prompt budget
+    const sourceIndex = await buildSourceIndex(sourceContext);
+    const retrieval = await retrieveSourcePassages(
+      sourceIndex,
+      [campaignData.matter, campaignData.keywords, campaignData.target_description].join(' '),
+      GENERATION_CONTEXT_TOKENS
+    );
+    console.log(`Retrieved ${retrieval.passages.length}/${retrieval.candidate_count} source passages (${retrieval.used_tokens}/${retrieval.token_budget} tokens)`);
+
     // Create the persona generation prompt
-    const prompt = buildPersonaPrompt(campaignData, sourceContext, personaCount);
+    const prompt = buildPersonaPrompt(campaignData, retrieval.passages, personaCount);
 
-    // Generate personas using Claude
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
+    // Generate personas
+    const response = await complete('generation', {
       max_tokens: 4000,
       temperature: 0.3,
       messages: [
@@ -42,10 +62,10 @@ export async function generatePersonas(campaignData, uploadedData, researchData,
     });
 
     // Parse and validate the response
-    const personas = parsePersonaResponse(response.content[0].text);
+    const personas = parsePersonaResponse(response.text);
     
     // Add source citations to each persona
-    const citedPersonas = addSourceCitations(personas, sourceContext);
+    const citedPersonas = addSourceCitations(personas, sourceContext, sourceIndex);
 
     // Final validation
     const validatedPersonas = validatePersonas(citedPersonas);
@@ -55,6 +75,7 @@ export async function generatePersonas(campaignData, uploadedData, researchData,
     return {
       personas: validatedPersonas,
       sources_used: extractSourceSummary(sourceContext),
+      retrieval: summarizeRetrieval(retrieval),
       validation: validation,
       generation_timestamp: new Date().toISOString()
     };
@@ -72,29 +93,49 @@ function buildSourceContext(uploadedData, researchData) {
   const context = {
     demographic_data: [],
     case_data: [],
+    document_data: [],
     social_insights: [],
     consumer_behavior: [],
     client_data: [],
     total_sources: 0
   };
 
+  // Process uploaded documents (records from DocumentAgent.processFiles)
+  if (uploadedData && Array.isArray(uploadedData.documents)) {
+    uploadedData.documents.filter(doc => doc.content).forEach(doc => {
+      context.document_data.push({
+        content: doc.content,
+        metadata: { source: doc.filename, type: doc.type }
+      });
+
+      // Structured pleading facts from the complaint analyzer
+      if (doc.complaint_analysis) {
+        context.case_data.push({
+          content: formatComplaintAnalysis(doc.complaint_analysis),
+          analysis: doc.complaint_analysis,
+          metadata: { source: `${doc.filename} (complaint analysis)`, type: 'case' }
+        });
+      }
+    });
+  }
+
   // Process uploaded data
   if (uploadedData) {
-    if (uploadedData.mri_data) {
+    if (uploadedData.mri_data && !uploadedData.mri_data.error) {
       context.demographic_data.push({
         content: JSON.stringify(uploadedData.mri_data.summary || uploadedData.mri_data),
         metadata: { source: 'mri_file', type: 'demographic' }
       });
     }
     
-    if (uploadedData.targetsmart_data) {
+    if (uploadedData.targetsmart_data && !uploadedData.targetsmart_data.error) {
       context.demographic_data.push({
         content: JSON.stringify(uploadedData.targetsmart_data.summary || uploadedData.targetsmart_data),
         metadata: { source: 'targetsmart_file', type: 'demographic' }
       });
     }
     
-    if (uploadedData.client_data) {
+    if (uploadedData.client_data && !uploadedData.client_data.error) {
       context.client_data.push({
         content: JSON.stringify(uploadedData.client_data.summary || uploadedData.client_data),
         metadata: { source: 'client_file', type: 'client' }
@@ -106,21 +147,21 @@ function buildSourceContext(uploadedData, researchData) {
   if (researchData) {
     if (researchData.demographics) {
       context.demographic_data.push({
-        content: JSON.stringify(researchData.demographics),
+        content: formatResearchContent(researchData.demographics),
         metadata: { source: 'perplexity_research', type: 'demographic' }
       });
     }
     
     if (researchData.social_insights) {
       context.social_insights.push({
-        content: JSON.stringify(researchData.social_insights),
+        content: formatResearchContent(researchData.social_insights),
         metadata: { source: 'perplexity_research', type: 'social' }
       });
     }
     
     if (researchData.consumer_behavior) {
       context.consumer_behavior.push({
-        content: JSON.stringify(researchData.consumer_behavior),
+        content: formatResearchContent(researchData.consumer_behavior),
         metadata: { source: 'perplexity_research', type: 'behavior' }
       });
     }
@@ -131,9 +172,89 @@ function buildSourceContext(uploadedData, researchData) {
     .filter(val => Array.isArray(val))
     .reduce((sum, arr) => sum + arr.length, 0);
 
+  assignSourceIds(context);
+
   return context;
 }
 
+/**
+ * Give every source item a stable, readable id for passage citations
+ */
+function assignSourceIds(context) {
+  const usedIds = new Set();
+
+  Object.keys(SOURCE_CATEGORIES).forEach(category => {
+    context[category].forEach(item => {
+      const base = `${item.metadata.type}_${item.metadata.source}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+
+      let id = base;
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${base}_${n}`;
+      }
+
+      usedIds.add(id);
+      item.id = id;
+    });
+  });
+}
+
+/**
+ * Render a research result as prompt text, dropping the raw response duplicate
+ */
+function formatResearchContent(data) {
+  if (data._parse_error) {
+    return data._raw_response || '';
+  }
+
+  const fields = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (!key.startsWith('_')) fields[key] = value;
+  });
+
+  return JSON.stringify(fields, null, 1);
+}
+
+/**
+ * Chunk every source item and build a local retrieval index over the chunks
+ */
+async function buildSourceIndex(sourceContext) {
+  const chunks = [];
+
+  Object.keys(SOURCE_CATEGORIES).forEach(category => {
+    sourceContext[category].forEach(item => {
+      chunkText(item.content, { sourceId: item.id }).forEach(chunk => {
+        chunks.push({ ...chunk, category, source: item.metadata.source });
+      });
+    });
+  });
+
+  return await createIndex(chunks, { embed: getDefaultEmbedder() });
+}
+
+/**
+ * Select passages for a query; complaint case data is always included
+ */
+async function retrieveSourcePassages(sourceIndex, query, tokenBudget) {
+  const pinned = sourceIndex.chunks.filter(chunk => chunk.category === 'case_data');
+  return await selectPassages(sourceIndex, query, { tokenBudget, pinned });
+}
+
+/**
+ * Compact retrieval stats for the generation result
+ */
+function summarizeRetrieval(retrieval) {
+  return {
+    passages_used: retrieval.passages.length,
+    candidate_passages: retrieval.candidate_count,
+    tokens_used: retrieval.used_tokens,
+    token_budget: retrieval.token_budget,
+    passage_ids: retrieval.passages.map(passage => passage.id)
+  };
+}
+
 /**
  * Validate data sufficiency for persona generation
  */
@@ -166,17 +287,18 @@ function validateDataSufficiency(sourceContext) {
 /**
  * Build comprehensive persona generation prompt
  */
-function buildPersonaPrompt(campaignData, sourceContext, personaCount) {
-  const sourceData = formatSourceContext(sourceContext);
+function buildPersonaPrompt(campaignData, passages, personaCount) {
+  const sourceData = formatSourceContext(passages);
 
   return `You are an expert at creating realistic consumer personas for legal advertising campaigns based ONLY on provided data sources.
 
 CRITICAL REQUIREMENTS:
 - Generate EXACTLY ${personaCount} distinct personas
 - Base ALL persona traits on the provided source data below
-- Include specific citations for each trait using [Source: source_name]
+- Include specific citations for each trait using [Source: passage_id], where passage_id is the id shown in brackets before each passage
 - Do NOT create any traits not found in the source data
 - If insufficient data exists for a trait, omit it rather than fabricate it
+- If CASE DATA from a complaint is provided, every persona MUST plausibly meet the class definition and qualifying criteria (class period, exposure, injury, jurisdiction) - cite the complaint page numbers
 
 CAMPAIGN DETAILS:
 - Case Type: ${campaignData.matter}
@@ -208,6 +330,7 @@ REQUIRED JSON STRUCTURE - return ONLY valid JSON array:
     },
     "communication_style": "style based on source insights",
     "example_quote": "quote reflecting this person's authentic voice",
+    "class_membership": {"class": "class or subclass name from CASE DATA, or null", "criteria_met": ["qualifying criteria this persona meets"], "citation": "complaint page numbers, e.g. Complaint pp. 12-14"},
     "data_sources": ["list of source files/categories used for this persona"],
     "confidence_score": number_0_to_100_based_on_source_data_quality
   }
@@ -217,38 +340,20 @@ Generate ${personaCount} evidence-based personas now:`;
 }
 
 /**
- * Format source context for prompt inclusion
+ * Format retrieved passages for prompt inclusion, grouped by category
  */
-function formatSourceContext(sourceContext) {
+function formatSourceContext(passages) {
   let formatted = '';
 
-  if (sourceContext.demographic_data && sourceContext.demographic_data.length > 0) {
-    formatted += '\nDEMOGRAPHIC DATA:\n';
-    sourceContext.demographic_data.forEach((item, index) => {
-      formatted += `[${item.metadata.source}] ${item.content.substring(0, 300)}...\n`;
-    });
-  }
-
-  if (sourceContext.social_insights && sourceContext.social_insights.length > 0) {
-    formatted += '\nSOCIAL INSIGHTS:\n';
-    sourceContext.social_insights.forEach((item, index) => {
-      formatted += `[${item.metadata.source}] ${item.content.substring(0, 300)}...\n`;
-    });
-  }
-
-  if (sourceContext.consumer_behavior && sourceContext.consumer_behavior.length > 0) {
-    formatted += '\nCONSUMER BEHAVIOR DATA:\n';
-    sourceContext.consumer_behavior.forEach((item, index) => {
-      formatted += `[${item.metadata.source}] ${item.content.substring(0, 300)}...\n`;
-    });
-  }
+  Object.entries(SOURCE_CATEGORIES).forEach(([category, heading]) => {
+    const categoryPassages = passages.filter(passage => passage.category === category);
+    if (categoryPassages.length === 0) return;
 
-  if (sourceContext.client_data && sourceContext.client_data.length > 0) {
-    formatted += '\nCLIENT DATA:\n';
-    sourceContext.client_data.forEach((item, index) => {
-      formatted += `[${item.metadata.source}] ${item.content.substring(0, 300)}...\n`;
+    formatted += `\n${heading}:\n`;
+    categoryPassages.forEach(passage => {
+      formatted += `[${passage.id}] (${passage.source}, chars ${passage.offset}-${passage.offset + passage.length})\n${passage.text}\n\n`;
     });
-  }
+  });
 
   return formatted || 'No specific source data available - generation may be limited.';
 }
@@ -282,19 +387,32 @@ function parsePersonaResponse(responseText) {
 }
 
 /**
- * Add source citations to personas
+ * Add trait-level source citations to personas
  */
-function addSourceCitations(personas, sourceContext) {
+function addSourceCitations(personas, sourceContext, sourceIndex) {
   return personas.map(persona => {
+    const traitCitations = buildTraitCitations(persona, sourceIndex.chunks);
+
+    const citedCategories = new Set();
+    traitCitations.traits.forEach(trait => {
+      trait.evidence.forEach(evidence => citedCategories.add(evidence.category));
+    });
+
+    if (traitCitations.invalid_tags.length > 0) {
+      console.warn(`Persona ${persona.name} has ${traitCitations.invalid_tags.length} citation(s) to nonexistent sources:`,
+        traitCitations.invalid_tags.map(invalid => invalid.tag).join(', '));
+    }
+
     persona.source_citations = {
       primary_sources: persona.data_sources || [],
-      data_categories: Object.keys(sourceContext).filter(key => 
-        sourceContext[key] && Array.isArray(sourceContext[key]) && sourceContext[key].length > 0
-      ),
+      data_categories: [...citedCategories].filter(Boolean),
+      traits: traitCitations.traits,
+      invalid_tags: traitCitations.invalid_tags,
       confidence_factors: {
-        source_diversity: persona.data_sources ? persona.data_sources.length : 0,
+        source_diversity: new Set(traitCitations.traits.flatMap(trait => trait.evidence.map(e => e.source_id))).size,
         data_points: sourceContext.total_sources,
-        citation_coverage: persona.data_sources ? 'cited' : 'limited'
+        trait_coverage: traitCitations.coverage,
+        citation_coverage: traitCitations.coverage.ratio >= 0.6 ? 'cited' : traitCitations.coverage.ratio > 0 ? 'partial' : 'limited'
       }
     };
 
@@ -386,20 +504,15 @@ function extractSourceSummary(sourceContext) {
 /**
  * Enrich existing personas with additional document insights and research data
  */
-export async function enrichPersonas(existingPersonas, campaignData, uploadedData, researchData) {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('Anthropic API key not configured');
-  }
+export async function enrichPersonas(existingPersonas, campaignData, uploadedData, researchData, { onProgress } = {}) {
+  requireProfile('generation');
 
   try {
     console.log(`Enriching ${existingPersonas.length} existing personas with document insights`);
 
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
     // Build context from uploaded files and research
     const sourceContext = buildSourceContext(uploadedData, researchData);
+    const sourceIndex = await buildSourceIndex(sourceContext);
 
     const enrichedPersonas = [];
 
@@ -409,22 +522,28 @@ export async function enrichPersonas(existingPersonas, campaignData, uploadedDat
       try {
         console.log(`Enriching persona ${i + 1}/${existingPersonas.length}: ${persona.name}`);
 
+        // Retrieve passages relevant to both the matter and this persona
+        const retrieval = await retrieveSourcePassages(
+          sourceIndex,
+          buildPersonaQuery(persona, campaignData),
+          ENRICHMENT_CONTEXT_TOKENS
+        );
+
         // Create enrichment prompt for this specific persona
-        const enrichmentPrompt = buildPersonaEnrichmentPrompt(persona, campaignData, sourceContext);
+        const enrichmentPrompt = buildPersonaEnrichmentPrompt(persona, campaignData, sourceContext, retrieval.passages);
 
         // Get AI enrichment
-        const response = await anthropic.messages.create({
-          model: 'claude-3-5-sonnet-20241022',
+        const response = await withUsageScope({ persona: persona.name }, () => complete('generation', {
           max_tokens: 2000,
           temperature: 0.2,
           messages: [{
             role: 'user',
             content: enrichmentPrompt
           }]
-        });
+        }));
 
         // Parse enrichment response
-        const enrichmentData = parseEnrichmentResponse(response.content[0].text);
+        const enrichmentData = parseEnrichmentResponse(response.text);
 
         // Merge enrichment with original persona
         const enrichedPersona = {
@@ -443,6 +562,10 @@ export async function enrichPersonas(existingPersonas, campaignData, uploadedDat
 
         enrichedPersonas.push(enrichedPersona);
 
+        if (onProgress) {
+          await onProgress({ current: i + 1, total: existingPersonas.length, persona: enrichedPersona });
+        }
+
         // Small delay to prevent rate limiting
         if (i < existingPersonas.length - 1) {
           await new Promise(resolve => setTimeout(resolve, 1000));
@@ -461,6 +584,10 @@ export async function enrichPersonas(existingPersonas, campaignData, uploadedDat
             original_source: persona.source || 'julius_sheet'
           }
         });
+
+        if (onProgress) {
+          await onProgress({ current: i + 1, total: existingPersonas.length, persona: enrichedPersonas[enrichedPersonas.length - 1] });
+        }
       }
     }
 
@@ -482,7 +609,7 @@ export async function enrichPersonas(existingPersonas, campaignData, uploadedDat
 /**
  * Build enrichment prompt for existing persona
  */
-function buildPersonaEnrichmentPrompt(persona, campaignData, sourceContext) {
+function buildPersonaEnrichmentPrompt(persona, campaignData, sourceContext, passages) {
   return `You are a legal marketing persona enrichment specialist. Your task is to enhance an existing persona with insights from legal documents and research data, specifically for the legal campaign context.
 
 EXISTING PERSONA:
@@ -501,7 +628,7 @@ Keywords: ${campaignData.keywords}
 Target Description: ${campaignData.target_description}
 
 AVAILABLE DATA FOR ENRICHMENT:
-${buildSourceContextSummary(sourceContext)}
+${buildSourceContextSummary(sourceContext, passages)}
 
 ENRICHMENT OBJECTIVES:
 1. Add legal-specific motivations and barriers based on the document analysis
@@ -509,6 +636,7 @@ ENRICHMENT OBJECTIVES:
 3. Add case-specific concerns and decision factors
 4. Include document-derived insights about legal service preferences
 5. Update persona with campaign-relevant behavioral patterns
+6. If CASE_DATA from a complaint is available, assess whether this persona meets the class definitions and qualifying criteria
 
 RESPONSE FORMAT - Return ONLY valid JSON:
 {
@@ -518,7 +646,8 @@ RESPONSE FORMAT - Return ONLY valid JSON:
     "case_specific_concerns": ["concern1", "concern2"],
     "preferred_legal_communication": "description of how they prefer to communicate with lawyers",
     "decision_timeline": "description of how quickly/slowly they make legal decisions",
-    "trust_factors_legal": ["factor1", "factor2"]
+    "trust_factors_legal": ["factor1", "factor2"],
+    "class_fit": {"likely_class_member": true, "class": "class or subclass name, or null", "criteria_met": ["criterion"], "criteria_unknown": ["criterion"], "citation": "complaint page numbers"}
   },
   "insights": [
     "Key insight from documents about this persona type",
@@ -588,20 +717,19 @@ function calculateAverageConfidence(personas) {
 }
 
 /**
- * Build summary of source context for prompts
+ * Build retrieval query for a persona from the campaign and the persona's own traits
  */
-function buildSourceContextSummary(sourceContext) {
-  let summary = `Total source documents: ${sourceContext.total_sources}\n\n`;
+function buildPersonaQuery(persona, campaignData) {
+  const traits = [persona.location, persona.occupation, persona.income, persona.bio]
+    .concat(Array.isArray(persona.interests) ? persona.interests : [persona.interests])
+    .filter(Boolean);
 
-  Object.entries(sourceContext).forEach(([category, data]) => {
-    if (Array.isArray(data) && data.length > 0 && category !== 'total_sources') {
-      summary += `${category.toUpperCase()} (${data.length} items):\n`;
-      data.slice(0, 3).forEach(item => {
-        summary += `- ${item.content.substring(0, 150)}...\n`;
-      });
-      summary += '\n';
-    }
-  });
+  return [campaignData.matter, campaignData.keywords, campaignData.target_description, ...traits].join(' ');
+}
 
-  return summary;
+/**
+ * Build summary of source context for prompts from retrieved passages
+ */
+function buildSourceContextSummary(sourceContext, passages) {
+  return `Total source documents: ${sourceContext.total_sources}\n` + formatSourceContext(passages);
 }
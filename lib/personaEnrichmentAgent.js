@@ -1,17 +1,12 @@
 // lib/personaEnrichmentAgent.js - Persona Enrichment with Social and Research Data
-import Anthropic from '@anthropic-ai/sdk';
+import { complete } from './llmClient.js';
+import { withUsageScope } from './usageTracker.js';
 
 /**
  * Enrich existing personas with social media presence, professional background,
  * interests, affiliations, and communication preferences using AI research
  */
 export default class PersonaEnrichmentAgent {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-  }
-
   /**
    * Enrich multiple personas with social and research data
    */
@@ -26,7 +21,7 @@ export default class PersonaEnrichmentAgent {
       try {
         console.log(`🔍 Enriching persona ${i + 1}/${personas.length}: ${persona.name}`);
 
-        const enrichedPersona = await this.enrichSinglePersona(persona, contextData);
+        const enrichedPersona = await withUsageScope({ persona: persona.name }, () => this.enrichSinglePersona(persona, contextData));
         enrichedPersonas.push(enrichedPersona);
 
         // Small delay to prevent rate limiting
@@ -60,8 +55,7 @@ export default class PersonaEnrichmentAgent {
     const enrichmentPrompt = this.buildEnrichmentPrompt(persona, contextData);
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-sonnet-20240229',
+      const response = await complete('generation', {
         max_tokens: 2000,
         messages: [{
           role: 'user',
@@ -69,7 +63,7 @@ export default class PersonaEnrichmentAgent {
         }]
       });
 
-      const enrichmentData = this.parseEnrichmentResponse(response.content[0].text);
+      const enrichmentData = this.parseEnrichmentResponse(response.text);
 
       return {
         ...persona,
@@ -253,13 +247,12 @@ For each platform (${platforms.join(', ')}), provide:
 Format as JSON with detailed explanations.`;
 
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-sonnet-20240229',
+      const response = await complete('generation', {
         max_tokens: 1500,
         messages: [{ role: 'user', content: socialPrompt }]
       });
 
-      return response.content[0].text;
+      return response.text;
     } catch (error) {
       console.error('Social research generation failed:', error);
       return 'Social research unavailable';
@@ -278,7 +271,7 @@ Format as JSON with detailed explanations.`;
 
       try {
         if (progressCallback) {
-          progressCallback({
+          await progressCallback({
             current: i + 1,
             total: total,
             persona: persona.name,
@@ -286,15 +279,16 @@ Format as JSON with detailed explanations.`;
           });
         }
 
-        const enriched = await this.enrichSinglePersona(persona, contextData);
+        const enriched = await withUsageScope({ persona: persona.name }, () => this.enrichSinglePersona(persona, contextData));
         results.push(enriched);
 
         if (progressCallback) {
-          progressCallback({
+          await progressCallback({
             current: i + 1,
             total: total,
             persona: persona.name,
-            status: 'completed'
+            status: 'completed',
+            result: enriched
           });
         }
 
@@ -311,7 +305,7 @@ Format as JSON with detailed explanations.`;
         });
 
         if (progressCallback) {
-          progressCallback({
+          await progressCallback({
             current: i + 1,
             total: total,
             persona: persona.name,
@@ -0,0 +1,143 @@
+// lib/personaPrompt.js - In-Character System Prompts for Personas
+
+// Pipeline bookkeeping that says nothing about who the persona is
+const BOOKKEEPING_KEYS = [
+  'persona_id', 'source', 'source_citations', 'data_sources', 'confidence_score', 'enrichment', 'enrichment_metadata', 'validation', 'imported_at'
+];
+
+// Covered by the core of the prompt rather than repeated in the profile sections
+const CORE_KEYS = ['name', 'bio', 'motivations', 'barriers', 'legal_motivations', 'legal_barriers', 'communication_style', 'case_type', 'example_quote'];
+
+// Sampling settings for in-character replies on the persona model profile, recorded on each
+// conversation so a transcript says how it was produced
+export const PERSONA_MODEL_SETTINGS = {
+  max_tokens: 1000,
+  temperature: 0.7
+};
+
+// Enriched fields that get their own heading, so the persona knows what each one is about
+const PROFILE_SECTIONS = {
+  legal_profile: 'YOUR EXPERIENCE WITH LAWYERS AND THE LEGAL SYSTEM',
+  social_media_profiles: 'HOW YOU USE SOCIAL MEDIA',
+  document_insights: 'WHAT IS TRUE ABOUT PEOPLE IN YOUR SITUATION'
+};
+
+/**
+ * Build system prompt for persona consistency. Everything else on the record - demographics,
+ * legal profile, social media habits, document insights - is laid out below the core traits,
+ * the same way wherever the persona appears.
+ *
+ * Chat and interviews use the conversational rules below. Polls, surveys, creative tests and
+ * focus groups describe where the persona is with `setting` (completing "You are <name>, ..."),
+ * add anything the persona should know with `context`, and replace the rules with `instructions`.
+ */
+export function buildPersonaSystemPrompt(persona, { conversationSummary = '', setting = '', context = '', instructions = '' } = {}) {
+  const motivations = formatProfileValue(persona.motivations || persona.legal_motivations);
+  const barriers = formatProfileValue(persona.barriers || persona.legal_barriers);
+
+  const characteristics = [
+    ['Motivations', motivations],
+    ['Main Concerns', barriers],
+    ['Communication Style', formatProfileValue(persona.communication_style)],
+    ['Case Type', formatProfileValue(persona.case_type)]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `- ${label}: ${value}`)
+    .join('\n');
+
+  const voice = persona.example_quote ? `Example of how you speak: "${persona.example_quote}"` : '';
+
+  const profile = `BACKGROUND: ${persona.bio}
+
+YOUR CHARACTERISTICS:
+${characteristics}
+${buildProfileSections(persona)}`;
+
+  if (instructions) {
+    return `You are ${persona.name}, ${setting}
+
+${profile}${context ? `\n${context}\n` : ''}
+${voice ? `${voice}\n\n` : ''}${instructions}`;
+  }
+
+  return `You are ${persona.name}.
+
+${profile}
+CRITICAL INSTRUCTIONS:
+1. Stay completely in character as ${persona.name} throughout the conversation
+2. Respond authentically based on your background and concerns
+3. Use your specified communication style consistently
+4. Remember you are someone who might need legal help
+5. Respond as a real person would, not as an AI assistant
+6. Keep responses conversational and natural, typically 1-3 sentences
+7. Show emotion and personality that matches your character
+
+${voice}
+${conversationSummary ? `
+EARLIER IN THIS CONVERSATION (summary of what was already said - stay consistent with it):
+${conversationSummary}
+` : ''}
+Never break character or mention that you are an AI. You are ${persona.name}, and this is a real conversation.`;
+}
+
+/**
+ * The persona record without pipeline bookkeeping, for prompts that check a persona against
+ * its own record rather than speak as it
+ */
+export function personaRecord(persona) {
+  return Object.fromEntries(Object.entries(persona).filter(([key]) => !BOOKKEEPING_KEYS.includes(key)));
+}
+
+function buildProfileSections(persona) {
+  const fields = Object.entries(persona)
+    .filter(([key, value]) => !BOOKKEEPING_KEYS.includes(key) && !CORE_KEYS.includes(key) && formatProfileValue(value));
+
+  const details = fields
+    .filter(([key]) => !PROFILE_SECTIONS[key])
+    .map(([key, value]) => formatProfileLine(key, value))
+    .join('\n');
+
+  const sections = fields
+    .filter(([key]) => PROFILE_SECTIONS[key])
+    .map(([key, value]) => `${PROFILE_SECTIONS[key]}:\n${formatProfileBlock(value)}`);
+
+  return [details ? `MORE ABOUT YOU:\n${details}` : '', ...sections]
+    .filter(Boolean)
+    .map(section => `\n${section}\n`)
+    .join('');
+}
+
+function formatProfileLine(key, value, indent = '') {
+  const label = key.replace(/_/g, ' ');
+  return value && typeof value === 'object' && !Array.isArray(value)
+    ? `${indent}- ${label}:\n${formatProfileBlock(value, `${indent}  `)}`
+    : `${indent}- ${label}: ${formatProfileValue(value)}`;
+}
+
+// Nested objects as indented "- key: value" lines, lists as one line per item
+function formatProfileBlock(value, indent = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => `${indent}- ${formatProfileValue(item)}`).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, item]) => formatProfileValue(item))
+      .map(([key, item]) => formatProfileLine(key, item, indent))
+      .join('\n');
+  }
+  return `${indent}${formatProfileValue(value)}`;
+}
+
+// A value on one line; empty values come back as '' so callers can skip them
+function formatProfileValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatProfileValue).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, item]) => [key, formatProfileValue(item)])
+      .filter(([, item]) => item)
+      .map(([key, item]) => `${key.replace(/_/g, ' ')}: ${item}`)
+      .join('; ');
+  }
+  return String(value).trim();
+}
@@ -0,0 +1,437 @@
+// lib/personaStore.js - System of Record for Campaigns, Runs, Personas and Enrichment Versions
+import { v4 as uuidv4 } from 'uuid';
+import { readDocument, writeDocument, updateDocument, listDocuments } from './fileStore.js';
+import { createUsageLedger, trackUsage, withUsageScope, summarizeUsage, mergeUsage } from './usageTracker.js';
+
+/**
+ * Document-backed persona store. Each record is a JSON document in lib/fileStore.js;
+ * persona versions live in their own document so persona lookups stay small,
+ * and a name index avoids scanning every persona for chat lookups.
+ */
+export class FilePersonaStore {
+  // ---- Campaigns ----
+
+  async createCampaign({ matter, keywords = '', target_description = '', name, file_urls = {}, ...rest }) {
+    const now = new Date().toISOString();
+    const campaign = {
+      ...rest,
+      id: uuidv4(),
+      name: name || matter,
+      matter,
+      keywords,
+      target_description,
+      file_urls,
+      status: 'active',
+      created_at: now,
+      updated_at: now
+    };
+
+    return await writeDocument('campaigns', campaign.id, campaign);
+  }
+
+  async getCampaign(id) {
+    return await readDocument('campaigns', id);
+  }
+
+  async listCampaigns({ include_archived = false } = {}) {
+    const campaigns = await listDocuments('campaigns');
+    return campaigns
+      .filter(campaign => include_archived || campaign.status !== 'archived')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async updateCampaign(id, changes) {
+    return await updateDocument('campaigns', id, campaign => {
+      if (!campaign) throw new Error(`Campaign not found: ${id}`);
+      return { ...campaign, ...changes, id, created_at: campaign.created_at, updated_at: new Date().toISOString() };
+    });
+  }
+
+  async archiveCampaign(id) {
+    return await this.updateCampaign(id, { status: 'archived', archived_at: new Date().toISOString() });
+  }
+
+  async restoreCampaign(id) {
+    return await this.updateCampaign(id, { status: 'active', archived_at: null });
+  }
+
+  /**
+   * Processed documents and audience data for a campaign, kept with the file URLs they came from
+   * so later runs can reuse them without downloading and analyzing the files again
+   */
+  async saveCampaignDocuments(campaignId, fileUrls, uploadedData, { analyzed = false } = {}) {
+    return await writeDocument('campaign_documents', campaignId, {
+      campaign_id: campaignId,
+      file_urls: fileUrls,
+      uploaded_data: uploadedData,
+      analyzed,
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  async getCampaignDocuments(campaignId) {
+    return await readDocument('campaign_documents', campaignId);
+  }
+
+  async saveResearchSnapshot(campaignId, runId, research) {
+    return await writeDocument('research_snapshots', runId, {
+      id: runId,
+      campaign_id: campaignId,
+      run_id: runId,
+      research,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async listResearchSnapshots(campaignId) {
+    const snapshots = await listDocuments('research_snapshots');
+    return snapshots
+      .filter(snapshot => snapshot.campaign_id === campaignId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Model usage from everything done with a campaign's personas after generation - chats, polls,
+   * surveys, focus groups, interviews, creative tests and consistency audits. Generation usage stays on each run.
+   */
+  async recordCampaignUsage(campaignId, usage) {
+    return await updateDocument('campaign_usage', campaignId, current => ({
+      campaign_id: campaignId,
+      usage: mergeUsage(current?.usage, usage),
+      updated_at: new Date().toISOString()
+    }));
+  }
+
+  async getCampaignUsage(campaignId) {
+    return (await readDocument('campaign_usage', campaignId))?.usage || null;
+  }
+
+  async savePoll(poll) {
+    return await writeDocument('polls', poll.id, poll);
+  }
+
+  async getPoll(id) {
+    return await readDocument('polls', id);
+  }
+
+  async listPolls({ campaign_id } = {}) {
+    const polls = await listDocuments('polls');
+    return polls
+      .filter(poll => !campaign_id || poll.campaign_id === campaign_id)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async saveCreativeTest(test) {
+    return await writeDocument('creative_tests', test.id, test);
+  }
+
+  async getCreativeTest(id) {
+    return await readDocument('creative_tests', id);
+  }
+
+  async listCreativeTests({ campaign_id, run_id } = {}) {
+    const tests = await listDocuments('creative_tests');
+    return tests
+      .filter(test => (!campaign_id || test.campaign_id === campaign_id) && (!run_id || test.run_id === run_id))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Active campaign with the same matter (case-insensitive), or a new one
+   */
+  async findOrCreateCampaign({ matter, keywords, target_description }) {
+    const normalized = normalizeName(matter);
+    const existing = (await this.listCampaigns()).find(campaign => normalizeName(campaign.matter) === normalized);
+    return existing || await this.createCampaign({ matter, keywords, target_description });
+  }
+
+  // ---- Runs ----
+
+  /**
+   * Create a run, or reopen it when a checkpointed session is resumed
+   */
+  async startRun(id, { campaign_id, mode, params }) {
+    return await updateDocument('runs', id, run => {
+      const now = new Date().toISOString();
+      if (run) {
+        return { ...run, status: 'running', params: { ...run.params, ...params }, updated_at: now };
+      }
+      return {
+        id,
+        campaign_id,
+        mode,
+        status: 'running',
+        params,
+        persona_ids: [],
+        exports: [],
+        created_at: now,
+        updated_at: now
+      };
+    });
+  }
+
+  async getRun(id) {
+    return await readDocument('runs', id);
+  }
+
+  async listRuns({ campaign_id } = {}) {
+    const runs = await listDocuments('runs');
+    return runs
+      .filter(run => !campaign_id || run.campaign_id === campaign_id)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async updateRun(id, changes) {
+    return await updateDocument('runs', id, run => {
+      if (!run) throw new Error(`Run not found: ${id}`);
+      return { ...run, ...changes, id, updated_at: new Date().toISOString() };
+    });
+  }
+
+  /**
+   * Record an export (e.g. a Google Sheet) produced from a run
+   */
+  async recordExport(runId, exportInfo) {
+    return await updateDocument('runs', runId, run => {
+      if (!run) throw new Error(`Run not found: ${runId}`);
+      return {
+        ...run,
+        exports: [...(run.exports || []), { ...exportInfo, exported_at: new Date().toISOString() }],
+        updated_at: new Date().toISOString()
+      };
+    });
+  }
+
+  // ---- Personas and versions ----
+
+  /**
+   * Save a persona version. Records are keyed by id, so saving the same kind of
+   * version from the same run again (a resumed run) replaces it instead of duplicating.
+   * kind: 'generated' | 'imported' | 'social_enrichment' | 'legal_enrichment' | ...
+   */
+  async savePersonaVersion(id, data, { campaign_id, run_id, kind }) {
+    const now = new Date().toISOString();
+
+    const history = await updateDocument('persona_versions', id, current => {
+      const versions = current?.versions || [];
+      const existing = versions.find(version => version.kind === kind && version.run_id === run_id);
+
+      if (existing) {
+        return {
+          persona_id: id,
+          versions: versions.map(version => version === existing ? { ...version, data, created_at: now } : version)
+        };
+      }
+
+      return {
+        persona_id: id,
+        versions: [...versions, { version: versions.length + 1, kind, run_id, data, created_at: now }]
+      };
+    });
+
+    const latest = history.versions[history.versions.length - 1];
+
+    const persona = await updateDocument('personas', id, current => ({
+      id,
+      campaign_id: current?.campaign_id || campaign_id,
+      run_id: current?.run_id || run_id,
+      name: latest.data.name,
+      source: current?.source || (kind === 'imported' ? 'julius_sheet' : 'generated'),
+      current_version: latest.version,
+      current_kind: latest.kind,
+      data: latest.data,
+      created_at: current?.created_at || now,
+      updated_at: now
+    }));
+
+    await this.indexPersonaName(persona);
+
+    if (run_id && await this.getRun(run_id)) {
+      await updateDocument('runs', run_id, run => run.persona_ids.includes(id)
+        ? run
+        : { ...run, persona_ids: [...run.persona_ids, id] });
+    }
+
+    return persona;
+  }
+
+  async getPersona(id) {
+    return await readDocument('personas', id);
+  }
+
+  async getPersonaVersions(id) {
+    const history = await readDocument('persona_versions', id);
+    return history?.versions || [];
+  }
+
+  async listPersonas({ campaign_id, run_id } = {}) {
+    if (run_id) {
+      const run = await this.getRun(run_id);
+      const personas = await Promise.all((run?.persona_ids || []).map(id => this.getPersona(id)));
+      return personas.filter(Boolean);
+    }
+
+    const personas = await listDocuments('personas');
+    return personas.filter(persona => !campaign_id || persona.campaign_id === campaign_id);
+  }
+
+  /**
+   * The persona set of a campaign's latest run that produced personas
+   */
+  async getLatestPersonaSet(campaignId) {
+    const runs = await this.listRuns({ campaign_id: campaignId });
+    const run = runs.find(candidate => candidate.status !== 'failed' && candidate.persona_ids.length > 0) ||
+      runs.find(candidate => candidate.persona_ids.length > 0);
+
+    return run ? { run_id: run.id, personas: await this.listPersonas({ run_id: run.id }) } : { run_id: null, personas: [] };
+  }
+
+  /**
+   * Personas to poll or survey: explicit persona ids, a run's personas, or the latest persona set of a campaign
+   */
+  async resolvePersonaSet({ campaign_id, run_id, persona_ids }) {
+    if (Array.isArray(persona_ids) && persona_ids.length > 0) {
+      const personas = (await Promise.all(persona_ids.map(id => this.getPersona(String(id)).catch(() => null)))).filter(Boolean);
+      return {
+        personas,
+        campaign_id: campaign_id || personas[0]?.campaign_id || null,
+        run_id: null,
+        description: `${persona_ids.length} selected personas`
+      };
+    }
+
+    if (run_id) {
+      const run = await this.getRun(run_id).catch(() => null);
+      return {
+        personas: await this.listPersonas({ run_id }),
+        campaign_id: run?.campaign_id || campaign_id || null,
+        run_id,
+        description: `run ${run_id}`
+      };
+    }
+
+    const latest = await this.getLatestPersonaSet(campaign_id);
+    return {
+      personas: latest.personas,
+      campaign_id,
+      run_id: latest.run_id,
+      description: `campaign ${campaign_id}, run ${latest.run_id}`
+    };
+  }
+
+  /**
+   * A persona by record id, or by its key within a run ("maria_garcia" in run X is record
+   * "X_maria_garcia"). A campaign or run reference must match the record.
+   */
+  async findPersona({ persona_id, campaign_id, run_id }) {
+    const id = String(persona_id || '').trim();
+    const validId = value => /^[A-Za-z0-9_-]+$/.test(value);
+    if (!id || (run_id && !validId(String(run_id)))) return null;
+
+    const run = run_id ? await this.getRun(String(run_id)) : null;
+    if (run_id && !run) return null;
+
+    const candidates = run ? [id, runPersonaId(run.id, id)] : [id];
+
+    for (const candidate of candidates.filter(validId)) {
+      const persona = await this.getPersona(candidate);
+      if (persona &&
+        (!campaign_id || persona.campaign_id === campaign_id) &&
+        (!run || run.persona_ids.includes(persona.id))) {
+        return persona;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Most recently updated persona with this name, optionally within one campaign
+   */
+  async getPersonaByName(name, { campaign_id } = {}) {
+    const index = await readDocument('indexes', 'persona_names');
+    const ids = index?.[normalizeName(name)] || [];
+
+    const personas = (await Promise.all(ids.map(id => this.getPersona(id))))
+      .filter(persona => persona && (!campaign_id || persona.campaign_id === campaign_id))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+
+    return personas[0] || null;
+  }
+
+  async indexPersonaName(persona) {
+    const key = normalizeName(persona.name);
+    if (!key) return;
+
+    await updateDocument('indexes', 'persona_names', index => {
+      const names = index || {};
+      const ids = names[key] || [];
+      return ids.includes(persona.id) ? names : { ...names, [key]: [...ids, persona.id] };
+    });
+  }
+}
+
+const BACKENDS = {
+  file: () => new FilePersonaStore()
+};
+
+let store = null;
+
+/**
+ * The configured persona store (PERSONA_STORE, default "file")
+ */
+export function getPersonaStore() {
+  if (!store) {
+    const backend = process.env.PERSONA_STORE || 'file';
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown persona store backend: ${backend}`);
+    }
+    store = BACKENDS[backend]();
+  }
+  return store;
+}
+
+/**
+ * Run fn with its model calls metered under scope ({ stage, persona }) and, once it settles -
+ * succeeded or failed - add them to the campaign's usage. Activity outside a campaign is only logged.
+ */
+export async function meterCampaignUsage(campaignId, scope, fn) {
+  const ledger = createUsageLedger();
+  try {
+    return await trackUsage(ledger, () => withUsageScope(scope, fn));
+  } finally {
+    if (ledger.calls.length > 0) {
+      const usage = summarizeUsage(ledger);
+      console.log(`💰 ${scope.stage}: ${usage.calls} model calls, $${usage.cost_usd.toFixed(4)}${campaignId ? ` for campaign ${campaignId}` : ' (no campaign)'}`);
+
+      if (campaignId) {
+        try {
+          await getPersonaStore().recordCampaignUsage(campaignId, usage);
+        } catch (error) {
+          console.error(`⚠️ Could not record ${scope.stage} usage for campaign ${campaignId}:`, error.message);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The campaign, run and persona ids of a persona set request that cannot be record ids.
+ * Routes check these before resolvePersonaSet, so a malformed id is a bad request rather than a storage error.
+ */
+export function invalidPersonaSetIds({ campaign_id, run_id, persona_ids }) {
+  return [campaign_id, run_id, ...(Array.isArray(persona_ids) ? persona_ids : [])]
+    .filter(id => id !== undefined && id !== null && id !== '' && !/^[A-Za-z0-9_-]+$/.test(String(id)))
+    .map(String);
+}
+
+/**
+ * Persona record id for a persona created by a run - stable across resumed runs
+ */
+export function runPersonaId(runId, key) {
+  return `${runId}_${key}`.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
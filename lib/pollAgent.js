@@ -0,0 +1,143 @@
+// lib/pollAgent.js - Poll Every Persona In Character with Structured Answers
+import { complete, requireProfile } from './llmClient.js';
+import { buildPersonaSystemPrompt } from './personaPrompt.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Personas answer in parallel batches - fast enough for ~20 twins without tripping rate limits
+const POLL_CONCURRENCY = 5;
+
+export const STANCES = ['yes', 'no', 'undecided'];
+export const LIKERT_LABELS = {
+  1: 'Very unlikely / strongly disagree',
+  2: 'Unlikely / disagree',
+  3: 'Neutral',
+  4: 'Likely / agree',
+  5: 'Very likely / strongly agree'
+};
+
+/**
+ * Ask every persona the question in character. onAnswer(answer, completed, total) is
+ * called as each persona answers; failed personas are reported with an error, not thrown.
+ */
+export async function pollPersonas(personas, question, { onAnswer } = {}) {
+  requireProfile('persona');
+
+  console.log(`📊 Polling ${personas.length} personas: ${question}`);
+
+  let completed = 0;
+
+  const answers = await mapWithConcurrency(personas, POLL_CONCURRENCY, async persona => {
+    let answer;
+    try {
+      answer = await askPersona(persona, question);
+    } catch (error) {
+      console.error(`❌ Poll failed for ${persona.name}:`, error.message);
+      answer = { persona_id: persona.persona_id || null, persona_name: persona.name, error: error.message };
+    }
+
+    completed++;
+    if (onAnswer) await onAnswer(answer, completed, personas.length);
+    return answer;
+  });
+
+  console.log(`✅ Poll complete: ${answers.filter(answer => !answer.error).length}/${personas.length} answered`);
+  return answers;
+}
+
+/**
+ * Ask one persona and normalize the structured answer
+ */
+async function askPersona(persona, question) {
+  const response = await complete('persona', {
+    max_tokens: 600,
+    temperature: 0.5,
+    system: buildPollSystemPrompt(persona),
+    messages: [{ role: 'user', content: buildPollQuestion(question) }]
+  });
+
+  return {
+    persona_id: persona.persona_id || null,
+    persona_name: persona.name,
+    ...parsePollResponse(response.text)
+  };
+}
+
+function buildPollSystemPrompt(persona) {
+  return buildPersonaSystemPrompt(persona, {
+    setting: 'a real person taking part in a survey. Answer every question as yourself, based on your background, concerns and communication style.',
+    instructions: 'Never break character or mention that you are an AI. Answer honestly - if this person would be skeptical, uninterested or unsure, say so.'
+  });
+}
+
+function buildPollQuestion(question) {
+  return `SURVEY QUESTION: ${question}
+
+Answer in your own voice, then rate your answer. Return ONLY JSON:
+{
+  "answer": "your answer in 1-3 sentences, in your own words",
+  "likert": 1-5 where 1 = ${LIKERT_LABELS[1].toLowerCase()} and 5 = ${LIKERT_LABELS[5].toLowerCase()},
+  "stance": "yes" | "no" | "undecided",
+  "key_reason": "the single most important reason behind your answer, under 15 words"
+}`;
+}
+
+/**
+ * Parse a persona's JSON answer; out-of-range ratings become null rather than guesses
+ */
+function parsePollResponse(responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in poll response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const likert = Math.round(Number(parsed.likert));
+  const stance = String(parsed.stance || '').trim().toLowerCase();
+
+  return {
+    answer: String(parsed.answer || '').trim(),
+    likert: likert >= 1 && likert <= 5 ? likert : null,
+    stance: STANCES.includes(stance) ? stance : 'undecided',
+    key_reason: String(parsed.key_reason || '').trim()
+  };
+}
+
+/**
+ * Aggregate answers: stance and Likert distributions, average score and reasons by stance
+ */
+export function aggregatePollAnswers(answers) {
+  const answered = answers.filter(answer => !answer.error);
+  const rated = answered.filter(answer => answer.likert !== null);
+  const percent = count => answered.length ? Math.round((count / answered.length) * 1000) / 10 : 0;
+
+  const stances = Object.fromEntries(STANCES.map(stance => {
+    const count = answered.filter(answer => answer.stance === stance).length;
+    return [stance, { count, percent: percent(count) }];
+  }));
+
+  const likertDistribution = Object.fromEntries(Object.keys(LIKERT_LABELS).map(score => {
+    const count = rated.filter(answer => answer.likert === Number(score)).length;
+    return [score, { count, percent: rated.length ? Math.round((count / rated.length) * 1000) / 10 : 0 }];
+  }));
+
+  const reasonsByStance = Object.fromEntries(STANCES.map(stance => [
+    stance,
+    answered
+      .filter(answer => answer.stance === stance && answer.key_reason)
+      .map(answer => ({ persona_name: answer.persona_name, reason: answer.key_reason }))
+  ]));
+
+  return {
+    total: answers.length,
+    answered: answered.length,
+    failed: answers.length - answered.length,
+    stances,
+    likert: {
+      average: rated.length ? Math.round((rated.reduce((sum, answer) => sum + answer.likert, 0) / rated.length) * 100) / 100 : null,
+      distribution: likertDistribution,
+      // Share answering 4 or 5
+      top_two_box: rated.length ? Math.round((rated.filter(answer => answer.likert >= 4).length / rated.length) * 1000) / 10 : 0
+    },
+    reasons_by_stance: reasonsByStance
+  };
+}
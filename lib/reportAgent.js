@@ -1,4 +1,30 @@
 // lib/reportAgent.js - Vercel Serverless Compatible
+import { AGE_BANDS, INCOME_BANDS, bandFor, normalizeGender } from './audienceDataAgent.js';
+
+// Demographic dimensions poll results are broken down by
+const CROSSTAB_DIMENSIONS = {
+  age_band: persona => persona.age ? bandFor(Number(persona.age), AGE_BANDS) : null,
+  gender: persona => normalizeGender(persona.gender),
+  location: persona => locationSegment(persona.location),
+  income: persona => incomeSegment(persona.income),
+  occupation: persona => normalizeSegment(persona.occupation)
+};
+
+// Long-tail segments (e.g. dozens of occupations) are folded into "Other"
+const MAX_SEGMENTS = 8;
+
+// Two-sided sign test below this p-value counts as a clear head-to-head win
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Creative fields treated as swappable elements when finding what drives a preference
+const CREATIVE_ELEMENTS = ['headline', 'body', 'image_description'];
+
+const THEME_STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'would', 'could', 'should', 'about', 'from', 'have', 'has',
+  'not', 'but', 'are', 'was', 'were', 'been', 'they', 'them', 'their', 'there', 'what', 'when', 'want',
+  'just', 'really', 'very', 'more', 'much', 'than', 'because', 'into', 'over', 'any', 'some', 'too',
+  'can', 'will', 'dont', 'doesnt', 'wont', 'cant', 'its', 'you', 'your', 'our', 'out', 'get', 'make', 'feel'
+]);
 
 /**
  * Generate comprehensive report
@@ -38,7 +64,7 @@ export async function generateReport(data) {
  * Generate summary statistics
  */
 function generateSummary(data) {
-  const { personas, campaign_data, research_data } = data;
+  const { personas, campaign_data, research_data, usage } = data;
 
   return {
     report_id: `summary_${Date.now()}`,
@@ -58,10 +84,459 @@ function generateSummary(data) {
       research_available: !!research_data,
       source_count: countDataSources(research_data)
     },
+    usage: usage ? summarizeUsageForReport(usage, personas.length) : null,
     generation_timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Break poll answers down by age band, gender, location, income and occupation.
+ * personas and answers are matched by persona_id (falling back to name).
+ */
+export function generatePollCrosstabs(personas, answers) {
+  const personaFor = answer => personas.find(persona =>
+    (answer.persona_id && persona.persona_id === answer.persona_id) || persona.name === answer.persona_name);
+
+  const responses = answers
+    .filter(answer => !answer.error)
+    .map(answer => ({ answer, persona: personaFor(answer) || {} }));
+
+  const dimensions = Object.fromEntries(Object.entries(segmentByDimension(responses, response => response.persona))
+    .map(([dimension, segments]) => [dimension, Object.fromEntries(Object.entries(segments).map(([segment, segmentResponses]) =>
+      [segment, summarizePollSegment(segmentResponses.map(response => response.answer))]))]));
+
+  return {
+    respondents: responses.length,
+    overall: summarizePollSegment(responses.map(response => response.answer)),
+    dimensions
+  };
+}
+
+/**
+ * Group items by each crosstab dimension of their persona, largest segments first
+ */
+function segmentByDimension(items, personaOf) {
+  return Object.fromEntries(Object.entries(CROSSTAB_DIMENSIONS).map(([dimension, segmentOf]) => {
+    const groups = {};
+    items.forEach(item => {
+      const segment = segmentOf(personaOf(item)) || 'Unknown';
+      (groups[segment] = groups[segment] || []).push(item);
+    });
+    return [dimension, foldSegments(groups)];
+  }));
+}
+
+function foldSegments(groups) {
+  const ranked = Object.entries(groups).sort(([, a], [, b]) => b.length - a.length);
+  const kept = ranked.filter(([segment]) => segment !== 'Unknown').slice(0, MAX_SEGMENTS);
+  const folded = ranked.filter(([segment]) => segment !== 'Unknown' && !kept.some(([label]) => label === segment));
+
+  const segments = Object.fromEntries(kept);
+  if (folded.length) segments.Other = folded.flatMap(([, items]) => items);
+  if (groups.Unknown) segments.Unknown = groups.Unknown;
+  return segments;
+}
+
+/**
+ * Distributions, mean score, top themes and representative quotes for one segment
+ */
+function summarizePollSegment(answers) {
+  const total = answers.length;
+  const percent = count => total ? Math.round((count / total) * 1000) / 10 : 0;
+  const rated = answers.filter(answer => answer.likert !== null && answer.likert !== undefined);
+  const mean = rated.length ? rated.reduce((sum, answer) => sum + answer.likert, 0) / rated.length : null;
+
+  const stanceCounts = {};
+  const likertCounts = {};
+  answers.forEach(answer => {
+    stanceCounts[answer.stance] = (stanceCounts[answer.stance] || 0) + 1;
+    if (answer.likert) likertCounts[answer.likert] = (likertCounts[answer.likert] || 0) + 1;
+  });
+
+  return {
+    n: total,
+    stances: Object.fromEntries(Object.entries(stanceCounts).map(([stance, count]) => [stance, { count, percent: percent(count) }])),
+    likert: {
+      mean: mean === null ? null : Math.round(mean * 100) / 100,
+      distribution: Object.fromEntries(Object.entries(likertCounts).map(([score, count]) =>
+        [score, { count, percent: rated.length ? Math.round((count / rated.length) * 1000) / 10 : 0 }]))
+    },
+    top_themes: getTopThemes(answers.map(answer => answer.key_reason).filter(Boolean)),
+    representative_quotes: getRepresentativeQuotes(answers, mean)
+  };
+}
+
+/**
+ * Cluster free-text reasons by their most widely shared keyword
+ */
+function getTopThemes(reasons) {
+  const reasonTerms = reasons.map(reason => ({ reason, terms: themeTerms(reason) }));
+
+  const termCounts = {};
+  reasonTerms.forEach(({ terms }) => {
+    terms.forEach(term => {
+      termCounts[term] = (termCounts[term] || 0) + 1;
+    });
+  });
+
+  const clusters = {};
+  reasonTerms.filter(({ terms }) => terms.length).forEach(({ reason, terms }) => {
+    const theme = terms.reduce((best, term) => termCounts[term] > termCounts[best] ? term : best);
+    const cluster = clusters[theme] || (clusters[theme] = { theme, count: 0, examples: [] });
+    cluster.count++;
+    if (cluster.examples.length < 2) cluster.examples.push(reason);
+  });
+
+  return Object.values(clusters)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5);
+}
+
+/**
+ * Answers whose score sits closest to the segment mean, one per stance where possible
+ */
+function getRepresentativeQuotes(answers, mean) {
+  const distance = answer => mean === null || !answer.likert ? Infinity : Math.abs(answer.likert - mean);
+  const ranked = answers.filter(answer => answer.answer).sort((a, b) => distance(a) - distance(b));
+
+  const quotes = [];
+  ranked.forEach(answer => {
+    if (quotes.length < 3 && !quotes.some(quote => quote.stance === answer.stance)) quotes.push(answer);
+  });
+
+  return quotes.map(answer => ({
+    persona_name: answer.persona_name,
+    stance: answer.stance,
+    likert: answer.likert,
+    quote: answer.answer
+  }));
+}
+
+/**
+ * Head-to-head comparison report for a creative test: every pair of creatives compared on
+ * the personas who ranked both, which segments prefer which creative, which headline/body/image
+ * elements move scores, and a winner with the evidence behind it.
+ */
+export function generateCreativeComparison(creativeTest, personas = []) {
+  const { creatives, summary } = creativeTest;
+  const results = creativeTest.results.filter(result => !result.error && result.ranking.length);
+  const personaFor = result => personas.find(persona =>
+    (result.persona_id && persona.persona_id === result.persona_id) || persona.name === result.persona_name) || {};
+
+  const headToHead = [];
+  creatives.forEach((a, i) => creatives.slice(i + 1).forEach(b => headToHead.push(compareCreatives(a, b, results))));
+
+  const leaderboard = summary.creatives.map(item => {
+    const matchups = headToHead.filter(matchup => matchup.a === item.creative_id || matchup.b === item.creative_id);
+    const record = { wins: 0, losses: 0, ties: 0 };
+    matchups.forEach(matchup => {
+      if (!matchup.winner) record.ties++;
+      else if (matchup.winner === item.creative_id) record.wins++;
+      else record.losses++;
+    });
+    return { ...item, head_to_head: record };
+  });
+
+  const segments = Object.fromEntries(Object.entries(segmentByDimension(results, personaFor))
+    .map(([dimension, groups]) => [dimension, Object.fromEntries(Object.entries(groups).map(([segment, segmentResults]) =>
+      [segment, summarizeCreativeSegment(creatives, segmentResults)]))]));
+
+  return {
+    test_id: creativeTest.id,
+    campaign_id: creativeTest.campaign_id,
+    respondents: results.length,
+    creatives: creatives.map(({ id, headline, body, image_description }) => ({ id, headline, body, image_description })),
+    winner: pickWinner(creatives, leaderboard, headToHead, results.length),
+    leaderboard,
+    head_to_head: headToHead,
+    segments,
+    element_drivers: getElementDrivers(creatives, leaderboard, headToHead),
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Personas who ranked both creatives vote for whichever they ranked higher
+ */
+function compareCreatives(a, b, results) {
+  let aPreferred = 0;
+  let bPreferred = 0;
+  const scoreDifferences = [];
+
+  results.forEach(result => {
+    const aRank = result.ranking.indexOf(a.id);
+    const bRank = result.ranking.indexOf(b.id);
+    if (aRank === -1 || bRank === -1) return;
+    if (aRank < bRank) aPreferred++;
+    else bPreferred++;
+
+    const aScore = result.ratings.find(rating => rating.creative_id === a.id)?.overall;
+    const bScore = result.ratings.find(rating => rating.creative_id === b.id)?.overall;
+    if (typeof aScore === 'number' && typeof bScore === 'number') scoreDifferences.push(aScore - bScore);
+  });
+
+  const compared = aPreferred + bPreferred;
+  const pValue = signTestPValue(aPreferred, compared);
+
+  return {
+    a: a.id,
+    b: b.id,
+    compared,
+    a_preferred: aPreferred,
+    b_preferred: bPreferred,
+    a_share: compared ? Math.round((aPreferred / compared) * 1000) / 10 : null,
+    mean_score_difference: scoreDifferences.length
+      ? Math.round((scoreDifferences.reduce((sum, difference) => sum + difference, 0) / scoreDifferences.length) * 100) / 100
+      : null,
+    winner: aPreferred === bPreferred ? null : aPreferred > bPreferred ? a.id : b.id,
+    p_value: pValue,
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+// Exact two-sided binomial sign test against a 50/50 split
+function signTestPValue(successes, trials) {
+  if (!trials) return null;
+
+  const tail = Math.min(successes, trials - successes);
+  let probability = 0;
+  let combinations = 1;
+  for (let k = 0; k <= tail; k++) {
+    if (k > 0) combinations = combinations * (trials - k + 1) / k;
+    probability += combinations / Math.pow(2, trials);
+  }
+
+  return Math.min(1, Math.round(2 * probability * 10000) / 10000);
+}
+
+/**
+ * The creative that beats every other head-to-head wins outright; without one the best
+ * average rank wins and the report says the result is contested. A single creative has
+ * nothing to beat, so there is no winner.
+ */
+function pickWinner(creatives, leaderboard, headToHead, respondents) {
+  if (!respondents || creatives.length < 2) return null;
+
+  const headlineOf = id => creatives.find(creative => creative.id === id)?.headline || id;
+  const beatsAll = leaderboard.find(item => item.head_to_head.wins === creatives.length - 1);
+
+  if (beatsAll) {
+    const matchups = headToHead.filter(matchup => matchup.winner === beatsAll.creative_id);
+    const significant = matchups.every(matchup => matchup.significant);
+    const closest = matchups.reduce((worst, matchup) => (matchup.p_value ?? 1) > (worst.p_value ?? 1) ? matchup : worst, matchups[0]);
+    const closestShare = closest.a === beatsAll.creative_id ? closest.a_share : 100 - closest.a_share;
+
+    return {
+      creative_id: beatsAll.creative_id,
+      headline: beatsAll.headline,
+      basis: 'head_to_head',
+      confidence: significant ? 'clear' : 'directional',
+      rationale: `"${headlineOf(beatsAll.creative_id)}" was preferred over every other creative head-to-head. ` +
+        `Its closest matchup was against "${headlineOf(closest.a === beatsAll.creative_id ? closest.b : closest.a)}" ` +
+        `(${closestShare}% of ${closest.compared} personas, p=${closest.p_value})` +
+        (significant ? '.' : ` - a directional lead; more personas are needed for significance at p<${SIGNIFICANCE_LEVEL}.`)
+    };
+  }
+
+  const top = leaderboard[0];
+  return {
+    creative_id: top.creative_id,
+    headline: top.headline,
+    basis: 'average_rank',
+    confidence: 'contested',
+    rationale: `No creative beat every other head-to-head. "${headlineOf(top.creative_id)}" has the best average rank ` +
+      `(${top.average_rank}) and was first choice for ${top.first_choice.percent}% of personas.`
+  };
+}
+
+/**
+ * Preferred creative within one segment: most first choices, then best average rank
+ */
+function summarizeCreativeSegment(creatives, results) {
+  const standings = creatives.map(creative => {
+    const ranks = results.map(result => result.ranking.indexOf(creative.id) + 1).filter(rank => rank > 0);
+    return {
+      creative_id: creative.id,
+      first_choice: results.filter(result => result.ranking[0] === creative.id).length,
+      average_rank: ranks.length ? Math.round((ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length) * 100) / 100 : null
+    };
+  }).sort((a, b) => (b.first_choice - a.first_choice) || ((a.average_rank ?? Infinity) - (b.average_rank ?? Infinity)));
+
+  return {
+    n: results.length,
+    preferred: standings[0]?.first_choice ? standings[0].creative_id : null,
+    standings
+  };
+}
+
+/**
+ * Score lift for each headline, body and image variant against the other variants of the
+ * same element. A lift is isolated when two creatives differ only in that element, so the
+ * head-to-head between them measures the element alone; otherwise it may be confounded.
+ */
+function getElementDrivers(creatives, leaderboard, headToHead) {
+  const overallOf = id => leaderboard.find(item => item.creative_id === id)?.averages.overall ?? null;
+  const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  const drivers = {};
+
+  CREATIVE_ELEMENTS.forEach(element => {
+    const variants = [...new Set(creatives.map(creative => creative[element]).filter(Boolean))];
+    if (variants.length < 2) return;
+
+    const isolated = headToHead.filter(matchup => {
+      const a = creatives.find(creative => creative.id === matchup.a);
+      const b = creatives.find(creative => creative.id === matchup.b);
+      return a[element] !== b[element] &&
+        CREATIVE_ELEMENTS.filter(other => other !== element).every(other => a[other] === b[other]);
+    });
+
+    drivers[element] = {
+      isolated: isolated.length > 0,
+      variants: variants.map(value => {
+        const withValue = creatives.filter(creative => creative[element] === value).map(creative => overallOf(creative.id)).filter(score => score !== null);
+        const without = creatives.filter(creative => creative[element] && creative[element] !== value).map(creative => overallOf(creative.id)).filter(score => score !== null);
+        const withAverage = average(withValue);
+        const withoutAverage = average(without);
+
+        return {
+          value,
+          creatives: creatives.filter(creative => creative[element] === value).map(creative => creative.id),
+          average_overall: withAverage === null ? null : Math.round(withAverage * 100) / 100,
+          lift: withAverage === null || withoutAverage === null ? null : Math.round((withAverage - withoutAverage) * 100) / 100
+        };
+      }).sort((a, b) => (b.lift ?? -Infinity) - (a.lift ?? -Infinity)),
+      isolated_matchups: isolated
+    };
+  });
+
+  return drivers;
+}
+
+/**
+ * Standalone HTML version of a creative comparison report for sharing with the media team
+ */
+export function generateComparisonHTML(report, { title = 'Creative Comparison Report' } = {}) {
+  const headlineOf = id => report.creatives.find(creative => creative.id === id)?.headline || id;
+  const cell = value => `<td>${escapeHtml(value ?? '-')}</td>`;
+
+  const leaderboardRows = report.leaderboard.map(item => `<tr>${[
+    item.rank,
+    headlineOf(item.creative_id),
+    item.averages.appeal,
+    item.averages.clarity,
+    item.averages.trust,
+    item.averages.likelihood_to_respond,
+    item.averages.overall,
+    `${item.first_choice.percent}%`,
+    item.average_rank,
+    `${item.head_to_head.wins}-${item.head_to_head.losses}-${item.head_to_head.ties}`
+  ].map(cell).join('')}</tr>`).join('');
+
+  const matchupRows = report.head_to_head.map(matchup => `<tr>${[
+    `${headlineOf(matchup.a)} vs ${headlineOf(matchup.b)}`,
+    matchup.compared,
+    matchup.a_share === null ? null : `${matchup.a_share}% / ${Math.round((100 - matchup.a_share) * 10) / 10}%`,
+    matchup.mean_score_difference,
+    matchup.winner ? headlineOf(matchup.winner) : 'Tie',
+    matchup.p_value,
+    matchup.significant ? 'Yes' : 'No'
+  ].map(cell).join('')}</tr>`).join('');
+
+  const segmentRows = Object.entries(report.segments).flatMap(([dimension, segments]) =>
+    Object.entries(segments).map(([segment, result]) => `<tr>${[
+      dimension.replace(/_/g, ' '),
+      segment,
+      result.n,
+      result.preferred ? headlineOf(result.preferred) : '-'
+    ].map(cell).join('')}</tr>`)).join('');
+
+  const driverSections = Object.entries(report.element_drivers).map(([element, driver]) => `
+    <h3>${escapeHtml(element.replace(/_/g, ' '))}${driver.isolated ? '' : ' <small>(varies with other elements - lift may be confounded)</small>'}</h3>
+    <table><tr><th>Variant</th><th>Avg overall</th><th>Lift</th></tr>
+    ${driver.variants.map(variant => `<tr>${[variant.value, variant.average_overall, variant.lift].map(cell).join('')}</tr>`).join('')}
+    </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; border-radius: 8px; }
+        .summary { background: #f8fafc; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
+        th, td { border-bottom: 1px solid #e2e8f0; padding: 8px; text-align: left; }
+        th { background: #f8fafc; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${report.creatives.length} creatives, ${report.respondents} personas | Generated: ${new Date(report.generated_at).toLocaleString()}</p>
+    </div>
+
+    <div class="summary">
+        <h2>Winner${report.winner ? `: ${escapeHtml(headlineOf(report.winner.creative_id))} (${escapeHtml(report.winner.confidence)})` : ''}</h2>
+        <p>${escapeHtml(report.winner?.rationale || (report.creatives.length < 2 ? 'Only one creative was tested, so there is nothing to compare it against.' : 'No persona ranked the creatives.'))}</p>
+    </div>
+
+    <h2>Leaderboard</h2>
+    <table><tr><th>Rank</th><th>Creative</th><th>Appeal</th><th>Clarity</th><th>Trust</th><th>Would respond</th><th>Overall</th><th>First choice</th><th>Avg rank</th><th>W-L-T</th></tr>${leaderboardRows}</table>
+
+    <h2>Head-to-Head</h2>
+    <table><tr><th>Matchup</th><th>Personas</th><th>Preferred (A / B)</th><th>Score difference</th><th>Winner</th><th>p-value</th><th>Significant</th></tr>${matchupRows}</table>
+
+    <h2>Segment Preferences</h2>
+    <table><tr><th>Dimension</th><th>Segment</th><th>n</th><th>Preferred creative</th></tr>${segmentRows}</table>
+
+    <h2>Element Drivers</h2>
+    ${driverSections || '<p>No headline, body or image varies across the creatives.</p>'}
+
+    <hr>
+    <p><small>Creative test: ${escapeHtml(report.test_id)}</small></p>
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function themeTerms(text) {
+  const words = String(text).toLowerCase().replace(/'s\b/g, '').replace(/'/g, '').match(/[a-z]+/g) || [];
+  return [...new Set(words
+    .map(word => word.replace(/(?<=[a-z]{3})s$/, ''))
+    .filter(word => word.length >= 3 && !THEME_STOPWORDS.has(word)))];
+}
+
+function normalizeSegment(value) {
+  const text = String(value || '').trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+// "Austin, Texas" and "Texas, USA" both segment as Texas
+function locationSegment(location) {
+  const parts = String(location || '').split(',').map(part => part.trim())
+    .filter(part => part && !/^(usa|us|u\.s\.a?\.?|united states)$/i.test(part));
+  return parts.length ? parts[parts.length - 1] : null;
+}
+
+// Income as a number, a "75k" shorthand or a "$50K-$75K" range (midpoint)
+function incomeSegment(income) {
+  if (typeof income === 'number') return bandFor(income, INCOME_BANDS);
+
+  const amounts = (String(income || '').replace(/,/g, '').match(/\d+(\.\d+)?\s*k?/gi) || [])
+    .map(amount => parseFloat(amount) * (/k/i.test(amount) ? 1000 : 1));
+  if (!amounts.length) return null;
+
+  return bandFor(amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length, INCOME_BANDS);
+}
+
 /**
  * Generate HTML summary for email
  */
@@ -70,6 +545,8 @@ function generateHTMLSummary(data, reportId) {
     personas,
     campaign_data,
     research_data,
+    usage,
+    sheets_url,
     timestamp
   } = data;
 
@@ -77,18 +554,20 @@ function generateHTMLSummary(data, reportId) {
 <!DOCTYPE html>
 <html>
 <head>
-    <title>Persona Generation Report - ${campaign_data.matter}</title>
+    <title>Persona Generation Report - ${escapeHtml(campaign_data.matter)}</title>
     <style>
         body { font-family: Arial, sans-serif; margin: 20px; }
         .header { background: #2563eb; color: white; padding: 20px; border-radius: 8px; }
         .summary { background: #f8fafc; padding: 20px; margin: 20px 0; border-radius: 8px; }
         .persona { background: #ecfdf5; padding: 15px; margin: 10px 0; border-radius: 6px; }
         .metric { display: inline-block; background: #10b981; color: white; padding: 5px 10px; border-radius: 15px; margin: 5px; }
+        .summary table { border-collapse: collapse; margin-top: 10px; }
+        .summary th, .summary td { border: 1px solid #e2e8f0; padding: 4px 10px; text-align: left; }
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>${campaign_data.matter} - Digital Twin Analysis</h1>
+        <h1>${escapeHtml(campaign_data.matter)} - Digital Twin Analysis</h1>
         <p>Generated: ${new Date(timestamp).toLocaleString()}</p>
     </div>
 
@@ -98,19 +577,19 @@ function generateHTMLSummary(data, reportId) {
         <span class="metric">${calculateAverageConfidence(personas)}% Avg Confidence</span>
         <span class="metric">${countDataSources(research_data)} Data Sources</span>
     </div>
-
+${usage ? generateUsageHTML(usage) : ''}
     <h2>📋 Campaign Details</h2>
-    <p><strong>Case Type:</strong> ${campaign_data.matter}</p>
-    <p><strong>Target Audience:</strong> ${campaign_data.target_description}</p>
-    <p><strong>Keywords:</strong> ${campaign_data.keywords}</p>
+    <p><strong>Case Type:</strong> ${escapeHtml(campaign_data.matter)}</p>
+    <p><strong>Target Audience:</strong> ${escapeHtml(campaign_data.target_description)}</p>
+    <p><strong>Keywords:</strong> ${escapeHtml(campaign_data.keywords)}</p>
 
     <h2>👥 Generated Personas</h2>
     ${personas.slice(0, 5).map(persona => `
         <div class="persona">
-            <h3>${persona.name}</h3>
-            <p><strong>Age:</strong> ${persona.age} | <strong>Confidence:</strong> ${persona.confidence_score || 0}%</p>
-            <p><strong>Background:</strong> ${persona.bio}</p>
-            <p><strong>Communication Style:</strong> ${persona.communication_style}</p>
+            <h3>${escapeHtml(persona.name)}</h3>
+            <p><strong>Age:</strong> ${escapeHtml(persona.age)} | <strong>Confidence:</strong> ${persona.confidence_score || 0}%</p>
+            <p><strong>Background:</strong> ${escapeHtml(persona.bio)}</p>
+            <p><strong>Communication Style:</strong> ${escapeHtml(persona.communication_style)}</p>
         </div>
     `).join('')}
 
@@ -118,7 +597,7 @@ function generateHTMLSummary(data, reportId) {
 
     <div class="summary">
         <h3>🔗 Access Your Personas</h3>
-        <p><strong>Google Sheets:</strong> <a href="${sheetsUrl}">View All Personas</a></p>
+        ${sheets_url ? `<p><strong>Google Sheets:</strong> <a href="${escapeHtml(sheets_url)}">View All Personas</a></p>` : ''}
         <p><strong>Chat Interface:</strong> Available at your persona platform</p>
     </div>
 
@@ -128,6 +607,39 @@ function generateHTMLSummary(data, reportId) {
 </html>`;
 }
 
+/**
+ * Totals and the per-stage cost breakdown; per-persona figures stay in the run's usage record
+ */
+function summarizeUsageForReport(usage, personaCount) {
+  return {
+    calls: usage.calls,
+    input_tokens: usage.input_tokens,
+    output_tokens: usage.output_tokens,
+    cost_usd: usage.cost_usd,
+    cost_per_persona: personaCount ? Math.round((usage.cost_usd / personaCount) * 10000) / 10000 : null,
+    by_stage: usage.by_stage,
+    unpriced_models: usage.unpriced_models
+  };
+}
+
+function generateUsageHTML(usage) {
+  const rows = Object.entries(usage.by_stage).map(([stage, totals]) => `
+            <tr><td>${escapeHtml(stage.replace(/_/g, ' '))}</td><td>${totals.calls}</td><td>${totals.input_tokens.toLocaleString()}</td><td>${totals.output_tokens.toLocaleString()}</td><td>$${totals.cost_usd.toFixed(4)}</td></tr>`).join('');
+
+  return `
+    <div class="summary">
+        <h2>💰 Model Usage</h2>
+        <span class="metric">${usage.calls} Model Calls</span>
+        <span class="metric">${(usage.input_tokens + usage.output_tokens).toLocaleString()} Tokens</span>
+        <span class="metric">$${usage.cost_usd.toFixed(2)} Estimated Cost</span>
+        <table>
+            <tr><th>Stage</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Cost</th></tr>${rows}
+        </table>
+        ${usage.unpriced_models.length ? `<p><em>No price configured for ${escapeHtml(usage.unpriced_models.join(', '))} - those calls are not in the cost.</em></p>` : ''}
+    </div>
+`;
+}
+
 /**
  * Helper functions
  */
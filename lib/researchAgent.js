@@ -1,24 +1,37 @@
 // lib/researchAgent.js - Vercel Serverless Compatible
-import axios from 'axios';
+import { complete, isProfileConfigured } from './llmClient.js';
 
 /**
  * Conduct comprehensive research using Perplexity API
  */
-export async function conductResearch(caseType, keywords, targetDescription) {
-  if (!process.env.PERPLEXITY_API_KEY) {
-    console.warn('Perplexity API key not configured, skipping research');
+export async function conductResearch(caseType, keywords, targetDescription, { onProgress, cached = {} } = {}) {
+  if (!isProfileConfigured('research')) {
+    console.warn('Research model not configured, skipping research');
     return { error: 'Research API not configured' };
   }
 
   try {
     console.log(`Starting research for case type: ${caseType}`);
 
-    const research = await Promise.all([
-      researchDemographics(caseType, targetDescription),
-      researchSocialInsights(keywords),
-      researchLegalTrends(caseType),
-      researchConsumerBehavior(caseType, keywords)
-    ]);
+    const categories = [
+      ['demographics', () => researchDemographics(caseType, targetDescription)],
+      ['social_insights', () => researchSocialInsights(keywords)],
+      ['legal_trends', () => researchLegalTrends(caseType)],
+      ['consumer_behavior', () => researchConsumerBehavior(caseType, keywords)]
+    ];
+
+    // Report each category as it lands so callers can stream progress and checkpoint results;
+    // categories already in `cached` (from an earlier run) are not requested again
+    let completed = 0;
+    const research = await Promise.all(categories.map(async ([category, request]) => {
+      const fromCache = !!cached[category];
+      const result = fromCache ? cached[category] : await request();
+      completed++;
+      if (onProgress) {
+        await onProgress({ category, completed, total: categories.length, failed: !!result?.error, cached: fromCache, result });
+      }
+      return result;
+    }));
 
     const combinedResearch = {
       demographics: research[0],
@@ -164,13 +177,9 @@ Only include research from credible consumer behavior studies and surveys.`;
  */
 async function makePerplexityRequest(prompt, requestType) {
   try {
-    const response = await axios.post('https://api.perplexity.ai/chat/completions', {
-      model: 'sonar-pro',
+    const response = await complete('research', {
+      system: 'You are a research analyst providing factual, cited information for legal marketing strategy. Only provide information that can be verified from authoritative sources. Include proper citations and source URLs.',
       messages: [
-        {
-          role: 'system',
-          content: 'You are a research analyst providing factual, cited information for legal marketing strategy. Only provide information that can be verified from authoritative sources. Include proper citations and source URLs.'
-        },
         {
           role: 'user',
           content: prompt
@@ -178,15 +187,9 @@ async function makePerplexityRequest(prompt, requestType) {
       ],
       temperature: 0.3,
       max_tokens: 2000
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
     });
 
-    const content = response.data.choices[0]?.message?.content;
+    const content = response.text;
     
     if (!content) {
       throw new Error('Empty response from Perplexity API');
@@ -211,9 +214,9 @@ async function makePerplexityRequest(prompt, requestType) {
   } catch (error) {
     console.error(`Perplexity API request failed for ${requestType}:`, error);
     
-    if (error.response) {
-      throw new Error(`Perplexity API error: ${error.response.status} - ${error.response.data?.error || 'Unknown error'}`);
-    } else if (error.request) {
+    if (error.status) {
+      throw new Error(`Perplexity API error: ${error.status} - ${error.error?.message || error.message || 'Unknown error'}`);
+    } else if (/connection|timed? ?out/i.test(error.name || '') || /timed? ?out/i.test(error.message || '')) {
       throw new Error('Perplexity API request timeout or network error');
     } else {
       throw new Error(`Research request failed: ${error.message}`);
@@ -0,0 +1,251 @@
+// lib/retrievalIndex.js - Chunking and Local Retrieval for Prompt Source Context
+import OpenAI from 'openai';
+
+const DEFAULT_CHUNK_CHARS = 1200;
+const DEFAULT_OVERLAP_CHARS = 200;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'as', 'is', 'are',
+  'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'from', 'but', 'not', 'no',
+  'have', 'has', 'had', 'their', 'they', 'them', 'who', 'which', 'what', 'will', 'would', 'can', 'may',
+  'into', 'than', 'then', 'there', 'such', 'any', 'all', 'our', 'your', 'you', 'we', 'he', 'she', 'his', 'her'
+]);
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Split text into overlapping chunks that carry their source id and character offset
+ */
+export function chunkText(text, { sourceId, chunkSize = DEFAULT_CHUNK_CHARS, overlap = DEFAULT_OVERLAP_CHARS } = {}) {
+  const chunks = [];
+  if (!text) return chunks;
+
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+
+    // Prefer to break on a paragraph, then a sentence, then a word boundary
+    if (end < text.length) {
+      const window = text.substring(start, end);
+      const breakAt = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('. '),
+        window.lastIndexOf('\n')
+      );
+      if (breakAt > chunkSize * 0.5) {
+        end = start + breakAt + 1;
+      } else {
+        const space = window.lastIndexOf(' ');
+        if (space > chunkSize * 0.5) end = start + space;
+      }
+    }
+
+    chunks.push({
+      id: `${sourceId}#${chunks.length + 1}`,
+      source_id: sourceId,
+      offset: start,
+      length: end - start,
+      text: text.substring(start, end).trim()
+    });
+
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Lower-case word tokens with stop words removed and a light plural stem
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Okapi BM25 index over chunks, held in memory
+ */
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  add(chunks) {
+    for (const chunk of chunks) {
+      const tokens = tokenize(chunk.text);
+      const termFrequency = new Map();
+      tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+      termFrequency.forEach((_, token) => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+
+      this.documents.push({ chunk, termFrequency, length: tokens.length });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  search(query, limit = 10) {
+    const queryTokens = [...new Set(tokenize(query))];
+    const count = this.documents.length;
+    if (!count || !queryTokens.length) return [];
+
+    const averageLength = this.totalLength / count || 1;
+
+    return this.documents
+      .map(({ chunk, termFrequency, length }) => {
+        let score = 0;
+        for (const token of queryTokens) {
+          const frequency = termFrequency.get(token);
+          if (!frequency) continue;
+
+          const documentFrequency = this.documentFrequency.get(token);
+          const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          score += idf * (frequency * (this.k1 + 1)) /
+            (frequency + this.k1 * (1 - this.b + this.b * (length / averageLength)));
+        }
+        return { chunk, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Dense retrieval over an in-memory vector store with a pluggable embedding function
+ * embed: async (texts: string[]) => number[][]
+ */
+export class EmbeddingIndex {
+  constructor({ embed }) {
+    if (typeof embed !== 'function') {
+      throw new Error('EmbeddingIndex requires an embed function');
+    }
+    this.embed = embed;
+    this.entries = [];
+  }
+
+  async add(chunks) {
+    if (!chunks.length) return;
+    const vectors = await this.embed(chunks.map(chunk => chunk.text));
+    chunks.forEach((chunk, i) => this.entries.push({ chunk, vector: vectors[i] }));
+  }
+
+  async search(query, limit = 10) {
+    if (!this.entries.length) return [];
+    const [queryVector] = await this.embed([query]);
+
+    return this.entries
+      .map(({ chunk, vector }) => ({ chunk, score: cosineSimilarity(queryVector, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Build an index over chunks - embeddings when an embed function is supplied, BM25 otherwise
+ */
+export async function createIndex(chunks, { embed } = {}) {
+  const index = embed ? new EmbeddingIndex({ embed }) : new BM25Index();
+  await index.add(chunks);
+  index.chunks = chunks;
+  return index;
+}
+
+/**
+ * Select the most relevant passages for a query within a token budget.
+ * Pinned chunks are always included first; each source then gets its best
+ * chunk (up to minPerSource) before the rest are filled in by score.
+ */
+export async function selectPassages(index, query, { tokenBudget = 4000, pinned = [], minPerSource = 1 } = {}) {
+  const selected = [];
+  const selectedIds = new Set();
+  let usedTokens = 0;
+
+  const take = (chunk, score) => {
+    if (selectedIds.has(chunk.id)) return true;
+    const tokens = estimateTokens(chunk.text);
+    if (usedTokens + tokens > tokenBudget) return false;
+    selected.push({ ...chunk, score });
+    selectedIds.add(chunk.id);
+    usedTokens += tokens;
+    return true;
+  };
+
+  pinned.forEach(chunk => take(chunk, null));
+
+  const ranked = await index.search(query, index.chunks ? index.chunks.length : 100);
+
+  // Chunks that share no terms with the query still count toward source coverage
+  const rankedIds = new Set(ranked.map(result => result.chunk.id));
+  const unranked = (index.chunks || [])
+    .filter(chunk => !rankedIds.has(chunk.id))
+    .map(chunk => ({ chunk, score: 0 }));
+  const candidates = [...ranked, ...unranked];
+
+  if (minPerSource > 0) {
+    const perSource = {};
+    for (const { chunk, score } of candidates) {
+      if ((perSource[chunk.source_id] || 0) >= minPerSource) continue;
+      if (take(chunk, score)) {
+        perSource[chunk.source_id] = (perSource[chunk.source_id] || 0) + 1;
+      }
+    }
+  }
+
+  for (const { chunk, score } of ranked) {
+    if (usedTokens >= tokenBudget) break;
+    take(chunk, score);
+  }
+
+  return {
+    passages: selected,
+    used_tokens: usedTokens,
+    token_budget: tokenBudget,
+    candidate_count: candidates.length
+  };
+}
+
+/**
+ * Embedding function for dense retrieval, enabled with RETRIEVAL_EMBEDDINGS=openai
+ */
+export function getDefaultEmbedder() {
+  if (process.env.RETRIEVAL_EMBEDDINGS !== 'openai' || !process.env.OPENAI_API_KEY) {
+    return null;
+  }
+
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  return async (texts) => {
+    const response = await openai.embeddings.create({
+      model: process.env.RETRIEVAL_EMBEDDING_MODEL || 'text-embedding-3-small',
+      input: texts
+    });
+    return response.data.map(item => item.embedding);
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
@@ -2,11 +2,12 @@
 import { google } from 'googleapis';
 
 /**
- * Store personas in Google Sheets
+ * Export personas to the shared Google Sheet (GOOGLE_SHEETS_ID). The persona
+ * store is the system of record; this sheet is a reporting copy.
  */
 export async function storePersonas(personas, campaignData) {
   try {
-    const sheets = await initializeSheets();
+    const sheets = await initializeGoogleSheetsService();
     const timestamp = new Date().toISOString();
     const rows = [];
 
@@ -58,11 +59,11 @@ export async function storePersonas(personas, campaignData) {
 }
 
 /**
- * Get persona by name from Google Sheets
+ * Get persona by name from Google Sheets (legacy rows written before the persona store)
  */
 export async function getPersonaByName(name) {
   try {
-    const sheets = await initializeSheets();
+    const sheets = await initializeGoogleSheetsService();
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId: process.env.GOOGLE_SHEETS_ID,
@@ -114,7 +115,7 @@ export async function getPersonaByName(name) {
  */
 export async function getAllPersonas() {
   try {
-    const sheets = await initializeSheets();
+    const sheets = await initializeGoogleSheetsService();
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId: process.env.GOOGLE_SHEETS_ID,
@@ -449,7 +450,7 @@ export async function exportEnrichedPersonas(enrichedPersonas, campaignData, opt
   try {
     console.log(`Exporting ${enrichedPersonas.length} enriched personas to Google Sheets`);
 
-    const sheets = await initializeSheets();
+    const sheets = await initializeGoogleSheetsService();
 
     // Create a new spreadsheet or use existing one
     const spreadsheetId = options.targetSpreadsheetId || await createNewSpreadsheet(
@@ -578,7 +579,7 @@ export async function updateJuliusSheetWithEnrichment(enrichedPersonas, juliusSh
 
     // Extract spreadsheet ID from Julius sheet URL
     const { spreadsheetId, gid } = extractSheetInfo(juliusSheetUrl);
-    const sheets = await initializeSheets();
+    const sheets = await initializeGoogleSheetsService();
 
     // Get current sheet data to find the right columns to update
     const response = await sheets.spreadsheets.values.get({
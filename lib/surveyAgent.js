@@ -0,0 +1,382 @@
+// lib/surveyAgent.js - Multi-Question Survey Instruments Administered to Personas
+import { complete, requireProfile } from './llmClient.js';
+import { buildPersonaSystemPrompt } from './personaPrompt.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+export const QUESTION_TYPES = ['single_choice', 'multi_choice', 'likert', 'open_ended', 'ranking'];
+
+// Personas are surveyed in parallel; each persona answers its questions in order in one conversation
+const SURVEY_CONCURRENCY = 5;
+
+// Conditions a question's show_if may use against an earlier answer
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'includes', 'min', 'max'];
+
+// Respondent profile fields copied into the respondent-level table
+const PROFILE_FIELDS = ['age', 'gender', 'location', 'income', 'occupation'];
+
+/**
+ * Validate a survey definition and fill in defaults. Definition format:
+ * {
+ *   "title": "Free consultation screener",
+ *   "intro": "optional context read to every respondent",
+ *   "questions": [
+ *     { "id": "q1", "type": "single_choice", "text": "...", "options": ["Yes", "No"], "skip_to": { "No": "q4" } },
+ *     { "id": "q2", "type": "multi_choice", "text": "...", "options": [...], "max_selections": 2 },
+ *     { "id": "q3", "type": "likert", "text": "...", "scale": 5, "labels": { "1": "Not at all likely", "5": "Extremely likely" } },
+ *     { "id": "q4", "type": "open_ended", "text": "...", "show_if": { "question": "q3", "min": 4 } },
+ *     { "id": "q5", "type": "ranking", "text": "...", "options": [...] }
+ *   ]
+ * }
+ * skip_to jumps from an answer to a later question id (or "END"); show_if asks a question only
+ * when an earlier answer equals / not_equals / is in / includes a value, or is at least min / at most max.
+ */
+export function validateSurvey(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Survey definition must be a JSON object'], survey: null };
+  }
+
+  if (!definition.title || !String(definition.title).trim()) {
+    errors.push('title is required');
+  }
+
+  if (!Array.isArray(definition.questions) || definition.questions.length === 0) {
+    errors.push('questions must be a non-empty array');
+    return { valid: false, errors, survey: null };
+  }
+
+  const ids = definition.questions.map(question => question?.id);
+
+  const questions = definition.questions.map((question, index) => {
+    const label = `questions[${index}]${question?.id ? ` (${question.id})` : ''}`;
+
+    if (!question || typeof question !== 'object') {
+      errors.push(`${label} must be an object`);
+      return question;
+    }
+
+    if (!/^[A-Za-z0-9_]+$/.test(question.id || '')) {
+      errors.push(`${label}: id is required and may only contain letters, numbers and underscores`);
+    } else if (ids.indexOf(question.id) !== index) {
+      errors.push(`${label}: duplicate question id`);
+    }
+
+    if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    if (!question.text || !String(question.text).trim()) {
+      errors.push(`${label}: text is required`);
+    }
+
+    const normalized = { ...question, text: String(question.text || '').trim() };
+
+    if (['single_choice', 'multi_choice', 'ranking'].includes(question.type)) {
+      if (!Array.isArray(question.options) || question.options.length < 2) {
+        errors.push(`${label}: at least two options are required`);
+      } else if (new Set(question.options.map(String)).size !== question.options.length) {
+        errors.push(`${label}: options must be unique`);
+      } else {
+        normalized.options = question.options.map(String);
+      }
+    }
+
+    if (question.type === 'likert') {
+      normalized.scale = question.scale === undefined ? 5 : Number(question.scale);
+      if (!Number.isInteger(normalized.scale) || normalized.scale < 3 || normalized.scale > 11) {
+        errors.push(`${label}: scale must be a whole number from 3 to 11`);
+      }
+    }
+
+    if (question.type === 'multi_choice' && question.max_selections !== undefined &&
+      !(Number.isInteger(question.max_selections) && question.max_selections >= 1)) {
+      errors.push(`${label}: max_selections must be a positive whole number`);
+    }
+
+    if (question.show_if) {
+      const { question: dependsOn } = question.show_if;
+      const operators = CONDITION_OPERATORS.filter(operator => question.show_if[operator] !== undefined);
+      if (ids.indexOf(dependsOn) < 0 || ids.indexOf(dependsOn) >= index) {
+        errors.push(`${label}: show_if.question must reference an earlier question`);
+      }
+      if (operators.length !== 1) {
+        errors.push(`${label}: show_if needs exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+      }
+      if (question.show_if.in !== undefined && !(Array.isArray(question.show_if.in) && question.show_if.in.length > 0)) {
+        errors.push(`${label}: show_if.in must be a non-empty list of answers`);
+      }
+      ['min', 'max'].filter(operator => question.show_if[operator] !== undefined).forEach(operator => {
+        if (typeof question.show_if[operator] !== 'number' || !Number.isFinite(question.show_if[operator])) {
+          errors.push(`${label}: show_if.${operator} must be a number`);
+        }
+      });
+    }
+
+    if (question.skip_to) {
+      if (!['single_choice', 'likert'].includes(question.type)) {
+        errors.push(`${label}: skip_to is only supported on single_choice and likert questions`);
+      }
+      Object.entries(question.skip_to).forEach(([answer, target]) => {
+        if (question.type === 'single_choice' && Array.isArray(question.options) && !question.options.map(String).includes(answer)) {
+          errors.push(`${label}: skip_to answer "${answer}" is not one of the options`);
+        }
+        if (target !== 'END' && ids.indexOf(target) <= index) {
+          errors.push(`${label}: skip_to target "${target}" must be a later question id or "END"`);
+        }
+      });
+    }
+
+    return normalized;
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    survey: errors.length === 0
+      ? { title: String(definition.title).trim(), intro: definition.intro || '', questions }
+      : null
+  };
+}
+
+/**
+ * Administer the survey to every persona. onRespondent(respondent, completed, total) is
+ * called as each persona finishes; a failed persona is reported, not thrown.
+ */
+export async function runSurvey(personas, survey, { onRespondent } = {}) {
+  requireProfile('persona');
+
+  console.log(`📋 Fielding "${survey.title}" (${survey.questions.length} questions) to ${personas.length} personas`);
+
+  let completed = 0;
+
+  const respondents = await mapWithConcurrency(personas, SURVEY_CONCURRENCY, async persona => {
+    const respondent = await administerSurvey(persona, survey);
+
+    completed++;
+    if (onRespondent) await onRespondent(respondent, completed, personas.length);
+    return respondent;
+  });
+
+  console.log(`✅ Survey complete: ${respondents.filter(respondent => respondent.status === 'complete').length}/${personas.length} complete`);
+  return respondents;
+}
+
+/**
+ * One persona answers the survey in a single conversation, so later answers stay
+ * consistent with earlier ones. Skip logic decides which question comes next.
+ */
+async function administerSurvey(persona, survey) {
+  const system = buildSurveySystemPrompt(persona, survey);
+  const messages = [];
+  const answers = {};
+  const responses = {};
+  const path = [];
+
+  let index = 0;
+  try {
+    while (index < survey.questions.length) {
+      const question = survey.questions[index];
+
+      if (!isShown(question, answers)) {
+        index++;
+        continue;
+      }
+
+      messages.push({ role: 'user', content: buildQuestionPrompt(question, path.length + 1) });
+      const response = await complete('persona', {
+        max_tokens: 600,
+        temperature: 0.5,
+        system,
+        messages
+      });
+
+      const text = response.text;
+      messages.push({ role: 'assistant', content: text });
+      path.push(question.id);
+
+      try {
+        responses[question.id] = parseAnswer(question, text);
+      } catch (error) {
+        responses[question.id] = { answer: null, error: error.message, raw: text };
+      }
+      answers[question.id] = responses[question.id].answer;
+
+      index = nextQuestionIndex(survey, index, answers[question.id]);
+    }
+  } catch (error) {
+    console.error(`❌ Survey failed for ${persona.name}:`, error.message);
+    return respondentRecord(persona, responses, path, 'failed', error.message);
+  }
+
+  const unanswered = path.filter(id => responses[id].answer === null).length;
+  return respondentRecord(persona, responses, path, unanswered ? 'partial' : 'complete');
+}
+
+function respondentRecord(persona, responses, path, status, error = null) {
+  return {
+    persona_id: persona.persona_id || null,
+    persona_name: persona.name,
+    profile: Object.fromEntries(PROFILE_FIELDS.map(field => [field, persona[field] ?? null])),
+    status,
+    error,
+    path,
+    responses,
+    completed_at: new Date().toISOString()
+  };
+}
+
+function isShown(question, answers) {
+  if (!question.show_if) return true;
+
+  const { question: dependsOn, ...condition } = question.show_if;
+  const answer = answers[dependsOn];
+  if (answer === undefined || answer === null) return false;
+
+  const values = Array.isArray(answer) ? answer.map(String) : [String(answer)];
+  if (condition.equals !== undefined) return values.length === 1 && values[0] === String(condition.equals);
+  if (condition.not_equals !== undefined) return !values.includes(String(condition.not_equals));
+  if (condition.in !== undefined) return values.some(value => condition.in.map(String).includes(value));
+  if (condition.includes !== undefined) return values.includes(String(condition.includes));
+  if (condition.min !== undefined) return Number(answer) >= condition.min;
+  if (condition.max !== undefined) return Number(answer) <= condition.max;
+  return true;
+}
+
+function nextQuestionIndex(survey, index, answer) {
+  const target = survey.questions[index].skip_to?.[String(answer)];
+  if (!target) return index + 1;
+  if (target === 'END') return survey.questions.length;
+  return survey.questions.findIndex(question => question.id === target);
+}
+
+function buildSurveySystemPrompt(persona, survey) {
+  return buildPersonaSystemPrompt(persona, {
+    setting: `a real person taking the survey "${survey.title}". Answer every question as yourself, based on your background, concerns and communication style, and stay consistent with the answers you have already given.`,
+    context: survey.intro ? `SURVEY INTRODUCTION:\n${survey.intro}` : '',
+    instructions: 'Never break character or mention that you are an AI. Answer honestly - if this person would be skeptical, uninterested or unsure, say so.'
+  });
+}
+
+function buildQuestionPrompt(question, number) {
+  const options = (question.options || []).map(option => `- ${option}`).join('\n');
+
+  const formats = {
+    single_choice: `Choose exactly one option:\n${options}\n\nReturn ONLY JSON: {"answer": "the option text exactly as written", "comment": "one sentence on why"}`,
+    multi_choice: `Choose all options that apply${question.max_selections ? ` (at most ${question.max_selections})` : ''}:\n${options}\n\nReturn ONLY JSON: {"answer": ["option text exactly as written", ...], "comment": "one sentence on why"}`,
+    likert: `Answer on a scale from 1 to ${question.scale}${describeScale(question)}.\n\nReturn ONLY JSON: {"answer": whole number from 1 to ${question.scale}, "comment": "one sentence on why"}`,
+    open_ended: 'Answer in your own words, in 1-3 sentences.\n\nReturn ONLY JSON: {"answer": "your answer"}',
+    ranking: `Rank every option from most to least important to you:\n${options}\n\nReturn ONLY JSON: {"answer": ["most important option", ..., "least important option"], "comment": "one sentence on why"}`
+  };
+
+  return `QUESTION ${number}: ${question.text}\n\n${formats[question.type]}`;
+}
+
+function describeScale(question) {
+  const labels = Object.entries(question.labels || {}).map(([value, label]) => `${value} = ${label}`);
+  return labels.length ? ` where ${labels.join(', ')}` : '';
+}
+
+/**
+ * Parse and check an answer against its question - unknown options are dropped, not guessed
+ */
+function parseAnswer(question, responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in survey response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  const comment = parsed.comment ? String(parsed.comment).trim() : undefined;
+  const matchOption = value => question.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+  switch (question.type) {
+    case 'single_choice': {
+      const option = matchOption(parsed.answer);
+      if (!option) throw new Error(`Answer "${parsed.answer}" is not one of the options`);
+      return { answer: option, comment };
+    }
+
+    case 'multi_choice': {
+      const selected = [...new Set((Array.isArray(parsed.answer) ? parsed.answer : [parsed.answer]).map(matchOption).filter(Boolean))];
+      if (!selected.length) throw new Error('No valid options selected');
+      return { answer: selected.slice(0, question.max_selections || selected.length), comment };
+    }
+
+    case 'likert': {
+      const score = Math.round(Number(parsed.answer));
+      if (!(score >= 1 && score <= question.scale)) throw new Error(`Score ${parsed.answer} is outside 1-${question.scale}`);
+      return { answer: score, comment };
+    }
+
+    case 'open_ended':
+      if (!parsed.answer || !String(parsed.answer).trim()) throw new Error('Empty answer');
+      return { answer: String(parsed.answer).trim() };
+
+    case 'ranking': {
+      const ranked = [...new Set((Array.isArray(parsed.answer) ? parsed.answer : []).map(matchOption).filter(Boolean))];
+      if (!ranked.length) throw new Error('No valid ranking');
+      // Options the persona left out share last place in the order given
+      return { answer: [...ranked, ...question.options.filter(option => !ranked.includes(option))], comment };
+    }
+
+    default:
+      throw new Error(`Unsupported question type: ${question.type}`);
+  }
+}
+
+/**
+ * Respondent-level table like a survey panel export: one row per persona, one column per
+ * single-answer question, one 0/1 column per multi-choice option and one rank column per
+ * ranking option. Questions a respondent was not asked are left blank.
+ */
+export function buildRespondentTable(survey, respondents) {
+  const columns = ['respondent_id', 'persona_name', ...PROFILE_FIELDS, 'status'];
+  const cells = [];
+
+  survey.questions.forEach(question => {
+    if (question.type === 'multi_choice') {
+      question.options.forEach(option => {
+        columns.push(`${question.id}_${columnSlug(option)}`);
+        cells.push({ question: question.id, value: answer => answer.includes(option) ? 1 : 0 });
+      });
+    } else if (question.type === 'ranking') {
+      question.options.forEach(option => {
+        columns.push(`${question.id}_rank_${columnSlug(option)}`);
+        cells.push({ question: question.id, value: answer => answer.indexOf(option) + 1 });
+      });
+    } else {
+      columns.push(question.id);
+      cells.push({ question: question.id, value: answer => answer });
+    }
+  });
+
+  const rows = respondents.map((respondent, index) => [
+    respondent.persona_id || `R${index + 1}`,
+    respondent.persona_name,
+    ...PROFILE_FIELDS.map(field => respondent.profile[field] ?? ''),
+    respondent.status,
+    ...cells.map(cell => {
+      const answer = respondent.responses[cell.question]?.answer;
+      return answer === undefined || answer === null ? '' : cell.value(answer);
+    })
+  ]);
+
+  return { columns, rows };
+}
+
+/**
+ * Serialize a respondent table as CSV
+ */
+export function tableToCsv({ columns, rows }) {
+  const escape = value => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
+
+function columnSlug(option) {
+  return String(option).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
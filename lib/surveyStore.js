@@ -0,0 +1,76 @@
+// lib/surveyStore.js - Survey Definitions and Fielded Survey Runs
+import { v4 as uuidv4 } from 'uuid';
+import { readDocument, writeDocument, updateDocument, listDocuments } from './fileStore.js';
+
+/**
+ * Save a validated survey definition
+ */
+export async function createSurvey(definition, { campaign_id = null } = {}) {
+  const now = new Date().toISOString();
+  const survey = {
+    id: uuidv4(),
+    campaign_id,
+    definition,
+    created_at: now,
+    updated_at: now
+  };
+
+  return await writeDocument('surveys', survey.id, survey);
+}
+
+export async function getSurvey(id) {
+  return await readDocument('surveys', id);
+}
+
+export async function listSurveys({ campaign_id } = {}) {
+  const surveys = await listDocuments('surveys');
+  return surveys
+    .filter(survey => !campaign_id || survey.campaign_id === campaign_id)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Start fielding a survey to a persona set; respondents are added as each persona finishes
+ */
+export async function createSurveyRun(id, { survey_id, campaign_id, run_id, persona_ids }) {
+  const now = new Date().toISOString();
+  return await writeDocument('survey_runs', id, {
+    id,
+    survey_id,
+    campaign_id,
+    run_id,
+    persona_ids,
+    status: 'running',
+    respondents: [],
+    created_at: now,
+    updated_at: now
+  });
+}
+
+export async function getSurveyRun(id) {
+  return await readDocument('survey_runs', id);
+}
+
+export async function listSurveyRuns({ survey_id } = {}) {
+  const runs = await listDocuments('survey_runs');
+  return runs
+    .filter(run => !survey_id || run.survey_id === survey_id)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+export async function addSurveyRespondent(id, respondent) {
+  return await mutateSurveyRun(id, run => ({ ...run, respondents: [...run.respondents, respondent] }));
+}
+
+export async function finishSurveyRun(id, { status, error = null }) {
+  return await mutateSurveyRun(id, run => ({ ...run, status, error, completed_at: new Date().toISOString() }));
+}
+
+function mutateSurveyRun(id, mutator) {
+  return updateDocument('survey_runs', id, run => {
+    if (!run) {
+      throw new Error(`Survey run not found: ${id}`);
+    }
+    return { ...mutator(run), updated_at: new Date().toISOString() };
+  });
+}
@@ -0,0 +1,217 @@
+// lib/transcriptExport.js - Chat Transcripts as Client Deliverables: Markdown, JSON, Word-Ready HTML and CSV
+import { tableToCsv } from './surveyAgent.js';
+
+export const TRANSCRIPT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const CSV_COLUMNS = [
+  'conversation_id', 'persona_name', 'persona_id', 'campaign_id', 'turn', 'timestamp', 'role', 'speaker', 'text',
+  'interview_section', 'question_kind', 'consistent', 'contradictions', 'regenerated', 'model', 'temperature'
+];
+
+/**
+ * Render a stored conversation in one of TRANSCRIPT_FORMATS, with the persona snapshot and the
+ * model settings the replies were generated with. campaign (optional) names the campaign.
+ * Returns { filename, contentType, body }.
+ */
+export function exportTranscript(conversation, format, { campaign = null } = {}) {
+  const transcript = buildTranscript(conversation, campaign);
+  const renderers = { markdown: toMarkdown, json: toJson, html: toHtml, csv: toCsv };
+  const filename = `${String(transcript.persona_name).replace(/[^A-Za-z0-9]+/g, '_')}_transcript_${transcript.conversation_id}.${TRANSCRIPT_FORMATS[format].extension}`;
+
+  return {
+    filename,
+    contentType: TRANSCRIPT_FORMATS[format].contentType,
+    body: renderers[format](transcript)
+  };
+}
+
+/**
+ * The format-neutral transcript every renderer works from: one entry per message, numbered from 1
+ */
+function buildTranscript(conversation, campaign) {
+  const sections = conversation.interview?.guide?.sections || [];
+
+  return {
+    conversation_id: conversation.id,
+    persona_name: conversation.persona_name,
+    persona_id: conversation.persona_id,
+    campaign_id: conversation.campaign_id,
+    campaign_name: campaign?.name || null,
+    chat_type: conversation.chat_type,
+    model_settings: conversation.model_settings || null,
+    persona: conversation.persona,
+    turns: conversation.messages.map((message, index) => ({
+      turn: index + 1,
+      timestamp: message.timestamp,
+      role: message.role,
+      speaker: message.role === 'user' ? 'Interviewer' : conversation.persona_name,
+      text: message.content,
+      ...(message.interview ? {
+        interview_section: sections.find(section => section.id === message.interview.section_id)?.title || message.interview.section_id,
+        question_kind: message.interview.kind
+      } : {}),
+      ...(message.consistency ? {
+        consistent: message.consistency.consistent,
+        contradictions: message.consistency.contradictions.length,
+        regenerated: Boolean(message.consistency.regenerated)
+      } : {})
+    })),
+    ...(conversation.interview ? {
+      interview: { title: conversation.interview.guide?.title, status: conversation.interview.status, debrief: conversation.interview.debrief }
+    } : {}),
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    exported_at: new Date().toISOString()
+  };
+}
+
+function toJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+function toMarkdown(transcript) {
+  const lines = [
+    `# Transcript: ${transcript.persona_name}`,
+    '',
+    ...detailRows(transcript).map(([label, value]) => `- **${label}:** ${value}`),
+    '',
+    '## Persona',
+    '',
+    ...profileRows(transcript.persona).map(([label, value]) => `- **${label}:** ${value}`),
+    '',
+    '## Conversation',
+    ''
+  ];
+
+  transcript.turns.forEach(turn => {
+    const notes = turnNotes(turn);
+    lines.push(`**${turn.speaker}**${notes ? ` _(${notes})_` : ''}`, '', turn.text.split('\n').map(line => `> ${line}`).join('\n'), '');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * HTML laid out like a Word document (Office namespaces, page margins, Calibri) so it opens
+ * in Word and can be saved as .docx without reformatting
+ */
+function toHtml(transcript) {
+  const rows = pairs => pairs
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  const turns = transcript.turns.map(turn => {
+    const notes = turnNotes(turn);
+    return `<p class="speaker">${escapeHtml(turn.speaker)}${notes ? ` <span class="note">(${escapeHtml(notes)})</span>` : ''}</p>
+<p class="${turn.role === 'user' ? 'question' : 'answer'}">${escapeHtml(turn.text).replace(/\n/g, '<br>')}</p>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+    <meta charset="utf-8">
+    <title>Transcript: ${escapeHtml(transcript.persona_name)}</title>
+    <!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View><w:Zoom>100</w:Zoom></w:WordDocument></xml><![endif]-->
+    <style>
+        @page { size: 8.5in 11in; margin: 1in; }
+        body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #1a202c; }
+        h1 { font-size: 18pt; color: #1a365d; }
+        h2 { font-size: 14pt; color: #1a365d; margin-top: 18pt; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #cbd5e0; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+        th { background: #edf2f7; width: 30%; }
+        .speaker { font-weight: bold; margin: 10pt 0 2pt; }
+        .note { font-weight: normal; font-style: italic; color: #718096; }
+        .question { margin: 0; color: #4a5568; }
+        .answer { margin: 0; }
+    </style>
+</head>
+<body>
+    <h1>Transcript: ${escapeHtml(transcript.persona_name)}</h1>
+    <table>
+${rows(detailRows(transcript))}
+    </table>
+    <h2>Persona</h2>
+    <table>
+${rows(profileRows(transcript.persona))}
+    </table>
+    <h2>Conversation</h2>
+${turns}
+</body>
+</html>`;
+}
+
+// One row per message, with the conversation's ids and model settings repeated so rows stand alone
+function toCsv(transcript) {
+  const settings = transcript.model_settings || {};
+  return tableToCsv({
+    columns: CSV_COLUMNS,
+    rows: transcript.turns.map(turn => CSV_COLUMNS.map(column => ({
+      conversation_id: transcript.conversation_id,
+      persona_name: transcript.persona_name,
+      persona_id: transcript.persona_id,
+      campaign_id: transcript.campaign_id,
+      model: settings.model,
+      temperature: settings.temperature,
+      ...turn
+    })[column]))
+  });
+}
+
+function detailRows(transcript) {
+  const settings = transcript.model_settings;
+  return [
+    ['Conversation', transcript.conversation_id],
+    ['Campaign', transcript.campaign_name ? `${transcript.campaign_name} (${transcript.campaign_id})` : transcript.campaign_id],
+    ['Persona id', transcript.persona_id],
+    ['Type', transcript.chat_type?.replace(/_/g, ' ')],
+    ['Model settings', settings
+      ? `${settings.model}, temperature ${settings.temperature}, max tokens ${settings.max_tokens}`
+      : 'Not recorded (conversation predates model settings)'],
+    ['Started', transcript.created_at],
+    ['Last message', transcript.updated_at],
+    ['Messages', transcript.turns.length],
+    ['Exported', transcript.exported_at]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+// The persona snapshot as label/value rows, nested values flattened to one line
+function profileRows(persona) {
+  return Object.entries(persona || {})
+    .filter(([key, value]) => key !== 'persona_id' && formatValue(value))
+    .map(([key, value]) => [key.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase()), formatValue(value)]);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatValue).filter(Boolean).join('; ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, nested]) => [key.replace(/_/g, ' '), formatValue(nested)])
+      .filter(([, nested]) => nested)
+      .map(([key, nested]) => `${key}: ${nested}`)
+      .join('; ');
+  }
+  return String(value).trim();
+}
+
+function turnNotes(turn) {
+  return [
+    turn.interview_section && `${turn.interview_section}${turn.question_kind === 'probe' ? ', follow-up probe' : ''}`,
+    turn.regenerated && 'regenerated after drifting out of character',
+    turn.consistent === false && `${turn.contradictions} contradiction(s) flagged`
+  ].filter(Boolean).join('; ');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
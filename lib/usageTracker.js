@@ -0,0 +1,182 @@
+// lib/usageTracker.js - Token, Latency and Cost Accounting for Model Calls, Rolled Up by Stage, Persona, Run and Campaign
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * USD per million tokens, plus any flat per-request fee. List prices when this table was written -
+ * override or extend it with LLM_PRICES, a JSON object in the same shape keyed by model, e.g.
+ *   LLM_PRICES={"claude-3-5-sonnet-20241022":{"input_per_million":3,"output_per_million":15}}
+ * Mock and local models cost nothing unless they are priced here.
+ */
+export const DEFAULT_MODEL_PRICES = {
+  'claude-3-5-sonnet-20241022': { input_per_million: 3, output_per_million: 15 },
+  'claude-3-sonnet-20240229': { input_per_million: 3, output_per_million: 15 },
+  'gpt-4-turbo-preview': { input_per_million: 10, output_per_million: 30 },
+  // Perplexity adds a search fee per request on top of tokens (low search context)
+  'sonar-pro': { input_per_million: 3, output_per_million: 15, per_request: 0.006 }
+};
+
+const FREE_PROVIDERS = ['mock', 'local'];
+
+// The ledger calls are recorded into, with the stage and persona they are attributed to
+const usageScope = new AsyncLocalStorage();
+
+/**
+ * The price table in effect: DEFAULT_MODEL_PRICES with LLM_PRICES applied over it
+ */
+export function getModelPrices() {
+  if (!process.env.LLM_PRICES) {
+    return DEFAULT_MODEL_PRICES;
+  }
+
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    console.warn(`⚠️ LLM_PRICES is not valid JSON, using default prices: ${error.message}`);
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+export function createUsageLedger() {
+  return { calls: [] };
+}
+
+/**
+ * Run fn with every model call it makes (however deeply nested) recorded into ledger
+ */
+export function trackUsage(ledger, fn) {
+  return usageScope.run({ ledger, stage: null, persona: null }, fn);
+}
+
+/**
+ * Attribute the calls fn makes to a stage and/or persona, e.g. withUsageScope({ persona: name }, ...).
+ * Outside trackUsage this just runs fn.
+ */
+export function withUsageScope(scope, fn) {
+  const current = usageScope.getStore();
+  return current ? usageScope.run({ ...current, ...scope }, fn) : fn();
+}
+
+/**
+ * Called by the LLM client after every provider call. Calls made outside trackUsage are not kept.
+ * usage is null when the provider did not report tokens (OpenAI-compatible streams).
+ */
+export function recordUsage({ profile, provider, model, usage, latency_ms, error = null }) {
+  const current = usageScope.getStore();
+  if (!current) return;
+
+  current.ledger.calls.push({
+    profile,
+    provider,
+    model,
+    stage: current.stage,
+    persona: current.persona,
+    input_tokens: usage?.input_tokens ?? null,
+    output_tokens: usage?.output_tokens ?? null,
+    latency_ms,
+    cost_usd: callCost({ provider, model, usage, error }),
+    ...(error ? { error } : {}),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Cost of one call from the price table; null when the model has no price (a failed call costs nothing)
+ */
+function callCost({ provider, model, usage, error }) {
+  if (error) return 0;
+
+  const price = getModelPrices()[model];
+  if (!price) {
+    return FREE_PROVIDERS.includes(provider) ? 0 : null;
+  }
+
+  return ((usage?.input_tokens || 0) * (price.input_per_million || 0) +
+    (usage?.output_tokens || 0) * (price.output_per_million || 0)) / 1e6 +
+    (price.per_request || 0);
+}
+
+/**
+ * Roll a ledger up: totals, then the same totals by stage, persona and model.
+ * Models without a price are listed in unpriced_models and left out of cost_usd.
+ */
+export function summarizeUsage(ledger) {
+  const group = key => {
+    const groups = {};
+    ledger.calls.filter(call => call[key]).forEach(call => {
+      groups[call[key]] = addCall(groups[call[key]] || emptyTotals(), call);
+    });
+    return groups;
+  };
+
+  return roundCosts({
+    ...ledger.calls.reduce(addCall, emptyTotals()),
+    by_stage: group('stage'),
+    by_persona: group('persona'),
+    by_model: group('model'),
+    unpriced_models: [...new Set(ledger.calls.filter(call => call.cost_usd === null).map(call => call.model))]
+  });
+}
+
+/**
+ * Add usage summaries together - a resumed run's attempts, or every run in a campaign
+ */
+export function mergeUsage(...summaries) {
+  const present = summaries.filter(Boolean);
+  const mergeGroups = key => {
+    const groups = {};
+    present.forEach(summary => Object.entries(summary[key] || {}).forEach(([name, totals]) => {
+      groups[name] = addTotals(groups[name] || emptyTotals(), totals);
+    }));
+    return groups;
+  };
+
+  return roundCosts({
+    ...present.reduce(addTotals, emptyTotals()),
+    by_stage: mergeGroups('by_stage'),
+    by_persona: mergeGroups('by_persona'),
+    by_model: mergeGroups('by_model'),
+    unpriced_models: [...new Set(present.flatMap(summary => summary.unpriced_models || []))]
+  });
+}
+
+function emptyTotals() {
+  return { calls: 0, failed_calls: 0, unmetered_calls: 0, input_tokens: 0, output_tokens: 0, latency_ms: 0, cost_usd: 0 };
+}
+
+function addCall(totals, call) {
+  return addTotals(totals, {
+    calls: 1,
+    failed_calls: call.error ? 1 : 0,
+    // Succeeded without reporting tokens, so its tokens and cost are missing from the totals
+    unmetered_calls: !call.error && call.input_tokens === null ? 1 : 0,
+    input_tokens: call.input_tokens || 0,
+    output_tokens: call.output_tokens || 0,
+    latency_ms: call.latency_ms || 0,
+    cost_usd: call.cost_usd || 0
+  });
+}
+
+function addTotals(totals, more) {
+  return {
+    calls: totals.calls + (more.calls || 0),
+    failed_calls: totals.failed_calls + (more.failed_calls || 0),
+    unmetered_calls: totals.unmetered_calls + (more.unmetered_calls || 0),
+    input_tokens: totals.input_tokens + (more.input_tokens || 0),
+    output_tokens: totals.output_tokens + (more.output_tokens || 0),
+    latency_ms: totals.latency_ms + (more.latency_ms || 0),
+    cost_usd: totals.cost_usd + (more.cost_usd || 0)
+  };
+}
+
+// Costs are summed unrounded and rounded once, to a millionth of a dollar, in the finished summary
+function roundCosts(summary) {
+  const round = totals => ({ ...totals, cost_usd: Math.round(totals.cost_usd * 1e6) / 1e6 });
+  const roundGroup = groups => Object.fromEntries(Object.entries(groups).map(([name, totals]) => [name, round(totals)]));
+
+  return {
+    ...round(summary),
+    by_stage: roundGroup(summary.by_stage),
+    by_persona: roundGroup(summary.by_persona),
+    by_model: roundGroup(summary.by_model)
+  };
+}
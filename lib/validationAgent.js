@@ -1,25 +1,21 @@
 // lib/validationAgent.js - Vercel Serverless Compatible
-import OpenAI from 'openai';
+import { complete, isProfileConfigured } from './llmClient.js';
 
 /**
  * Validate personas against source documents using different LLM
  */
 export async function validatePersonas(personas, uploadedData, researchData) {
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn('OpenAI API key not configured, skipping validation');
+  if (!isProfileConfigured('validation')) {
+    console.warn('Validation model not configured, skipping validation');
     return { 
       validated: personas, 
-      errors: ['Validation skipped - no OpenAI key'],
+      errors: ['Validation skipped - validation model not configured'],
       confidence_score: 75 // Default confidence
     };
   }
 
   try {
     console.log(`Validating ${personas.length} personas against source data`);
-    
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
 
     const validationResults = [];
     
@@ -28,7 +24,7 @@ export async function validatePersonas(personas, uploadedData, researchData) {
       const batch = personas.slice(i, i + 3);
       
       for (const persona of batch) {
-        const validation = await validateSinglePersona(persona, uploadedData, researchData, openai);
+        const validation = await validateSinglePersona(persona, uploadedData, researchData);
         validationResults.push(validation);
       }
 
@@ -66,18 +62,14 @@ export async function validatePersonas(personas, uploadedData, researchData) {
 /**
  * Validate a single persona against source documents
  */
-async function validateSinglePersona(persona, uploadedData, researchData, openai) {
+async function validateSinglePersona(persona, uploadedData, researchData) {
   try {
     // Build validation prompt
     const prompt = buildValidationPrompt(persona, uploadedData, researchData);
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
+    const response = await complete('validation', {
+      system: 'You are a fact-checker validating persona data against source documents. Only approve traits that can be verified from the provided sources.',
       messages: [
-        {
-          role: 'system',
-          content: 'You are a fact-checker validating persona data against source documents. Only approve traits that can be verified from the provided sources.'
-        },
         {
           role: 'user',
           content: prompt
@@ -87,7 +79,7 @@ async function validateSinglePersona(persona, uploadedData, researchData, openai
       max_tokens: 1500
     });
 
-    const validationResult = parseValidationResponse(response.choices[0].message.content);
+    const validationResult = parseValidationResponse(response.text);
     
     return {
       persona: persona,
@@ -155,17 +147,17 @@ function formatSourcesForValidation(uploadedData, researchData) {
 
   // Format uploaded data
   if (uploadedData) {
-    if (uploadedData.mri_data) {
+    if (uploadedData.mri_data && !uploadedData.mri_data.error) {
       formatted += '\nMRI DATA:\n';
       formatted += JSON.stringify(uploadedData.mri_data.summary || uploadedData.mri_data).substring(0, 500) + '...\n';
     }
     
-    if (uploadedData.targetsmart_data) {
+    if (uploadedData.targetsmart_data && !uploadedData.targetsmart_data.error) {
       formatted += '\nTARGETSMART DATA:\n';
       formatted += JSON.stringify(uploadedData.targetsmart_data.summary || uploadedData.targetsmart_data).substring(0, 500) + '...\n';
     }
     
-    if (uploadedData.client_data) {
+    if (uploadedData.client_data && !uploadedData.client_data.error) {
       formatted += '\nCLIENT DATA:\n';
       formatted += JSON.stringify(uploadedData.client_data.summary || uploadedData.client_data).substring(0, 500) + '...\n';
     }
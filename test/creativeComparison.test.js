@@ -0,0 +1,49 @@
+// test/creativeComparison.test.js - Head-to-Head Creative Comparison Report
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCreativeTest } from '../lib/creativeAgent.js';
+import { generateCreativeComparison, generateComparisonHTML } from '../lib/reportAgent.js';
+
+const PERSONAS = [
+  { persona_id: 'p1', name: 'Denise Carter', age: 52, gender: 'female' },
+  { persona_id: 'p2', name: 'Marcus Reed', age: 34, gender: 'male' },
+  { persona_id: 'p3', name: 'Linda Park', age: 61, gender: 'female' }
+];
+
+function rating(creativeId, overall) {
+  return { creative_id: creativeId, appeal: overall, clarity: overall, trust: overall, likelihood_to_respond: overall, overall, reaction: 'Fine.' };
+}
+
+function creativeTest(creatives, rankings) {
+  const results = PERSONAS.map((persona, index) => ({
+    persona_id: persona.persona_id,
+    persona_name: persona.name,
+    ratings: rankings[index].map((creativeId, rank) => rating(creativeId, 5 - rank)),
+    ranking: rankings[index]
+  }));
+
+  return { id: 'test_1', campaign_id: null, creatives, results, summary: summarizeCreativeTest(creatives, results) };
+}
+
+test('a single creative gets a report with no winner', () => {
+  const creatives = [{ id: 'creative_1', headline: 'Were you harmed?' }];
+  const report = generateCreativeComparison(creativeTest(creatives, PERSONAS.map(() => ['creative_1'])), PERSONAS);
+
+  assert.equal(report.winner, null);
+  assert.deepEqual(report.head_to_head, []);
+  assert.equal(report.leaderboard.length, 1);
+  assert.match(generateComparisonHTML(report), /Only one creative was tested/);
+});
+
+test('a creative that beats every other head-to-head wins', () => {
+  const creatives = [{ id: 'creative_1', headline: 'Were you harmed?' }, { id: 'creative_2', headline: 'Call now' }];
+  const report = generateCreativeComparison(creativeTest(creatives, [
+    ['creative_1', 'creative_2'],
+    ['creative_1', 'creative_2'],
+    ['creative_2', 'creative_1']
+  ]), PERSONAS);
+
+  assert.equal(report.winner.creative_id, 'creative_1');
+  assert.equal(report.winner.basis, 'head_to_head');
+  assert.equal(report.head_to_head[0].a_preferred, 2);
+});
@@ -0,0 +1,69 @@
+// test/interviewGuide.test.js - Interview Guide Validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInterviewGuide, DEFAULT_INTERVIEW_GUIDE } from '../lib/interviewAgent.js';
+
+test('the default guide is valid and names the matter in its questions', () => {
+  const { valid, guide } = validateInterviewGuide(DEFAULT_INTERVIEW_GUIDE, { matter: 'the Acme recall' });
+
+  assert.equal(valid, true);
+  assert.equal(guide.title, 'Standard research interview');
+  const awareness = guide.sections.find(section => section.id === 'lawsuit_awareness');
+  assert.equal(awareness.questions[0].text, 'Have you heard anything about the Acme recall?');
+  assert.equal(JSON.stringify(guide).includes('{matter}'), false);
+});
+
+test('string questions become ids and empty probe lists, and sections get ids from their titles', () => {
+  const { valid, guide } = validateInterviewGuide({
+    sections: [{ title: 'Warm-up Chat', questions: ['How are you?', { text: 'Tell me about {matter}', probes: ['Why?', ' '] }] }]
+  });
+
+  assert.equal(valid, true);
+  assert.equal(guide.title, 'Interview');
+  assert.deepEqual(guide.sections[0], {
+    id: 'warm_up_chat',
+    title: 'Warm-up Chat',
+    questions: [
+      { id: 'warm_up_chat_q1', text: 'How are you?', probes: [] },
+      { id: 'warm_up_chat_q2', text: 'Tell me about the lawsuit', probes: ['Why?'] }
+    ]
+  });
+});
+
+test('a guide without sections is rejected', () => {
+  for (const guide of [null, {}, { sections: [] }]) {
+    assert.deepEqual(validateInterviewGuide(guide), {
+      valid: false,
+      errors: ['Interview guide must be a JSON object with a non-empty sections array'],
+      guide: null
+    });
+  }
+});
+
+test('section titles, ids, questions and probes are checked', () => {
+  const { valid, errors, guide } = validateInterviewGuide({
+    sections: [
+      { id: 'intro', title: 'Intro', questions: ['Hello?'] },
+      { id: 'intro', title: '', questions: [] },
+      { id: 'Bad Id', title: 'Bad', questions: [{ text: '' }, { text: 'Why?', probes: 'Tell me more' }] }
+    ]
+  });
+
+  assert.equal(valid, false);
+  assert.equal(guide, null);
+  assert.deepEqual(errors, [
+    'sections[1]: title is required',
+    'sections[1]: duplicate section id "intro"',
+    'sections[1]: questions must be a non-empty array',
+    'sections[2]: id must use lowercase letters, digits and underscores',
+    'sections[2].questions[0]: text is required',
+    'sections[2].questions[1]: probes must be a list of follow-up questions'
+  ]);
+});
+
+test('a guide with more than 25 questions is rejected', () => {
+  const questions = Array.from({ length: 26 }, (_, index) => `Question ${index + 1}?`);
+  const { errors } = validateInterviewGuide({ sections: [{ id: 'long', title: 'Long', questions }] });
+
+  assert.deepEqual(errors, ['An interview guide can have at most 25 questions']);
+});
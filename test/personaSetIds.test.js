@@ -0,0 +1,29 @@
+// test/personaSetIds.test.js - Persona Set Id Checks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { invalidPersonaSetIds } from '../lib/personaStore.js';
+
+test('record-safe campaign, run and persona ids pass', () => {
+  assert.deepEqual(invalidPersonaSetIds({
+    campaign_id: '6f1c2a4e-8b1d-4c7e-9a3f-2d5e6f7a8b9c',
+    run_id: 'session_1729350000000',
+    persona_ids: ['session_1729350000000_denise_carter']
+  }), []);
+});
+
+test('missing ids are not reported', () => {
+  assert.deepEqual(invalidPersonaSetIds({}), []);
+  assert.deepEqual(invalidPersonaSetIds({ campaign_id: '', run_id: null, persona_ids: [] }), []);
+});
+
+test('ids that could escape a storage key are reported', () => {
+  assert.deepEqual(invalidPersonaSetIds({
+    campaign_id: 'a/b',
+    run_id: '../etc',
+    persona_ids: ['ok', 'p 1', 42]
+  }), ['a/b', '../etc', 'p 1']);
+});
+
+test('persona_ids that is not a list is ignored rather than spread', () => {
+  assert.deepEqual(invalidPersonaSetIds({ persona_ids: '../x' }), []);
+});
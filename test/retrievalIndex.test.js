@@ -0,0 +1,64 @@
+// test/retrievalIndex.test.js - Chunking and Passage Selection Within a Token Budget
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, createIndex, selectPassages, estimateTokens } from '../lib/retrievalIndex.js';
+
+// Each chunk is 40 characters, so 10 estimated tokens
+function chunk(sourceId, n, text) {
+  return { id: `${sourceId}#${n}`, source_id: sourceId, text: text.padEnd(40, '.') };
+}
+
+const CHUNKS = [
+  chunk('complaint', 1, 'Hernia mesh failed and caused infection'),
+  chunk('complaint', 2, 'Mesh recall affected thousands'),
+  chunk('complaint', 3, 'Court filing dates and venue'),
+  chunk('research', 1, 'Survey of patient attitudes'),
+  chunk('research', 2, 'Mesh infection rates by age')
+];
+
+test('chunks carry their source, overlap and break on sentences', () => {
+  const text = 'First sentence about mesh. '.repeat(10);
+  const chunks = chunkText(text, { sourceId: 'doc', chunkSize: 100, overlap: 20 });
+
+  assert.equal(chunks[0].id, 'doc#1');
+  assert.ok(chunks.every(item => item.source_id === 'doc' && item.text.length <= 100));
+  assert.ok(chunks[0].text.endsWith('.'));
+  assert.ok(chunks[1].offset < chunks[0].offset + chunks[0].length);
+  assert.deepEqual(chunkText('', { sourceId: 'doc' }), []);
+});
+
+test('selected passages never exceed the token budget', async () => {
+  const index = await createIndex(CHUNKS);
+  const { passages, used_tokens, token_budget } = await selectPassages(index, 'mesh infection', { tokenBudget: 25 });
+
+  assert.equal(token_budget, 25);
+  assert.equal(passages.length, 2);
+  assert.equal(used_tokens, passages.reduce((sum, passage) => sum + estimateTokens(passage.text), 0));
+  assert.ok(used_tokens <= 25);
+});
+
+test('every source gets its best passage before the rest are filled in by score', async () => {
+  const index = await createIndex(CHUNKS);
+  const { passages } = await selectPassages(index, 'mesh infection', { tokenBudget: 30 });
+
+  assert.deepEqual(passages.map(passage => passage.id), ['research#2', 'complaint#1', 'complaint#2']);
+});
+
+test('a source with no matching terms is still represented', async () => {
+  const index = await createIndex(CHUNKS);
+  const { passages, candidate_count } = await selectPassages(index, 'venue', { tokenBudget: 20 });
+
+  assert.equal(candidate_count, CHUNKS.length);
+  assert.deepEqual(passages.map(passage => passage.source_id), ['complaint', 'research']);
+  assert.equal(passages[1].score, 0);
+});
+
+test('pinned chunks come first and count toward the budget', async () => {
+  const index = await createIndex(CHUNKS);
+  const pinned = [chunk('intake', 1, 'Client intake notes')];
+  const { passages, used_tokens } = await selectPassages(index, 'mesh infection', { tokenBudget: 20, pinned });
+
+  assert.deepEqual(passages.map(passage => passage.id), ['intake#1', 'research#2']);
+  assert.equal(passages[0].score, null);
+  assert.equal(used_tokens, 20);
+});
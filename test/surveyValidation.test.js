@@ -0,0 +1,77 @@
+// test/surveyValidation.test.js - Survey Definition Validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSurvey } from '../lib/surveyAgent.js';
+
+function survey(questions) {
+  return { title: 'Free consultation screener', questions };
+}
+
+const SCREENER = [
+  { id: 'q1', type: 'single_choice', text: 'Have you used the product?', options: ['Yes', 'No'], skip_to: { No: 'END' } },
+  { id: 'q2', type: 'likert', text: 'How likely are you to call?' },
+  { id: 'q3', type: 'open_ended', text: 'What would make you call?', show_if: { question: 'q2', min: 4 } }
+];
+
+test('a valid survey is normalized with defaults filled in', () => {
+  const { valid, errors, survey: normalized } = validateSurvey(survey(SCREENER));
+
+  assert.equal(valid, true);
+  assert.deepEqual(errors, []);
+  assert.equal(normalized.title, 'Free consultation screener');
+  assert.equal(normalized.intro, '');
+  assert.equal(normalized.questions[1].scale, 5);
+});
+
+test('a definition without a title or questions is rejected', () => {
+  assert.deepEqual(validateSurvey(null).errors, ['Survey definition must be a JSON object']);
+
+  const { valid, errors, survey: normalized } = validateSurvey({ questions: [] });
+  assert.equal(valid, false);
+  assert.equal(normalized, null);
+  assert.deepEqual(errors, ['title is required', 'questions must be a non-empty array']);
+});
+
+test('question ids, types, options and scales are checked', () => {
+  const { errors } = validateSurvey(survey([
+    { id: 'q1', type: 'single_choice', text: 'Pick one', options: ['Yes'] },
+    { id: 'q1', type: 'likert', text: 'Rate it', scale: 20 },
+    { id: 'q 3', type: 'essay', text: '' }
+  ]));
+
+  assert.deepEqual(errors, [
+    'questions[0] (q1): at least two options are required',
+    'questions[1] (q1): duplicate question id',
+    'questions[1] (q1): scale must be a whole number from 3 to 11',
+    'questions[2] (q 3): id is required and may only contain letters, numbers and underscores',
+    'questions[2] (q 3): type must be one of single_choice, multi_choice, likert, open_ended, ranking',
+    'questions[2] (q 3): text is required'
+  ]);
+});
+
+test('show_if must point back to an earlier question with one well-formed condition', () => {
+  const base = SCREENER.slice(0, 2);
+  const errorsFor = showIf => validateSurvey(survey([...base, { id: 'q3', type: 'open_ended', text: 'Why?', show_if: showIf }])).errors;
+
+  assert.deepEqual(errorsFor({ question: 'q4', equals: 'Yes' }), ['questions[2] (q3): show_if.question must reference an earlier question']);
+  assert.deepEqual(errorsFor({ question: 'q1', equals: 'Yes', not_equals: 'No' }), [
+    'questions[2] (q3): show_if needs exactly one of equals, not_equals, in, includes, min, max'
+  ]);
+  assert.deepEqual(errorsFor({ question: 'q1', in: 'Yes' }), ['questions[2] (q3): show_if.in must be a non-empty list of answers']);
+  assert.deepEqual(errorsFor({ question: 'q2', min: '4' }), ['questions[2] (q3): show_if.min must be a number']);
+  assert.deepEqual(errorsFor({ question: 'q1', in: ['Yes'] }), []);
+});
+
+test('skip_to must jump from an offered answer to a later question', () => {
+  const { errors } = validateSurvey(survey([
+    { id: 'q1', type: 'likert', text: 'Rate it' },
+    { id: 'q2', type: 'single_choice', text: 'Pick one', options: ['Yes', 'No'], skip_to: { Maybe: 'END', No: 'q1' } },
+    { id: 'q3', type: 'open_ended', text: 'Why?', skip_to: { anything: 'END' } }
+  ]));
+
+  assert.deepEqual(errors, [
+    'questions[1] (q2): skip_to answer "Maybe" is not one of the options',
+    'questions[1] (q2): skip_to target "q1" must be a later question id or "END"',
+    'questions[2] (q3): skip_to is only supported on single_choice and likert questions'
+  ]);
+});
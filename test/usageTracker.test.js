@@ -0,0 +1,110 @@
+// test/usageTracker.test.js - Model Usage Accounting and Roll-Ups
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createUsageLedger,
+  trackUsage,
+  withUsageScope,
+  recordUsage,
+  summarizeUsage,
+  mergeUsage,
+  getModelPrices,
+  DEFAULT_MODEL_PRICES
+} from '../lib/usageTracker.js';
+
+const SONNET = { profile: 'generation', provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' };
+
+afterEach(() => {
+  delete process.env.LLM_PRICES;
+});
+
+async function ledgerOf(fn) {
+  const ledger = createUsageLedger();
+  await trackUsage(ledger, fn);
+  return ledger;
+}
+
+test('calls are priced per million tokens plus any per-request fee', async () => {
+  const ledger = await ledgerOf(() => {
+    recordUsage({ ...SONNET, usage: { input_tokens: 1000, output_tokens: 500 }, latency_ms: 1200 });
+    recordUsage({ profile: 'research', provider: 'perplexity', model: 'sonar-pro', usage: { input_tokens: 2000, output_tokens: 1000 }, latency_ms: 3000 });
+  });
+
+  // 1000 * $3/M + 500 * $15/M, then 2000 * $3/M + 1000 * $15/M + $0.006 (calls keep unrounded costs)
+  assert.deepEqual(ledger.calls.map(call => Math.round(call.cost_usd * 1e6) / 1e6), [0.0105, 0.027]);
+
+  const usage = summarizeUsage(ledger);
+  assert.equal(usage.calls, 2);
+  assert.equal(usage.input_tokens, 3000);
+  assert.equal(usage.output_tokens, 1500);
+  assert.equal(usage.latency_ms, 4200);
+  assert.equal(usage.cost_usd, 0.0375);
+});
+
+test('mock calls are free, failed calls cost nothing and unknown models are listed as unpriced', async () => {
+  const usage = summarizeUsage(await ledgerOf(() => {
+    recordUsage({ profile: 'persona', provider: 'mock', model: 'mock', usage: { input_tokens: 100, output_tokens: 10 }, latency_ms: 0 });
+    recordUsage({ ...SONNET, usage: null, latency_ms: 500, error: 'overloaded' });
+    recordUsage({ profile: 'persona', provider: 'openai', model: 'gpt-unknown', usage: { input_tokens: 100, output_tokens: 10 }, latency_ms: 100 });
+    recordUsage({ profile: 'persona', provider: 'openai', model: 'gpt-4-turbo-preview', usage: null, latency_ms: 100 });
+  }));
+
+  assert.equal(usage.calls, 4);
+  assert.equal(usage.failed_calls, 1);
+  assert.equal(usage.unmetered_calls, 1);
+  assert.equal(usage.cost_usd, 0);
+  assert.deepEqual(usage.unpriced_models, ['gpt-unknown']);
+});
+
+test('calls are rolled up by the stage and persona they were made under', async () => {
+  const usage = summarizeUsage(await ledgerOf(async () => {
+    await withUsageScope({ stage: 'research' }, () => recordUsage({ ...SONNET, usage: { input_tokens: 100, output_tokens: 100 }, latency_ms: 10 }));
+    await withUsageScope({ stage: 'generation' }, () => Promise.all(['Denise', 'Marcus'].map(persona =>
+      withUsageScope({ persona }, () => recordUsage({ ...SONNET, usage: { input_tokens: 100, output_tokens: 100 }, latency_ms: 10 })))));
+  }));
+
+  assert.deepEqual(Object.keys(usage.by_stage), ['research', 'generation']);
+  assert.equal(usage.by_stage.generation.calls, 2);
+  assert.deepEqual(Object.keys(usage.by_persona), ['Denise', 'Marcus']);
+  assert.equal(usage.by_persona.Denise.cost_usd, 0.0018);
+  assert.equal(usage.by_model['claude-3-5-sonnet-20241022'].calls, 3);
+});
+
+test('calls made outside trackUsage are not kept', async () => {
+  const ledger = createUsageLedger();
+  recordUsage({ ...SONNET, usage: { input_tokens: 100, output_tokens: 100 }, latency_ms: 10 });
+  await withUsageScope({ stage: 'chat' }, () => recordUsage({ ...SONNET, usage: { input_tokens: 100, output_tokens: 100 }, latency_ms: 10 }));
+
+  assert.deepEqual(ledger.calls, []);
+});
+
+test('merged summaries add totals and groups and skip missing summaries', async () => {
+  const first = summarizeUsage(await ledgerOf(() => withUsageScope({ stage: 'poll' }, () =>
+    recordUsage({ ...SONNET, usage: { input_tokens: 1000, output_tokens: 500 }, latency_ms: 100 }))));
+  const second = summarizeUsage(await ledgerOf(() => withUsageScope({ stage: 'poll' }, () =>
+    recordUsage({ profile: 'persona', provider: 'openai', model: 'gpt-unknown', usage: { input_tokens: 10, output_tokens: 10 }, latency_ms: 100 }))));
+
+  const merged = mergeUsage(first, null, second, undefined);
+
+  assert.equal(merged.calls, 2);
+  assert.equal(merged.input_tokens, 1010);
+  assert.equal(merged.cost_usd, 0.0105);
+  assert.equal(merged.by_stage.poll.calls, 2);
+  assert.deepEqual(merged.unpriced_models, ['gpt-unknown']);
+  assert.equal(mergeUsage().calls, 0);
+});
+
+test('LLM_PRICES adds to the default price table, and bad JSON falls back to the defaults', () => {
+  process.env.LLM_PRICES = JSON.stringify({ 'local-llama': { input_per_million: 1, output_per_million: 2 } });
+  assert.deepEqual(getModelPrices()['local-llama'], { input_per_million: 1, output_per_million: 2 });
+  assert.deepEqual(getModelPrices()['sonar-pro'], DEFAULT_MODEL_PRICES['sonar-pro']);
+
+  process.env.LLM_PRICES = '{not json';
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(getModelPrices(), DEFAULT_MODEL_PRICES);
+  } finally {
+    console.warn = warn;
+  }
+});